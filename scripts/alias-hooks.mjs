@@ -0,0 +1,20 @@
+// Module hooks that let Node scripts import the app's modules, which use the
+// "@/" path alias from jsconfig.json and ES module syntax in .js files.
+// Registered with module.register() by the scripts that need them.
+
+const root = new URL("../", import.meta.url);
+const sources = new URL("src/", root).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) {
+    return nextResolve(new URL(specifier.slice(2), root).href, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(sources) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,355 @@
+// Seed sample users, restaurants and reviews into the Firestore emulator or a
+// named Firebase project, or wipe them again, or fill in the fields that data
+// from older versions of the app lacks:
+//
+//   npm run seed -- [options]
+//   npm run seed:wipe -- [options]
+//   npm run backfill -- [options]
+//
+// Run with --help for the options. Uses the Admin SDK, so the security rules
+// don't apply; a named project needs Application Default Credentials
+// (`gcloud auth application-default login`).
+
+import { readFileSync } from "node:fs";
+import { register } from "node:module";
+import { parseArgs } from "node:util";
+import { applicationDefault, initializeApp } from "firebase-admin/app";
+import { FieldValue, getFirestore } from "firebase-admin/firestore";
+
+register("./alias-hooks.mjs", import.meta.url);
+
+// imported once the hooks above can resolve the app's "@/" imports
+const { generateFakeRestaurantsAndReviews } = await import(
+  "../src/lib/fakeRestaurants.js"
+);
+const { restaurantCategories, restaurantCities } = await import(
+  "../src/lib/restaurantFields.js"
+);
+const { computeBayesianRating, updateRatingCounts } = await import(
+  "../src/lib/ratingStats.js"
+);
+const { buildSearchKeywords, updateReviewKeywordCounts } = await import(
+  "../src/lib/search.js"
+);
+const { RATING_ASPECTS } = await import("../src/lib/ratingAspects.js");
+
+const USAGE = `Usage:
+  npm run seed -- [options]       Add sample users, restaurants and reviews
+  npm run seed:wipe -- [options]  Delete the sample data again
+  npm run backfill -- [options]   Add the fields older data lacks, e.g. the
+                                  status and helpful vote count of older
+                                  reviews and the star counts, aspect ratings
+                                  and search keywords of restaurants,
+                                  and make older review and photo reports
+                                  private
+
+Where:
+  --project <id>       Use this Firebase project instead of the emulator
+  --yes                Confirm wiping data in a Firebase project
+
+Seeding:
+  --restaurants <n>    Restaurants to add (default 20)
+  --reviews <n>        Up to this many reviews per restaurant (default 5)
+  --users <n>          Users writing the reviews (default 10)
+  --seed <value>       Seed for the random data; the same seed gives the same
+                       data (default: random, printed so it can be reused)
+  --cities <list>      Cities to use, with optional weights, e.g.
+                       "Tokyo:3,Paris:1,London" (default: all, evenly)
+  --categories <list>  Categories to use, in the same format
+
+Wiping:
+  --all                Delete all restaurants, users, lists and claims, not
+                       only the sample data`;
+
+// "Tokyo:3,Paris" => { Tokyo: 3, Paris: 1 }
+function parseWeights(option, text, allowed) {
+  const weights = {};
+  for (const part of text.split(",")) {
+    const [name, weight = "1"] = part.split(":").map((value) => value.trim());
+    if (!allowed.includes(name)) {
+      throw new Error(
+        `Unknown value "${name}" for --${option}. Use one of: ${allowed.join(", ")}`
+      );
+    }
+    weights[name] = Number(weight);
+    if (!(weights[name] > 0)) {
+      throw new Error(`The weight of "${name}" must be a positive number.`);
+    }
+  }
+  return weights;
+}
+
+function parseCount(option, text) {
+  const count = Number(text);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`--${option} must be a whole number, 0 or more.`);
+  }
+  return count;
+}
+
+function connect(project) {
+  if (project) {
+    // talk to the real project even when run inside `firebase emulators:exec`
+    delete process.env.FIRESTORE_EMULATOR_HOST;
+    initializeApp({ projectId: project, credential: applicationDefault() });
+    return { db: getFirestore(), target: `project "${project}"` };
+  }
+
+  // the same emulator and project as `npm run emulators`
+  const { emulators } = JSON.parse(readFileSync("firebase.json", "utf8"));
+  process.env.FIRESTORE_EMULATOR_HOST ??= `127.0.0.1:${emulators.firestore.port}`;
+  const projectId =
+    process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID || "demo-codelab-nextjs";
+  initializeApp({ projectId });
+  return {
+    db: getFirestore(),
+    target: `the Firestore emulator at ${process.env.FIRESTORE_EMULATOR_HOST}`,
+  };
+}
+
+// the generator's options, checked before anything is written
+function seedOptions(values) {
+  return {
+    restaurants: parseCount("restaurants", values.restaurants ?? "20"),
+    maxReviewsPerRestaurant: parseCount("reviews", values.reviews ?? "5"),
+    users: parseCount("users", values.users ?? "10"),
+    seed: values.seed ?? String(Math.floor(Math.random() * 1e9)),
+    cityWeights:
+      values.cities && parseWeights("cities", values.cities, restaurantCities),
+    categoryWeights:
+      values.categories &&
+      parseWeights("categories", values.categories, restaurantCategories),
+  };
+}
+
+async function seed(db, options) {
+  const { users, restaurants } = generateFakeRestaurantsAndReviews(options);
+
+  // `seeded` marks the documents the wipe command removes
+  const writer = db.bulkWriter();
+  for (const { id, ...user } of users) {
+    writer.set(db.doc(`users/${id}`), { ...user, seeded: true });
+  }
+  let reviewCount = 0;
+  for (const { restaurantData, ratingsData } of restaurants) {
+    const restaurantRef = db.collection("restaurants").doc();
+    writer.set(restaurantRef, { ...restaurantData, seeded: true });
+    for (const ratingData of ratingsData) {
+      writer.set(restaurantRef.collection("ratings").doc(), ratingData);
+      reviewCount++;
+    }
+  }
+  await writer.close();
+
+  console.log(
+    `Added ${users.length} users, ${restaurants.length} restaurants and ${reviewCount} reviews (seed "${options.seed}").`
+  );
+}
+
+async function wipe(db, values) {
+  if (values.all) {
+    for (const name of ["restaurants", "users", "lists", "claims"]) {
+      await db.recursiveDelete(db.collection(name));
+    }
+    console.log("Deleted all restaurants, users, lists and claims.");
+    return;
+  }
+
+  // deleting a restaurant or user also deletes its reviews, photos and
+  // favorites
+  let deleted = 0;
+  for (const name of ["restaurants", "users"]) {
+    const snapshot = await db
+      .collection(name)
+      .where("seeded", "==", true)
+      .get();
+    for (const doc of snapshot.docs) {
+      await db.recursiveDelete(doc.ref);
+    }
+    deleted += snapshot.size;
+  }
+  console.log(`Deleted ${deleted} sample restaurants and users.`);
+}
+
+// the fields a review written by an older version of the app lacks
+function missingReviewFields(review) {
+  return {
+    // reviews are listed by status, and those from before moderation count
+    // as published
+    ...(review.status === undefined && { status: "published" }),
+    // the "Most helpful" sort orders by helpfulCount, which leaves out
+    // reviews without it
+    ...(review.helpfulCount === undefined && { helpfulCount: 0 }),
+    ...reportCountFields(review),
+  };
+}
+
+// reporters of reviews and photos used to be listed in reportedBy; they are
+// moved to the private reports subcollection, see moveReports()
+function reportCountFields(data) {
+  return data.reportedBy === undefined
+    ? {}
+    : { reportCount: data.reportedBy.length, reportedBy: FieldValue.delete() };
+}
+
+// write a report for each user in the document's reportedBy
+function moveReports(writer, snapshot) {
+  for (const userId of snapshot.data().reportedBy ?? []) {
+    writer.set(snapshot.ref.collection("reports").doc(userId), {
+      userId,
+      restaurantId: snapshot.ref.parent.parent.id, // both live under their restaurant
+      createdAt: new Date(), // when they reported it wasn't kept
+    });
+  }
+}
+
+// the per-star counts and "Best rated" score of a restaurant's published
+// reviews
+function ratingStatsFields(reviews) {
+  let ratingCounts = updateRatingCounts(null, null, null);
+  let sumRating = 0;
+  for (const { rating } of reviews) {
+    ratingCounts = updateRatingCounts(ratingCounts, null, Number(rating));
+    sumRating += Number(rating);
+  }
+  return {
+    ratingCounts,
+    bayesianRating: computeBayesianRating(reviews.length, sumRating),
+  };
+}
+
+// the count, sum and average of each aspect the restaurant's published
+// reviews rated, see src/lib/ratingAspects.js
+function aspectRatingFields(reviews) {
+  const aspectRatings = {};
+  for (const aspect of RATING_ASPECTS) {
+    const ratings = reviews
+      .map((review) => Number(review.aspectRatings?.[aspect] ?? 0))
+      .filter((rating) => rating > 0); // aspects a review didn't rate don't count
+    const sumRating = ratings.reduce((sum, rating) => sum + rating, 0);
+    aspectRatings[aspect] = {
+      numRatings: ratings.length,
+      sumRating,
+      avgRating: ratings.length ? sumRating / ratings.length : 0,
+    };
+  }
+  return { aspectRatings };
+}
+
+// the search fields of a restaurant: the words of its published reviews and
+// the keywords its details and those words make up, see src/lib/search.js
+function searchFields(restaurant, reviews) {
+  const reviewKeywordCounts = reviews.reduce(
+    (counts, { text }) => updateReviewKeywordCounts(counts, text, 1),
+    {}
+  );
+  return {
+    reviewKeywordCounts,
+    searchKeywords: buildSearchKeywords(restaurant, reviewKeywordCounts),
+  };
+}
+
+// the fields a restaurant from before they were added lacks, computed from
+// its published reviews
+async function missingRestaurantFields(restaurant) {
+  const data = restaurant.data();
+  const missingRatingStats =
+    !data.ratingCounts || data.bayesianRating === undefined;
+  const missingAspectRatings = !data.aspectRatings;
+  const missingSearchFields = !data.searchKeywords || !data.reviewKeywordCounts;
+  if (!missingRatingStats && !missingAspectRatings && !missingSearchFields) {
+    return {};
+  }
+
+  const ratings = await restaurant.ref.collection("ratings").get();
+  const published = ratings.docs
+    .map((review) => review.data())
+    .filter(({ status = "published" }) => status === "published");
+  return {
+    ...(missingRatingStats && ratingStatsFields(published)),
+    ...(missingAspectRatings && aspectRatingFields(published)),
+    ...(missingSearchFields && searchFields(data, published)),
+  };
+}
+
+async function backfill(db) {
+  const writer = db.bulkWriter();
+  let updatedReviews = 0;
+  for await (const review of db.collectionGroup("ratings").stream()) {
+    moveReports(writer, review);
+    const fields = missingReviewFields(review.data());
+    if (Object.keys(fields).length > 0) {
+      writer.update(review.ref, fields);
+      updatedReviews++;
+    }
+  }
+  let updatedRestaurants = 0;
+  for await (const restaurant of db.collection("restaurants").stream()) {
+    const fields = await missingRestaurantFields(restaurant);
+    if (Object.keys(fields).length > 0) {
+      writer.update(restaurant.ref, fields);
+      updatedRestaurants++;
+    }
+  }
+  let updatedPhotos = 0;
+  for await (const photo of db.collectionGroup("photos").stream()) {
+    moveReports(writer, photo);
+    const fields = reportCountFields(photo.data());
+    if (Object.keys(fields).length > 0) {
+      writer.update(photo.ref, fields);
+      updatedPhotos++;
+    }
+  }
+  await writer.close();
+  console.log(
+    `Backfilled ${updatedReviews} reviews, ${updatedRestaurants} restaurants and ${updatedPhotos} photos.`
+  );
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      project: { type: "string" },
+      yes: { type: "boolean" },
+      restaurants: { type: "string" },
+      reviews: { type: "string" },
+      users: { type: "string" },
+      seed: { type: "string" },
+      cities: { type: "string" },
+      categories: { type: "string" },
+      all: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command = "seed"] = positionals;
+
+  if (values.help || !["seed", "wipe", "backfill"].includes(command)) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+  if (command === "wipe" && values.project && !values.yes) {
+    throw new Error(
+      `This deletes data in project "${values.project}". Add --yes to confirm.`
+    );
+  }
+
+  const options = command === "seed" && seedOptions(values);
+  const { db, target } = connect(values.project);
+  console.log(`Using ${target}`);
+  if (command === "seed") {
+    await seed(db, options);
+  } else if (command === "wipe") {
+    await wipe(db, values);
+  } else {
+    await backfill(db);
+  }
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -1,24 +1,666 @@
 "use server";
 
-import { addReviewToRestaurant } from "@/src/lib/firebase/firestore.js";
+import {
+  addRestaurantClaim,
+  getRestaurantById,
+  getReviewById,
+  isUserAdmin,
+  MAX_OWNER_REPLY_LENGTH,
+  reportRestaurantPhoto,
+  reportReview,
+  resolvePendingReview,
+  resolveReportedReview,
+  resolveRestaurantClaim,
+  ReviewStatus,
+  setRestaurantHeroPhoto,
+  setRestaurantPhotoHidden,
+  setReviewHelpfulVote,
+  setReviewOwnerReply,
+} from "@/src/lib/firebase/firestore.js";
+import {
+  addRestaurant,
+  addReviewToRestaurant,
+  deleteReview,
+  updateRestaurantDetails,
+  updateReview,
+} from "@/src/lib/firebase/adminFirestore.js";
+import { getAdminFirestore } from "@/src/lib/firebase/adminApp.js";
 import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
+import {
+  ActionErrorCode,
+  actionError,
+  actionSuccess,
+} from "@/src/lib/errors.js";
+import { validateRestaurantFields } from "@/src/lib/restaurantFields.js";
+import {
+  ASPECT_LABELS,
+  aspectFieldName,
+  RATING_ASPECTS,
+} from "@/src/lib/ratingAspects.js";
+import { moderateReview } from "@/src/lib/ai/moderation.js";
 import { getFirestore } from "firebase/firestore";
 
 // This is a Server Action
 // https://nextjs.org/docs/app/building-your-application/data-fetching/server-actions
-// Replace the function below
-// This is a next.js server action, which is an alpha feature, so
-// use with caution.
-// https://nextjs.org/docs/app/building-your-application/data-fetching/server-actions
-export async function handleReviewFormSubmission(data) {
-        const { app } = await getAuthenticatedAppForUser();
-        const db = getFirestore(app);
+// It is used with React's useActionState, so it receives the previous
+// state as its first argument and the submitted FormData as its second.
+export async function handleReviewFormSubmission(prevState, data) {
+  // The author is taken from the verified __session token, never from the form
+  const { currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to leave a review."
+    );
+  }
+
+  const rating = Number(data.get("rating"));
+  if (!isValidRating(rating)) {
+    return invalidRatingError();
+  }
+  const { aspectRatings, error } = parseAspectRatings(data);
+  if (error) {
+    return error;
+  }
+
+  const text = String(data.get("text") || "");
+  // flagged reviews are held for a moderator instead of being published
+  const moderation = await moderateReview(text);
+
+  let id;
+  try {
+    // written by the server, as only it may write reviews (see firestore.rules)
+    id = await addReviewToRestaurant(
+      getAdminFirestore(),
+      data.get("restaurantId"),
+      {
+        text,
+        rating,
+        aspectRatings,
+        userId: currentUser.uid,
+        // snapshot of the author's profile at the time of writing
+        userName: currentUser.displayName || "Anonymous",
+        userPhotoURL: currentUser.photoURL || null,
+        ...moderationFields(moderation),
+      }
+    );
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "Your review could not be saved. Please try again."
+    );
+  }
+
+  // the client uploads the review's photos once it knows its ID
+  return actionSuccess({ id, pending: moderation.flagged });
+}
+
+// Server Action used by the edit form on a review
+export async function handleReviewUpdate(prevState, data) {
+  const { error } = await authorizeReviewAuthor(data);
+  if (error) {
+    return error;
+  }
+
+  const rating = Number(data.get("rating"));
+  if (!isValidRating(rating)) {
+    return invalidRatingError();
+  }
+  const { aspectRatings, error: aspectError } = parseAspectRatings(data);
+  if (aspectError) {
+    return aspectError;
+  }
+
+  const text = String(data.get("text") || "");
+  // an edit that gets flagged takes the review back out of circulation;
+  // one that passes leaves its status as it was
+  const moderation = await moderateReview(text);
+
+  try {
+    await updateReview(
+      getAdminFirestore(),
+      data.get("restaurantId"),
+      data.get("reviewId"),
+      {
+        rating,
+        aspectRatings,
+        text,
+        ...(moderation.flagged && moderationFields(moderation)),
+      }
+    );
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "Your review could not be updated. Please try again."
+    );
+  }
+
+  return actionSuccess({ pending: moderation.flagged });
+}
+
+// Server Action used by the delete button on a review
+export async function handleReviewDeletion(prevState, data) {
+  const { error } = await authorizeReviewAuthor(data);
+  if (error) {
+    return error;
+  }
+
+  try {
+    await deleteReview(
+      getAdminFirestore(),
+      data.get("restaurantId"),
+      data.get("reviewId")
+    );
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "Your review could not be deleted. Please try again."
+    );
+  }
+
+  return actionSuccess();
+}
+
+// Server Action used by the create-restaurant form.
+// The optional photo is uploaded by the client once the restaurant exists.
+export async function createRestaurant(prevState, data) {
+  const { currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to add a restaurant."
+    );
+  }
+
+  const { values, errors } = validateRestaurantFields({
+    name: data.get("name"),
+    category: data.get("category"),
+    city: data.get("city"),
+    price: data.get("price"),
+  });
+  if (Object.keys(errors).length > 0) {
+    return {
+      ...actionError(
+        ActionErrorCode.INVALID_ARGUMENT,
+        "Please fix the highlighted fields."
+      ),
+      fieldErrors: errors,
+    };
+  }
+
+  try {
+    // written by the server, as only it may set up the aggregates (see firestore.rules)
+    const id = await addRestaurant(getAdminFirestore(), {
+      ...values,
+      ownerId: currentUser.uid, // whoever adds a restaurant owns it
+    });
+    return actionSuccess({ id });
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "The restaurant could not be created. Please try again."
+    );
+  }
+}
+
+// Server Action used by the edit-details form, for owners and admins only
+export async function handleRestaurantUpdate(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to edit a restaurant."
+    );
+  }
+
+  const db = getFirestore(firebaseServerApp);
+  const restaurantId = data.get("restaurantId");
+  if (!(await canManageRestaurant(db, restaurantId, currentUser.uid))) {
+    return actionError(
+      ActionErrorCode.PERMISSION_DENIED,
+      "Only the restaurant's owner or an admin can edit it."
+    );
+  }
+
+  const { values, errors } = validateRestaurantFields({
+    name: data.get("name"),
+    category: data.get("category"),
+    city: data.get("city"),
+    price: data.get("price"),
+  });
+  if (Object.keys(errors).length > 0) {
+    return {
+      ...actionError(
+        ActionErrorCode.INVALID_ARGUMENT,
+        "Please fix the highlighted fields."
+      ),
+      fieldErrors: errors,
+    };
+  }
+
+  try {
+    // written by the server, which rebuilds the search keywords
+    await updateRestaurantDetails(getAdminFirestore(), restaurantId, values);
+    return actionSuccess({ id: restaurantId });
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "The restaurant could not be updated. Please try again."
+    );
+  }
+}
+
+// Server Action used by the "Claim this restaurant" button
+export async function handleRestaurantClaim(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to claim a restaurant."
+    );
+  }
+
+  const db = getFirestore(firebaseServerApp);
+  const restaurant = await getRestaurantById(db, data.get("restaurantId"));
+  if (!restaurant) {
+    return actionError(
+      ActionErrorCode.NOT_FOUND,
+      "This restaurant no longer exists."
+    );
+  }
+  if (restaurant.ownerId) {
+    return actionError(
+      ActionErrorCode.PERMISSION_DENIED,
+      "This restaurant already has an owner."
+    );
+  }
+
+  try {
+    await addRestaurantClaim(db, {
+      restaurantId: restaurant.id,
+      restaurantName: restaurant.name,
+      userId: currentUser.uid,
+      userName: currentUser.displayName || "Anonymous",
+      message: String(data.get("message") || "").trim(),
+    });
+    return actionSuccess();
+  } catch (error) {
+    // creating a second claim for the same restaurant is rejected by the rules
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "Your claim could not be submitted. You may have claimed it already."
+    );
+  }
+}
+
+// Server Action used by admins to approve or reject a claim
+export async function handleClaimResolution(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to review claims."
+    );
+  }
+
+  const db = getFirestore(firebaseServerApp);
+  if (!(await isUserAdmin(db, currentUser.uid))) {
+    return actionError(
+      ActionErrorCode.PERMISSION_DENIED,
+      "Only admins can review claims."
+    );
+  }
+
+  try {
+    await resolveRestaurantClaim(
+      db,
+      data.get("claimId"),
+      data.get("decision") === "approve",
+      currentUser.uid
+    );
+    return actionSuccess();
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "The claim could not be updated. It may have been resolved already."
+    );
+  }
+}
+
+// Server Action used by admins to publish or reject a review held for moderation
+export async function handleReviewModeration(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to moderate reviews."
+    );
+  }
+
+  const db = getFirestore(firebaseServerApp);
+  if (!(await isUserAdmin(db, currentUser.uid))) {
+    return actionError(
+      ActionErrorCode.PERMISSION_DENIED,
+      "Only admins can moderate reviews."
+    );
+  }
 
-        await addReviewToRestaurant(db, data.get("restaurantId"), {
-                text: data.get("text"),
-                rating: data.get("rating"),
+  try {
+    await resolvePendingReview(
+      db,
+      data.get("restaurantId"),
+      data.get("reviewId"),
+      data.get("decision") === "approve",
+      currentUser.uid
+    );
+    return actionSuccess();
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "The review could not be updated. It may have been moderated already."
+    );
+  }
+}
+
+// Server Action used by admins to remove a reported review or dismiss its reports
+export async function handleReviewReportResolution(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to moderate reviews."
+    );
+  }
+
+  const db = getFirestore(firebaseServerApp);
+  if (!(await isUserAdmin(db, currentUser.uid))) {
+    return actionError(
+      ActionErrorCode.PERMISSION_DENIED,
+      "Only admins can moderate reviews."
+    );
+  }
+
+  try {
+    await resolveReportedReview(
+      db,
+      data.get("restaurantId"),
+      data.get("reviewId"),
+      data.get("decision") === "remove",
+      currentUser.uid
+    );
+    return actionSuccess();
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "The review could not be updated. It may have been moderated already."
+    );
+  }
+}
+
+// Server Action used by the "Helpful" button on a review, which adds the
+// user's vote or takes it back
+export async function handleReviewVote(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to vote on a review."
+    );
+  }
+
+  try {
+    await setReviewHelpfulVote(
+      getFirestore(firebaseServerApp),
+      data.get("restaurantId"),
+      data.get("reviewId"),
+      currentUser.uid,
+      data.get("helpful") === "true"
+    );
+    return actionSuccess();
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "Your vote could not be saved. Please try again."
+    );
+  }
+}
+
+// Server Action used by the "Report" button on a review
+export async function handleReviewReport(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to report a review."
+    );
+  }
+
+  try {
+    await reportReview(
+      getFirestore(firebaseServerApp),
+      data.get("restaurantId"),
+      data.get("reviewId"),
+      currentUser.uid
+    );
+    return actionSuccess();
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "The review could not be reported. It may have been taken down already."
+    );
+  }
+}
+
+// Server Action used by the restaurant's owner to reply to a review, to
+// change their reply, or to remove it
+export async function handleOwnerReply(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to reply to a review."
+    );
+  }
+
+  const db = getFirestore(firebaseServerApp);
+  const restaurant = await getRestaurantById(db, data.get("restaurantId"));
+  if (!restaurant || restaurant.ownerId !== currentUser.uid) {
+    return actionError(
+      ActionErrorCode.PERMISSION_DENIED,
+      "Only the restaurant's owner can reply to its reviews."
+    );
+  }
+
+  const remove = data.get("intent") === "delete";
+  const text = String(data.get("text") || "").trim();
+  if (!remove && (!text || text.length > MAX_OWNER_REPLY_LENGTH)) {
+    return actionError(
+      ActionErrorCode.INVALID_ARGUMENT,
+      `Please write a reply of at most ${MAX_OWNER_REPLY_LENGTH} characters.`
+    );
+  }
+
+  try {
+    await setReviewOwnerReply(
+      db,
+      restaurant.id,
+      data.get("reviewId"),
+      remove
+        ? null
+        : {
+            text,
+            userId: currentUser.uid,
+            userName: currentUser.displayName,
+          }
+    );
+    return actionSuccess();
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "Your reply could not be saved. Please try again."
+    );
+  }
+}
+
+// Server Action used by owners and admins on the restaurant's photo history,
+// to make a photo the main photo ("hero"), or to hide or restore it
+export async function handleRestaurantPhotoChange(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to manage photos."
+    );
+  }
+
+  const db = getFirestore(firebaseServerApp);
+  const restaurantId = data.get("restaurantId");
+  if (!(await canManageRestaurant(db, restaurantId, currentUser.uid))) {
+    return actionError(
+      ActionErrorCode.PERMISSION_DENIED,
+      "Only the restaurant's owner or an admin can manage its photos."
+    );
+  }
+
+  const photoId = data.get("photoId");
+  const change = data.get("change");
+  try {
+    if (change === "hero") {
+      await setRestaurantHeroPhoto(db, restaurantId, photoId);
+    } else if (change === "hide" || change === "restore") {
+      await setRestaurantPhotoHidden(
+        db,
+        restaurantId,
+        photoId,
+        change === "hide",
+        currentUser.uid
+      );
+    } else {
+      return actionError(
+        ActionErrorCode.INVALID_ARGUMENT,
+        "Unknown change to a photo."
+      );
+    }
+    return actionSuccess();
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "The photo could not be updated. Please try again."
+    );
+  }
+}
+
+// Server Action used by the "Report" button on a restaurant photo
+export async function handlePhotoReport(prevState, data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return actionError(
+      ActionErrorCode.UNAUTHENTICATED,
+      "You must be signed in to report a photo."
+    );
+  }
+
+  try {
+    await reportRestaurantPhoto(
+      getFirestore(firebaseServerApp),
+      data.get("restaurantId"),
+      data.get("photoId"),
+      currentUser.uid
+    );
+    return actionSuccess();
+  } catch (error) {
+    return actionError(
+      ActionErrorCode.INTERNAL,
+      "The photo could not be reported. It may have been taken down already."
+    );
+  }
+}
+
+// Whether the user owns the restaurant or is an admin
+async function canManageRestaurant(db, restaurantId, userId) {
+  const restaurant = await getRestaurantById(db, restaurantId);
+  if (!restaurant) {
+    return false;
+  }
+  return restaurant.ownerId === userId || (await isUserAdmin(db, userId));
+}
+
+// Check that the signed-in user wrote the review named in the form data.
+// Returns the user's Firestore instance, or an action error result.
+async function authorizeReviewAuthor(data) {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  if (!currentUser) {
+    return {
+      error: actionError(
+        ActionErrorCode.UNAUTHENTICATED,
+        "You must be signed in to change a review."
+      ),
+    };
+  }
+
+  const db = getFirestore(firebaseServerApp);
+  const review = await getReviewById(
+    db,
+    data.get("restaurantId"),
+    data.get("reviewId")
+  );
+  if (!review) {
+    return {
+      error: actionError(
+        ActionErrorCode.NOT_FOUND,
+        "This review no longer exists."
+      ),
+    };
+  }
+  if (review.userId !== currentUser.uid) {
+    return {
+      error: actionError(
+        ActionErrorCode.PERMISSION_DENIED,
+        "You can only change your own reviews."
+      ),
+    };
+  }
+
+  return { db, currentUser, review };
+}
+
+// The review fields recording a moderation result
+function moderationFields({ flagged, categories, reason, source }) {
+  return {
+    status: flagged ? ReviewStatus.PENDING : ReviewStatus.PUBLISHED,
+    ...(flagged && { moderation: { categories, reason, source } }),
+  };
+}
+
+function isValidRating(rating) {
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5;
+}
+
+function invalidRatingError() {
+  return actionError(
+    ActionErrorCode.INVALID_ARGUMENT,
+    "Please pick a rating between 1 and 5 stars."
+  );
+}
 
-                // This came from a hidden form field.
-                userId: data.get("userId"),
-        });
+// the aspects rated in a review form ({food: 4, ...}), which are all
+// optional, or an error for one that isn't a valid rating
+function parseAspectRatings(data) {
+  const aspectRatings = {};
+  for (const aspect of RATING_ASPECTS) {
+    const value = data.get(aspectFieldName(aspect));
+    if (value === null || value === "") {
+      continue; // not rated
+    }
+    if (!isValidRating(Number(value))) {
+      return {
+        error: actionError(
+          ActionErrorCode.INVALID_ARGUMENT,
+          `Please rate ${ASPECT_LABELS[aspect].toLowerCase()} between 1 and 5 stars.`
+        ),
+      };
+    }
+    aspectRatings[aspect] = Number(value);
+  }
+  return { aspectRatings };
 }
@@ -0,0 +1,30 @@
+import ClaimReviewList from "@/src/components/ClaimReviewList.jsx";
+import { getPendingClaims, isUserAdmin } from "@/src/lib/firebase/firestore.js";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
+import { getFirestore } from "firebase/firestore";
+
+// Lists restaurant ownership claims for admins to approve or reject
+export default async function AdminClaims() {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  const db = getFirestore(firebaseServerApp);
+
+  if (!(await isUserAdmin(db, currentUser?.uid))) {
+    return (
+      <main className="main__restaurant">
+        <article>
+          <p>Only admins can review restaurant claims.</p>
+        </article>
+      </main>
+    );
+  }
+
+  const claims = await getPendingClaims(db);
+  return (
+    <main className="main__restaurant">
+      <article>
+        <h2>Restaurant claims</h2>
+        <ClaimReviewList claims={claims} />
+      </article>
+    </main>
+  );
+}
@@ -0,0 +1,54 @@
+import ModerationQueue, {
+  ReportedReviewQueue,
+} from "@/src/components/ModerationQueue.jsx";
+import {
+  getPendingReviews,
+  getReportedReviews,
+  getRestaurantNames,
+  isUserAdmin,
+} from "@/src/lib/firebase/firestore.js";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
+import { getFirestore } from "firebase/firestore";
+
+// Lists reviews held by moderation for admins to publish or reject, and
+// reported reviews for them to remove or keep
+export default async function AdminReviews() {
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  const db = getFirestore(firebaseServerApp);
+
+  if (!(await isUserAdmin(db, currentUser?.uid))) {
+    return (
+      <main className="main__restaurant">
+        <article>
+          <p>Only admins can moderate reviews.</p>
+        </article>
+      </main>
+    );
+  }
+
+  const [reviews, reportedReviews] = await Promise.all([
+    getPendingReviews(db),
+    getReportedReviews(db),
+  ]);
+  // reviews only know their restaurant's ID
+  const names = await getRestaurantNames(
+    db,
+    [...reviews, ...reportedReviews].map((review) => review.restaurantId)
+  );
+  const withRestaurantName = (review) => ({
+    ...review,
+    restaurantName: names[review.restaurantId] || "a deleted restaurant",
+  });
+  return (
+    <main className="main__restaurant">
+      <article>
+        <h2>Reviews waiting for moderation</h2>
+        <ModerationQueue reviews={reviews.map(withRestaurantName)} />
+        <h2>Reported reviews</h2>
+        <ReportedReviewQueue
+          reviews={reportedReviews.map(withRestaurantName)}
+        />
+      </article>
+    </main>
+  );
+}
@@ -0,0 +1,46 @@
+import { RestaurantItem } from "@/src/components/RestaurantListings.jsx";
+import { notFound } from "next/navigation";
+import {
+  getListById,
+  getRestaurantsByIds,
+} from "@/src/lib/firebase/firestore.js";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
+import { getFirestore } from "firebase/firestore";
+
+// A shared list of restaurants. Anyone with the link can see it.
+export default async function SharedList(props) {
+  const params = await props.params;
+  const { firebaseServerApp } = await getAuthenticatedAppForUser();
+  const db = getFirestore(firebaseServerApp);
+
+  const list = await getListById(db, params.id);
+  if (!list) {
+    notFound();
+  }
+  const restaurants = await getRestaurantsByIds(db, list.restaurantIds);
+  // show the restaurants in the order they were added
+  restaurants.sort(
+    (a, b) =>
+      list.restaurantIds.indexOf(a.id) - list.restaurantIds.indexOf(b.id)
+  );
+
+  return (
+    <main className="main__home">
+      <article>
+        <header className="list__header">
+          <h2>{list.name}</h2>
+          <p>A list by {list.ownerName}</p>
+        </header>
+        {restaurants.length > 0 ? (
+          <ul className="restaurants">
+            {restaurants.map((restaurant) => (
+              <RestaurantItem key={restaurant.id} restaurant={restaurant} />
+            ))}
+          </ul>
+        ) : (
+          <p className="list__header">This list is empty.</p>
+        )}
+      </article>
+    </main>
+  );
+}
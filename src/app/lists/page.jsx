@@ -0,0 +1,20 @@
+import SavedLists from "@/src/components/SavedLists.jsx";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
+
+// The signed-in user's named lists of restaurants
+export default async function MyLists() {
+  const { currentUser } = await getAuthenticatedAppForUser();
+
+  return (
+    <main className="main__restaurant">
+      <article>
+        <h2>My lists</h2>
+        {currentUser ? (
+          <SavedLists userId={currentUser.uid} />
+        ) : (
+          <p>Sign in to save restaurants to lists.</p>
+        )}
+      </article>
+    </main>
+  );
+}
@@ -1,5 +1,8 @@
 import RestaurantListings from "@/src/components/RestaurantListings.jsx";
-import { getRestaurants } from "@/src/lib/firebase/firestore.js";
+import {
+  getRestaurants,
+  getNextRestaurantCursor,
+} from "@/src/lib/firebase/firestore.js";
 import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
 import { getFirestore } from "firebase/firestore";
 
@@ -15,16 +18,23 @@ export default async function Home(props) {
   const searchParams = await props.searchParams;
   // Using seachParams which Next.js provides, allows the filtering to happen on the server-side, for example:
   // ?city=London&category=Indian&sort=Review
-  const { firebaseServerApp } = await getAuthenticatedAppForUser();
+  // A `q` param searches restaurant names, categories and reviews instead.
+  // A `cursor` param (set by the "Load more" link) starts the listing after
+  // the last restaurant of a previous page.
+  // A `favorites=1` param only shows the signed-in user's favorites.
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
   const restaurants = await getRestaurants(
     getFirestore(firebaseServerApp),
-    searchParams
+    searchParams,
+    { cursor: searchParams.cursor, userId: currentUser?.uid }
   );
   return (
     <main className="main__home">
       <RestaurantListings
         initialRestaurants={restaurants}
+        initialNextCursor={getNextRestaurantCursor(restaurants, searchParams)}
         searchParams={searchParams}
+        userId={currentUser?.uid || ""}
       />
     </main>
   );
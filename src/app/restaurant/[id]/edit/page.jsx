@@ -0,0 +1,44 @@
+import { notFound } from "next/navigation";
+import RestaurantForm from "@/src/components/RestaurantForm.jsx";
+import {
+  getRestaurantById,
+  isUserAdmin,
+} from "@/src/lib/firebase/firestore.js";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
+import { getFirestore } from "firebase/firestore";
+
+export default async function EditRestaurant(props) {
+  const params = await props.params;
+  const { firebaseServerApp, currentUser } = await getAuthenticatedAppForUser();
+  const db = getFirestore(firebaseServerApp);
+  const restaurant = await getRestaurantById(db, params.id);
+  if (!restaurant) {
+    notFound();
+  }
+
+  // Only owners and admins can edit, the server action checks again
+  const canEdit =
+    currentUser &&
+    (restaurant.ownerId === currentUser.uid ||
+      (await isUserAdmin(db, currentUser.uid)));
+
+  return (
+    <main className="main__restaurant">
+      <article>
+        {canEdit ? (
+          <RestaurantForm
+            restaurant={{
+              id: restaurant.id,
+              name: restaurant.name,
+              category: restaurant.category,
+              city: restaurant.city,
+              price: restaurant.price,
+            }}
+          />
+        ) : (
+          <p>Only the owner of {restaurant.name} can edit its details.</p>
+        )}
+      </article>
+    </main>
+  );
+}
@@ -1,6 +1,13 @@
 import Restaurant from "@/src/components/Restaurant.jsx";
 import { Suspense } from "react";
-import { getRestaurantById } from "@/src/lib/firebase/firestore.js";
+import { notFound } from "next/navigation";
+import {
+  getRestaurantById,
+  getRestaurantClaim,
+  getReportedPhotoIds,
+  getRestaurantPhotos,
+  isUserAdmin,
+} from "@/src/lib/firebase/firestore.js";
 import {
   getAuthenticatedAppForUser,
   getAuthenticatedAppForUser as getUser,
@@ -12,6 +19,12 @@ import {
   GeminiSummary,
   GeminiSummarySkeleton,
 } from "@/src/components/Reviews/ReviewSummary";
+import {
+  ReviewInsights,
+  ReviewInsightsSkeleton,
+} from "@/src/components/Reviews/ReviewInsights";
+import { PhotoGallery } from "@/src/components/PhotoGallery";
+import PhotoHistory from "@/src/components/PhotoHistory.jsx";
 import { getFirestore } from "firebase/firestore";
 
 export default async function Home(props) {
@@ -21,9 +34,26 @@ export default async function Home(props) {
   const params = await props.params;
   const { currentUser } = await getUser();
   const { firebaseServerApp } = await getAuthenticatedAppForUser();
-  const restaurant = await getRestaurantById(
-    getFirestore(firebaseServerApp),
-    params.id
+  const db = getFirestore(firebaseServerApp);
+  const restaurant = await getRestaurantById(db, params.id);
+  if (!restaurant) {
+    notFound();
+  }
+  // used to decide whether to offer editing or claiming the restaurant
+  const isAdmin = await isUserAdmin(db, currentUser?.uid);
+  const claim = await getRestaurantClaim(db, params.id, currentUser?.uid);
+  // owners and admins also see hidden photos, to restore them
+  const canManage = Boolean(
+    currentUser && (isAdmin || restaurant.ownerId === currentUser.uid)
+  );
+  const photos = await getRestaurantPhotos(db, params.id, {
+    includeHidden: canManage,
+  });
+  // reporters are private, so whether the user reported a photo is looked up
+  const reportedPhotoIds = await getReportedPhotoIds(
+    db,
+    params.id,
+    currentUser?.uid
   );
 
   return (
@@ -32,15 +62,37 @@ export default async function Home(props) {
         id={params.id}
         initialRestaurant={restaurant}
         initialUserId={currentUser?.uid || ""}
+        isAdmin={isAdmin}
+        initialClaimStatus={claim?.status || ""}
       >
         <Suspense fallback={<GeminiSummarySkeleton />}>
           <GeminiSummary restaurantId={params.id} />
         </Suspense>
       </Restaurant>
+      <Suspense fallback={<ReviewInsightsSkeleton />}>
+        <ReviewInsights restaurantId={params.id} />
+      </Suspense>
+      <PhotoHistory
+        restaurantId={params.id}
+        photos={photos}
+        currentPhotoId={restaurant.photoId}
+        canManage={canManage}
+        userId={currentUser?.uid || ""}
+        reportedPhotoIds={reportedPhotoIds}
+      />
+      <Suspense fallback={null}>
+        <PhotoGallery restaurantId={params.id} />
+      </Suspense>
       <Suspense
         fallback={<ReviewsListSkeleton numReviews={restaurant.numRatings} />}
       >
-        <ReviewsList restaurantId={params.id} userId={currentUser?.uid || ""} />
+        <ReviewsList
+          restaurantId={params.id}
+          userId={currentUser?.uid || ""}
+          canReply={Boolean(
+            currentUser && restaurant.ownerId === currentUser.uid
+          )}
+        />
       </Suspense>
     </main>
   );
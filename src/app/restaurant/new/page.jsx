@@ -0,0 +1,15 @@
+import RestaurantForm from "@/src/components/RestaurantForm.jsx";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
+
+export default async function NewRestaurant() {
+  // Only signed-in users can add restaurants, the server action checks again
+  const { currentUser } = await getAuthenticatedAppForUser();
+
+  return (
+    <main className="main__restaurant">
+      <article>
+        {currentUser ? <RestaurantForm /> : <p>Sign in to add a restaurant.</p>}
+      </article>
+    </main>
+  );
+}
@@ -0,0 +1,49 @@
+import UserProfile from "@/src/components/UserProfile.jsx";
+import { notFound } from "next/navigation";
+import {
+  getRestaurantNames,
+  getReviewsByUserId,
+  getUserProfile,
+} from "@/src/lib/firebase/firestore.js";
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp.js";
+import { getFirestore } from "firebase/firestore";
+
+// A user's public profile and the reviews they have written
+export default async function UserPage(props) {
+  const params = await props.params;
+  const userId = decodeURIComponent(params.uid);
+  const { firebaseServerApp } = await getAuthenticatedAppForUser();
+  const db = getFirestore(firebaseServerApp);
+
+  const [profile, reviews] = await Promise.all([
+    getUserProfile(db, userId),
+    getReviewsByUserId(db, userId),
+  ]);
+  if (!profile && reviews.length === 0) {
+    notFound();
+  }
+  const names = await getRestaurantNames(
+    db,
+    reviews.map((review) => review.restaurantId)
+  );
+
+  return (
+    <main className="main__restaurant">
+      <UserProfile
+        // users who haven't signed in since profiles were added have none yet
+        profile={
+          profile || {
+            id: userId,
+            displayName: reviews[0].userName || "Anonymous",
+            photoURL: reviews[0].userPhotoURL || null,
+            createdAt: null,
+          }
+        }
+        reviews={reviews.map((review) => ({
+          ...review,
+          restaurantName: names[review.restaurantId] || "a deleted restaurant",
+        }))}
+      />
+    </main>
+  );
+}
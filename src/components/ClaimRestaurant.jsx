@@ -0,0 +1,44 @@
+"use client";
+
+// Lets a signed-in user ask to become the owner of a restaurant that has
+// no owner yet. Claims are approved by an admin on /admin/claims.
+
+import { useActionState } from "react";
+import { handleRestaurantClaim } from "@/src/app/actions.js";
+
+export default function ClaimRestaurant({ restaurantId, initialStatus }) {
+  const [state, formAction, isPending] = useActionState(
+    handleRestaurantClaim,
+    null
+  );
+  const status = state?.ok ? "pending" : initialStatus;
+
+  if (status === "pending") {
+    return (
+      <p className="restaurant__claim">Your claim is waiting for review.</p>
+    );
+  }
+  if (status === "rejected") {
+    return <p className="restaurant__claim">Your claim was not approved.</p>;
+  }
+
+  return (
+    <form className="restaurant__claim" action={formAction}>
+      <input type="hidden" name="restaurantId" value={restaurantId} />
+      <input
+        type="text"
+        name="message"
+        aria-label="Why you own this restaurant"
+        placeholder="Tell us how you're connected to this restaurant"
+      />
+      <button type="submit" disabled={isPending}>
+        {isPending ? "Sending..." : "Claim this restaurant"}
+      </button>
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,81 @@
+"use client";
+
+// The admin's list of pending restaurant claims
+// It receives data from src/app/admin/claims/page.jsx
+
+import Link from "next/link";
+import { useActionState } from "react";
+import { handleClaimResolution } from "@/src/app/actions.js";
+
+function ClaimItem({ claim }) {
+  const [state, formAction, isPending] = useActionState(
+    handleClaimResolution,
+    null
+  );
+
+  return (
+    <li className="claim__item">
+      <p>
+        <strong>{claim.userName}</strong> claims{" "}
+        <Link href={`/restaurant/${claim.restaurantId}`}>
+          {claim.restaurantName}
+        </Link>
+      </p>
+      {claim.message && <p>{claim.message}</p>}
+      <time>
+        {new Intl.DateTimeFormat("en-GB", {
+          dateStyle: "medium",
+        }).format(claim.timestamp)}
+      </time>
+
+      {state?.ok ? (
+        <p>Done.</p>
+      ) : (
+        <form action={formAction}>
+          <input type="hidden" name="claimId" value={claim.id} />
+          <footer>
+            <menu>
+              <button
+                type="submit"
+                name="decision"
+                value="reject"
+                className="button--cancel"
+                disabled={isPending}
+              >
+                Reject
+              </button>
+              <button
+                type="submit"
+                name="decision"
+                value="approve"
+                className="button--confirm"
+                disabled={isPending}
+              >
+                Approve
+              </button>
+            </menu>
+          </footer>
+        </form>
+      )}
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+    </li>
+  );
+}
+
+export default function ClaimReviewList({ claims }) {
+  if (claims.length === 0) {
+    return <p>There are no claims waiting for review.</p>;
+  }
+
+  return (
+    <ul className="claims">
+      {claims.map((claim) => (
+        <ClaimItem key={claim.id} claim={claim} />
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,58 @@
+"use client";
+
+// Heart toggle that adds a restaurant to, or removes it from, the signed-in
+// user's favorites
+
+import { useEffect, useState } from "react";
+import {
+  getFavoriteIdsSnapshot,
+  setFavorite,
+} from "@/src/lib/firebase/firestore.js";
+import { db } from "@/src/lib/firebase/clientApp.js";
+
+// the set of the user's favorite restaurant IDs, kept up to date
+export function useFavoriteIds(userId) {
+  const [favoriteIds, setFavoriteIds] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+    return getFavoriteIdsSnapshot(userId, (ids) =>
+      setFavoriteIds(new Set(ids))
+    );
+  }, [userId]);
+
+  return favoriteIds;
+}
+
+export default function FavoriteButton({ userId, restaurantId, isFavorite }) {
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleClick = async () => {
+    setIsSaving(true);
+    try {
+      await setFavorite(db, userId, restaurantId, !isFavorite);
+    } catch (error) {
+      console.error("Could not update favorites", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      className={isFavorite ? "favorite favorite--on" : "favorite"}
+      aria-pressed={isFavorite}
+      aria-label={isFavorite ? "Remove from favorites" : "Add to favorites"}
+      title={isFavorite ? "Remove from favorites" : "Add to favorites"}
+      onClick={handleClick}
+      disabled={isSaving}
+    >
+      <svg viewBox="0 0 24 24" aria-hidden="true">
+        <path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z" />
+      </svg>
+    </button>
+  );
+}
@@ -1,17 +1,43 @@
 // The filters shown on the restaurant listings page
 
 import Tag from "@/src/components/Tag.jsx";
+import {
+  restaurantCategories,
+  restaurantCities,
+} from "@/src/lib/restaurantFields.js";
+import {
+  emptyFilters,
+  formatPrice,
+  priceOptions,
+  sortOptions,
+} from "@/src/lib/filters.js";
 
-function FilterSelect({ label, options, value, onChange, name, icon }) {
+// `formatOption` turns a value into its label, and `multiple` selects allow
+// picking several options (their value is an array)
+function FilterSelect({
+  label,
+  options,
+  value,
+  onChange,
+  name,
+  icon,
+  multiple = false,
+  formatOption = (option) => (option === "" ? "All" : option),
+}) {
   return (
     <div>
       <img src={icon} alt={label} />
       <label>
-        {label}
-        <select value={value} onChange={onChange} name={name}>
+        {multiple ? `${label} (pick one or more)` : label}
+        <select
+          value={value}
+          onChange={onChange}
+          name={name}
+          multiple={multiple}
+        >
           {options.map((option, index) => (
             <option value={option} key={index}>
-              {option === "" ? "All" : option}
+              {formatOption(option)}
             </option>
           ))}
         </select>
@@ -20,7 +46,54 @@ function FilterSelect({ label, options, value, onChange, name, icon }) {
   );
 }
 
-export default function Filters({ filters, setFilters }) {
+// Checkbox that limits the listing to the signed-in user's favorites
+function FavoritesToggle({ checked, onChange }) {
+  return (
+    <div>
+      <img src="/heart.svg" alt="Favorites" />
+      <label className="filter__checkbox">
+        <span>
+          <input
+            type="checkbox"
+            name="favorites"
+            value="1"
+            checked={checked}
+            onChange={onChange}
+          />{" "}
+          My favorites only
+        </span>
+      </label>
+    </div>
+  );
+}
+
+// Free-text search. The query is only applied when the form is submitted,
+// not on every keystroke.
+function SearchBox({ value, onSearch }) {
+  return (
+    <form
+      role="search"
+      className="search"
+      key={value} // reset the input when the query is cleared elsewhere
+      onSubmit={(event) => {
+        event.preventDefault();
+        onSearch(new FormData(event.target).get("q").trim());
+      }}
+    >
+      <input
+        type="search"
+        name="q"
+        defaultValue={value}
+        placeholder="Search restaurants, dishes, reviews..."
+        aria-label="Search restaurants"
+      />
+      <button type="submit">Search</button>
+    </form>
+  );
+}
+
+// `canFilterFavorites` is true when a user is signed in
+export default function Filters({ filters, setFilters, canFilterFavorites }) {
   const handleSelectionChange = (event, name) => {
     setFilters((prevFilters) => ({
       ...prevFilters,
@@ -28,18 +101,62 @@ export default function Filters({ filters, setFilters }) {
     }));
   };
 
+  // multiple selects report every selected option
+  const handleMultipleSelectionChange = (event, name) => {
+    const values = Array.from(event.target.selectedOptions).map(
+      (option) => option.value
+    );
+    setFilters((prevFilters) => ({ ...prevFilters, [name]: values }));
+  };
+
   const updateField = (type, value) => {
     setFilters({ ...filters, [type]: value });
   };
 
+  // remove one value from a list filter, or clear any other filter
+  const removeFilterValue = (type, value) => {
+    const current = filters[type];
+    updateField(
+      type,
+      Array.isArray(current) ? current.filter((item) => item !== value) : ""
+    );
+  };
+
+  // one tag per selected category and city, then the price and search query.
+  // The main filter bar already specifies what sorting is being used, so
+  // sorting isn't shown as a tag
+  const tags = [
+    ...filters.category.map((value) => ({ type: "category", value })),
+    ...filters.city.map((value) => ({ type: "city", value })),
+    filters.price && {
+      type: "price",
+      value: filters.price,
+      label: formatPrice(filters.price),
+    },
+    filters.q && { type: "q", value: filters.q, label: `"${filters.q}"` },
+    filters.favorites && {
+      type: "favorites",
+      value: filters.favorites,
+      label: "My favorites",
+    },
+  ].filter(Boolean);
+
   return (
     <section className="filter">
+      <SearchBox
+        value={filters.q || ""}
+        onSearch={(value) => updateField("q", value)}
+      />
       <details className="filter-menu">
         <summary>
           <img src="/filter.svg" alt="filter" />
           <div>
-            <p>Restaurants</p>
-            <p>Sorted by {filters.sort || "Rating"}</p>
+            <p>{filters.favorites ? "My favorites" : "Restaurants"}</p>
+            <p>
+              {filters.q
+                ? "Sorted by relevance"
+                : `Sorted by ${filters.sort || "Rating"}`}
+            </p>
           </div>
         </summary>
 
@@ -52,53 +169,30 @@ export default function Filters({ filters, setFilters }) {
         >
           <FilterSelect
             label="Category"
-            options={[
-              "",
-              "Italian",
-              "Chinese",
-              "Japanese",
-              "Mexican",
-              "Indian",
-              "Mediterranean",
-              "Caribbean",
-              "Cajun",
-              "German",
-              "Russian",
-              "Cuban",
-              "Organic",
-              "Tapas",
-            ]}
+            options={restaurantCategories}
             value={filters.category}
-            onChange={(event) => handleSelectionChange(event, "category")}
+            multiple
+            onChange={(event) =>
+              handleMultipleSelectionChange(event, "category")
+            }
             name="category"
             icon="/food.svg"
           />
 
           <FilterSelect
             label="City"
-            options={[
-              "",
-              "New York",
-              "Los Angeles",
-              "London",
-              "Paris",
-              "Tokyo",
-              "Mumbai",
-              "Dubai",
-              "Amsterdam",
-              "Seoul",
-              "Singapore",
-              "Istanbul",
-            ]}
+            options={restaurantCities}
             value={filters.city}
-            onChange={(event) => handleSelectionChange(event, "city")}
+            multiple
+            onChange={(event) => handleMultipleSelectionChange(event, "city")}
             name="city"
             icon="/location.svg"
           />
 
           <FilterSelect
             label="Price"
-            options={["", "$", "$$", "$$$", "$$$$"]}
+            options={priceOptions}
+            formatOption={formatPrice}
             value={filters.price}
             onChange={(event) => handleSelectionChange(event, "price")}
             name="price"
@@ -107,25 +201,32 @@ export default function Filters({ filters, setFilters }) {
 
           <FilterSelect
             label="Sort"
-            options={["Rating", "Review"]}
+            options={sortOptions}
             value={filters.sort}
             onChange={(event) => handleSelectionChange(event, "sort")}
             name="sort"
             icon="/sortBy.svg"
           />
 
+          {canFilterFavorites && (
+            <FavoritesToggle
+              checked={filters.favorites === "1"}
+              onChange={(event) =>
+                setFilters((prevFilters) => ({
+                  ...prevFilters,
+                  favorites: event.target.checked ? "1" : "",
+                }))
+              }
+            />
+          )}
+
           <footer>
             <menu>
               <button
                 className="button--cancel"
                 type="reset"
                 onClick={() => {
-                  setFilters({
-                    city: "",
-                    category: "",
-                    price: "",
-                    sort: "",
-                  });
+                  setFilters(emptyFilters);
                 }}
               >
                 Reset
@@ -139,22 +240,15 @@ export default function Filters({ filters, setFilters }) {
       </details>
 
       <div className="tags">
-        {Object.entries(filters).map(([type, value]) => {
-          // The main filter bar already specifies what
-          // sorting is being used. So skip showing the
-          // sorting as a 'tag'
-          if (type == "sort" || value == "") {
-            return null;
-          }
-          return (
-            <Tag
-              key={value}
-              type={type}
-              value={value}
-              updateField={updateField}
-            />
-          );
-        })}
+        {tags.map(({ type, value, label }) => (
+          <Tag
+            key={`${type}-${value}`}
+            type={type}
+            value={value}
+            label={label}
+            removeValue={removeFilterValue}
+          />
+        ))}
       </div>
     </section>
   );
@@ -6,7 +6,9 @@ import {
   signOut,
   onIdTokenChanged,
 } from "@/src/lib/firebase/auth.js";
-import { addFakeRestaurantsAndReviews } from "@/src/lib/firebase/firestore.js";
+import { ensureUserProfile } from "@/src/lib/firebase/firestore.js";
+import { db } from "@/src/lib/firebase/clientApp.js";
+import { USE_EMULATORS } from "@/src/lib/firebase/emulators.js";
 import { setCookie, deleteCookie } from "cookies-next";
 
 function useUserSession(initialUser) {
@@ -15,6 +17,10 @@ function useUserSession(initialUser) {
       if (user) {
         const idToken = await user.getIdToken();
         await setCookie("__session", idToken);
+        // the profile page and review links need a users/{uid} document
+        await ensureUserProfile(db, user).catch((error) =>
+          console.error("Could not save the user profile", error)
+        );
       } else {
         await deleteCookie("__session");
       }
@@ -42,51 +48,69 @@ export default function Header({ initialUser }) {
   };
 
   return (
-    <header>
-      <Link href="/" className="logo">
-        <img src="/friendly-eats.svg" alt="FriendlyEats" />
-        Friendly Eats
-      </Link>
-      {user ? (
-        <>
-          <div className="profile">
-            <p>
-              <img
-                className="profileImage"
-                src={user.photoURL || "/profile.svg"}
-                alt={user.email}
-              />
-              {user.displayName}
-            </p>
+    <>
+      {USE_EMULATORS && (
+        <p className="emulator__banner" role="status">
+          Emulator mode: data is stored in the local Firebase emulators, not in
+          production.
+        </p>
+      )}
+      <header>
+        <Link href="/" className="logo">
+          <img src="/friendly-eats.svg" alt="FriendlyEats" />
+          Friendly Eats
+        </Link>
+        {user ? (
+          <>
+            <div className="profile">
+              <p>
+                <img
+                  className="profileImage"
+                  src={user.photoURL || "/profile.svg"}
+                  alt={user.email}
+                />
+                {user.displayName}
+              </p>
+
+              <div className="menu">
+                ...
+                <ul>
+                  <li>{user.displayName}</li>
+
+                  <li>
+                    <Link href={`/user/${user.uid}`}>My reviews</Link>
+                  </li>
 
-            <div className="menu">
-              ...
-              <ul>
-                <li>{user.displayName}</li>
+                  <li>
+                    <Link href="/?favorites=1">My favorites</Link>
+                  </li>
 
-                <li>
-                  <a href="#" onClick={addFakeRestaurantsAndReviews}>
-                    Add sample restaurants
-                  </a>
-                </li>
+                  <li>
+                    <Link href="/lists">My lists</Link>
+                  </li>
 
-                <li>
-                  <a href="#" onClick={handleSignOut}>
-                    Sign Out
-                  </a>
-                </li>
-              </ul>
+                  <li>
+                    <Link href="/restaurant/new">Add a restaurant</Link>
+                  </li>
+
+                  <li>
+                    <a href="#" onClick={handleSignOut}>
+                      Sign Out
+                    </a>
+                  </li>
+                </ul>
+              </div>
             </div>
+          </>
+        ) : (
+          <div className="profile">
+            <a href="#" onClick={handleSignIn}>
+              <img src="/profile.svg" alt="A placeholder user image" />
+              Sign In with Google
+            </a>
           </div>
-        </>
-      ) : (
-        <div className="profile">
-          <a href="#" onClick={handleSignIn}>
-            <img src="/profile.svg" alt="A placeholder user image" />
-            Sign In with Google
-          </a>
-        </div>
-      )}
-    </header>
+        )}
+      </header>
+    </>
   );
 }
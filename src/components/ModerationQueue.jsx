@@ -0,0 +1,190 @@
+"use client";
+
+// The admin's lists of reviews held by moderation and of reported reviews
+// They receive data from src/app/admin/reviews/page.jsx
+
+import Link from "next/link";
+import { useActionState } from "react";
+import Stars from "@/src/components/Stars.jsx";
+import {
+  handleReviewModeration,
+  handleReviewReportResolution,
+} from "@/src/app/actions.js";
+
+// how each ModerationCategory (see src/lib/ai/moderation.js) is shown
+const CATEGORY_LABELS = {
+  spam: "Spam",
+  abuse: "Abuse",
+  offTopic: "Off-topic",
+  personalData: "Personal data",
+};
+
+// who wrote the review, where, and what it says
+function ReviewSummary({ review }) {
+  return (
+    <>
+      <p>
+        <strong>{review.userName || "Anonymous"}</strong> reviewed{" "}
+        <Link href={`/restaurant/${review.restaurantId}`}>
+          {review.restaurantName}
+        </Link>
+      </p>
+      <Stars className="restaurant__rating" rating={review.rating} />
+      <p>{review.text}</p>
+      {review.moderation && (
+        <p className="moderation__reason">
+          Flagged as{" "}
+          {review.moderation.categories
+            .map((category) => CATEGORY_LABELS[category])
+            .join(", ")}
+          {review.moderation.reason && `: ${review.moderation.reason}`}
+        </p>
+      )}
+      <time>
+        {new Intl.DateTimeFormat("en-GB", {
+          dateStyle: "medium",
+        }).format(review.timestamp)}
+      </time>
+    </>
+  );
+}
+
+function PendingReview({ review }) {
+  const [state, formAction, isPending] = useActionState(
+    handleReviewModeration,
+    null
+  );
+
+  return (
+    <li className="claim__item">
+      <ReviewSummary review={review} />
+
+      {state?.ok ? (
+        <p>Done.</p>
+      ) : (
+        <form action={formAction}>
+          <input
+            type="hidden"
+            name="restaurantId"
+            value={review.restaurantId}
+          />
+          <input type="hidden" name="reviewId" value={review.id} />
+          <footer>
+            <menu>
+              <button
+                type="submit"
+                name="decision"
+                value="reject"
+                className="button--cancel"
+                disabled={isPending}
+              >
+                Reject
+              </button>
+              <button
+                type="submit"
+                name="decision"
+                value="approve"
+                className="button--confirm"
+                disabled={isPending}
+              >
+                Publish
+              </button>
+            </menu>
+          </footer>
+        </form>
+      )}
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+    </li>
+  );
+}
+
+export default function ModerationQueue({ reviews }) {
+  if (reviews.length === 0) {
+    return <p>There are no reviews waiting for moderation.</p>;
+  }
+
+  return (
+    <ul className="claims">
+      {reviews.map((review) => (
+        <PendingReview key={review.id} review={review} />
+      ))}
+    </ul>
+  );
+}
+
+function ReportedReview({ review }) {
+  const [state, formAction, isPending] = useActionState(
+    handleReviewReportResolution,
+    null
+  );
+  const reports = review.reportCount || 0;
+
+  return (
+    <li className="claim__item">
+      <ReviewSummary review={review} />
+      <p className="moderation__reason">
+        Reported {reports === 1 ? "once" : `${reports} times`}
+      </p>
+
+      {state?.ok ? (
+        <p>Done.</p>
+      ) : (
+        <form action={formAction}>
+          <input
+            type="hidden"
+            name="restaurantId"
+            value={review.restaurantId}
+          />
+          <input type="hidden" name="reviewId" value={review.id} />
+          <footer>
+            <menu>
+              <button
+                type="submit"
+                name="decision"
+                value="remove"
+                className="button--cancel"
+                disabled={isPending}
+              >
+                Remove
+              </button>
+              <button
+                type="submit"
+                name="decision"
+                value="keep"
+                className="button--confirm"
+                disabled={isPending}
+              >
+                Dismiss reports
+              </button>
+            </menu>
+          </footer>
+        </form>
+      )}
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+    </li>
+  );
+}
+
+// Published reviews that users reported, which stay up until an admin
+// removes them or dismisses the reports
+export function ReportedReviewQueue({ reviews }) {
+  if (reviews.length === 0) {
+    return <p>There are no reported reviews.</p>;
+  }
+
+  return (
+    <ul className="claims">
+      {reviews.map((review) => (
+        <ReportedReview key={review.id} review={review} />
+      ))}
+    </ul>
+  );
+}
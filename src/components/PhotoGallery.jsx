@@ -0,0 +1,35 @@
+import { getReviewPhotos } from "@/src/lib/firebase/firestore.js"; // photos of the restaurant's reviews
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp"; // helper to get a server-authenticated Firebase app
+import { getFirestore } from "firebase/firestore"; // Firestore client constructor
+
+// Gallery of the photos reviewers have attached to their reviews
+export async function PhotoGallery({ restaurantId }) {
+  const { firebaseServerApp } = await getAuthenticatedAppForUser();
+  const photos = await getReviewPhotos(
+    getFirestore(firebaseServerApp),
+    restaurantId
+  );
+
+  if (photos.length === 0) {
+    return null; // no section until someone adds a photo
+  }
+
+  return (
+    <section className="gallery">
+      <h2>Photos from reviews</h2>
+      <ul>
+        {photos.map((photo) => (
+          <li key={photo.url}>
+            <a href={photo.url} target="_blank" rel="noreferrer">
+              <img
+                src={photo.thumbnailUrl}
+                alt={`Photo by ${photo.userName}`}
+                loading="lazy"
+              />
+            </a>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
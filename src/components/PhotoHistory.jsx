@@ -0,0 +1,199 @@
+"use client";
+
+// The photos that have been uploaded for a restaurant. Owners and admins can
+// pick the main photo, go back to an earlier one, and hide or restore photos;
+// other signed-in users can report them.
+// It receives data from src/app/restaurant/[id]/page.jsx
+
+import { useActionState } from "react";
+import { useRouter } from "next/navigation";
+import {
+  handlePhotoReport,
+  handleRestaurantPhotoChange,
+} from "@/src/app/actions.js";
+
+// see PhotoStatus in src/lib/firebase/firestore.js
+const HIDDEN = "hidden";
+const REPORTED = "reported";
+
+// useActionState for a photo action, reloading the page data once it succeeds
+function usePhotoAction(action) {
+  const router = useRouter();
+  return useActionState(async (prevState, formData) => {
+    const result = await action(prevState, formData);
+    if (result.ok) {
+      router.refresh(); // fetch the history again
+    }
+    return result;
+  }, null);
+}
+
+function PhotoChangeButton({ restaurantId, photoId, change, children }) {
+  const [state, formAction, isPending] = usePhotoAction(
+    handleRestaurantPhotoChange
+  );
+
+  return (
+    <form action={formAction}>
+      <input type="hidden" name="restaurantId" value={restaurantId} />
+      <input type="hidden" name="photoId" value={photoId} />
+      <button type="submit" name="change" value={change} disabled={isPending}>
+        {children}
+      </button>
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+    </form>
+  );
+}
+
+function ReportPhotoButton({ restaurantId, photoId }) {
+  const [state, formAction, isPending] = usePhotoAction(handlePhotoReport);
+
+  return (
+    <form action={formAction}>
+      <input type="hidden" name="restaurantId" value={restaurantId} />
+      <input type="hidden" name="photoId" value={photoId} />
+      <button type="submit" disabled={isPending}>
+        Report
+      </button>
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+    </form>
+  );
+}
+
+function PhotoItem({
+  photo,
+  restaurantId,
+  isCurrent,
+  canManage,
+  userId,
+  reported,
+}) {
+  const isHidden = photo.status === HIDDEN;
+  const reports = photo.reportCount || 0;
+
+  return (
+    <li
+      className={isHidden ? "photo__item photo__item--hidden" : "photo__item"}
+    >
+      <a href={photo.url} target="_blank" rel="noreferrer">
+        <img
+          src={photo.variants?.thumbnail || photo.url}
+          alt={`Photo by ${photo.uploaderName}`}
+          loading="lazy"
+        />
+      </a>
+      <p>
+        {photo.uploaderName}
+        <br />
+        <time>
+          {new Intl.DateTimeFormat("en-GB", {
+            dateStyle: "medium",
+          }).format(photo.createdAt)}
+        </time>
+      </p>
+      {isCurrent && <p className="photo__badge">Main photo</p>}
+      {canManage && isHidden && <p className="photo__badge">Hidden</p>}
+      {canManage && photo.status === REPORTED && (
+        <p className="photo__badge">
+          Reported {reports === 1 ? "once" : `${reports} times`}
+        </p>
+      )}
+
+      {canManage ? (
+        <menu>
+          {!isCurrent && !isHidden && (
+            <PhotoChangeButton
+              restaurantId={restaurantId}
+              photoId={photo.id}
+              change="hero"
+            >
+              Use as main photo
+            </PhotoChangeButton>
+          )}
+          {isHidden || photo.status === REPORTED ? (
+            <PhotoChangeButton
+              restaurantId={restaurantId}
+              photoId={photo.id}
+              change="restore"
+            >
+              {isHidden ? "Restore" : "Dismiss reports"}
+            </PhotoChangeButton>
+          ) : null}
+          {!isHidden && (
+            <PhotoChangeButton
+              restaurantId={restaurantId}
+              photoId={photo.id}
+              change="hide"
+            >
+              Hide
+            </PhotoChangeButton>
+          )}
+        </menu>
+      ) : (
+        userId &&
+        photo.uploaderId !== userId &&
+        !reported && (
+          <menu>
+            <ReportPhotoButton restaurantId={restaurantId} photoId={photo.id} />
+          </menu>
+        )
+      )}
+    </li>
+  );
+}
+
+export default function PhotoHistory({
+  restaurantId,
+  photos,
+  currentPhotoId,
+  canManage,
+  userId,
+  reportedPhotoIds = [],
+}) {
+  if (photos.length === 0) {
+    return null; // no section until someone uploads a photo
+  }
+
+  // the newest photo uploaded before the current main photo
+  const currentIndex = photos.findIndex((photo) => photo.id === currentPhotoId);
+  const previous =
+    currentIndex === -1
+      ? null
+      : photos.slice(currentIndex + 1).find((photo) => photo.status !== HIDDEN);
+
+  return (
+    <section className="gallery photo__history">
+      <h2>Restaurant photos</h2>
+      {canManage && previous && (
+        <PhotoChangeButton
+          restaurantId={restaurantId}
+          photoId={previous.id}
+          change="hero"
+        >
+          Revert to the previous photo
+        </PhotoChangeButton>
+      )}
+      <ul>
+        {photos.map((photo) => (
+          <PhotoItem
+            key={photo.id}
+            photo={photo}
+            restaurantId={restaurantId}
+            isCurrent={photo.id === currentPhotoId}
+            canManage={canManage}
+            userId={userId}
+            reported={reportedPhotoIds.includes(photo.id)}
+          />
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,38 @@
+// Bar chart of a restaurant's average rating for each aspect, see
+// src/lib/ratingAspects.js
+
+import { ASPECT_LABELS, RATING_ASPECTS } from "@/src/lib/ratingAspects.js";
+
+export default function RatingBreakdown({ aspectRatings = {} }) {
+  const rated = RATING_ASPECTS.filter(
+    (aspect) => aspectRatings[aspect]?.numRatings > 0
+  );
+  if (rated.length === 0) {
+    return null; // restaurants without aspect ratings have nothing to break down
+  }
+
+  return (
+    <section className="rating-breakdown">
+      <h2>Ratings breakdown</h2>
+      <dl>
+        {rated.map((aspect) => {
+          const { avgRating, numRatings } = aspectRatings[aspect];
+          return (
+            <div key={aspect} className="rating-breakdown__row">
+              <dt>{ASPECT_LABELS[aspect]}</dt>
+              <dd>
+                <span className="rating-breakdown__bar" aria-hidden="true">
+                  <span style={{ width: `${(avgRating / 5) * 100}%` }} />
+                </span>
+                {avgRating.toFixed(1)} out of 5{" "}
+                <span className="rating-breakdown__count">
+                  ({numRatings} {numRatings === 1 ? "rating" : "ratings"})
+                </span>
+              </dd>
+            </div>
+          );
+        })}
+      </dl>
+    </section>
+  );
+}
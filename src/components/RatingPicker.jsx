@@ -1,66 +1,108 @@
-import React from "react";
+"use client";
 
-// A HTML and CSS only rating picker thanks to: https://codepen.io/chris22smith/pen/MJzLJN
+import { useEffect, useId, useRef, useState } from "react";
+import {
+  ASPECT_LABELS,
+  aspectFieldName,
+  RATING_ASPECTS,
+} from "@/src/lib/ratingAspects.js";
+import { STAR_VALUES } from "@/src/lib/ratingStats.js";
 
-const RatingPicker = () => {
-  return (
-    <p className="rating-picker">
-      <input
-        className="radio-input"
-        type="radio"
-        id="star5"
-        name="rating"
-        value="5"
-      />
-      <label className="radio-label" htmlFor="star5" title="5 stars">
-        5 stars
-      </label>
+// A star rating input built on a group of native radio buttons, so it works
+// with the keyboard (Tab into the group, arrow keys to change the rating) and
+// screen readers announce each option, e.g. "4 stars, radio button, 4 of 5".
+// The radios and their text are visually hidden, the labels show stars.
 
-      <input
-        className="radio-input"
-        type="radio"
-        id="star4"
-        name="rating"
-        value="4"
-      />
-      <label className="radio-label" htmlFor="star4" title="4 stars">
-        4 stars
-      </label>
+// `legend` names what is being rated, `name` is the form field and
+// `defaultValue` pre-selects a rating (used when editing a review).
+// A `required` picker blocks the form from submitting until a rating is
+// chosen and tells the user why.
+const RatingPicker = ({
+  legend = "Rating",
+  name = "rating",
+  defaultValue,
+  required = false,
+}) => {
+  const errorId = useId();
+  const fieldset = useRef();
+  const [value, setValue] = useState(Number(defaultValue) || 0);
+  const [hovered, setHovered] = useState(0); // previews a rating under the pointer
+  const [invalid, setInvalid] = useState(false);
 
-      <input
-        className="radio-input"
-        type="radio"
-        id="star3"
-        name="rating"
-        value="3"
-      />
-      <label className="radio-label" htmlFor="star3" title="3 stars">
-        3 stars
-      </label>
+  // the radios are uncontrolled, so follow them back when the form is reset
+  useEffect(() => {
+    const form = fieldset.current.form;
+    const handleReset = () => {
+      setValue(Number(defaultValue) || 0);
+      setInvalid(false);
+    };
+    form?.addEventListener("reset", handleReset);
+    return () => form?.removeEventListener("reset", handleReset);
+  }, [defaultValue]);
 
-      <input
-        className="radio-input"
-        type="radio"
-        id="star2"
-        name="rating"
-        value="2"
-      />
-      <label className="radio-label" htmlFor="star2" title="2 stars">
-        2 stars
-      </label>
+  const shown = hovered || value;
 
-      <input
-        className="radio-input"
-        type="radio"
-        id="star1"
-        name="rating"
-        value="1"
-      />
-      <label className="radio-label" htmlFor="star1" title="1 star">
-        1 star
-      </label>
-    </p>
+  return (
+    <fieldset
+      ref={fieldset}
+      className="rating-picker"
+      aria-describedby={invalid ? errorId : undefined}
+    >
+      <legend>{legend}</legend>
+      <span className="rating-picker__stars" onMouseLeave={() => setHovered(0)}>
+        {STAR_VALUES.map((stars) => (
+          <label
+            key={stars}
+            className={`rating-picker__star${
+              stars <= shown ? " rating-picker__star--on" : ""
+            }`}
+            title={`${stars} ${stars === 1 ? "star" : "stars"}`}
+            onMouseEnter={() => setHovered(stars)}
+          >
+            <input
+              className="visually-hidden"
+              type="radio"
+              name={name}
+              value={stars}
+              defaultChecked={Number(defaultValue) === stars}
+              required={required}
+              onChange={() => {
+                setValue(stars);
+                setInvalid(false);
+              }}
+              onInvalid={() => setInvalid(true)}
+            />
+            <span className="visually-hidden">
+              {stars} {stars === 1 ? "star" : "stars"}
+            </span>
+          </label>
+        ))}
+      </span>
+      {invalid && (
+        <p id={errorId} className="form__error" role="alert">
+          Please choose a rating from 1 to 5 stars.
+        </p>
+      )}
+    </fieldset>
   );
 };
 
+// Optional pickers for each rating aspect, see src/lib/ratingAspects.js.
+// `defaultValues` pre-selects the ratings of a review being edited.
+export function AspectRatingPickers({ defaultValues = {} }) {
+  return (
+    <fieldset className="aspect-pickers">
+      <legend>Rate the details (optional)</legend>
+      {RATING_ASPECTS.map((aspect) => (
+        <RatingPicker
+          key={aspect}
+          legend={ASPECT_LABELS[aspect]}
+          name={aspectFieldName(aspect)}
+          defaultValue={defaultValues[aspect]}
+        />
+      ))}
+    </fieldset>
+  );
+}
+
 export default RatingPicker;
@@ -8,7 +8,13 @@ import dynamic from "next/dynamic"; // dynamic import helper for code-splitting
 import { getRestaurantSnapshotById } from "@/src/lib/firebase/firestore.js"; // realtime Firestore helper
 import { useUser } from "@/src/lib/getUser"; // custom hook to get the current user
 import RestaurantDetails from "@/src/components/RestaurantDetails.jsx"; // presentational child component
-import { updateRestaurantImage } from "@/src/lib/firebase/storage.js"; // helper to upload images and update refs
+import RatingBreakdown from "@/src/components/RatingBreakdown.jsx"; // per-aspect average ratings
+import { useFavoriteIds } from "@/src/components/FavoriteButton.jsx"; // the user's favorite restaurants
+import {
+  updateRestaurantImage,
+  UploadErrorCode,
+} from "@/src/lib/firebase/storage.js"; // helper to upload images and update refs
+import { validateImage } from "@/src/lib/images.js"; // checks type and size before uploading
 
 const ReviewDialog = dynamic(() => import("@/src/components/ReviewDialog.jsx")); // load ReviewDialog lazily
 
@@ -16,6 +22,8 @@ export default function Restaurant({
   id,
   initialRestaurant,
   initialUserId,
+  isAdmin,
+  initialClaimStatus,
   children,
 }) {
   const [restaurantDetails, setRestaurantDetails] = useState(initialRestaurant); // store restaurant data in state
@@ -23,11 +31,21 @@ export default function Restaurant({
 
   // The only reason this component needs to know the user ID is to associate a review with the user, and to know whether to show the review dialog
   const userId = useUser()?.uid || initialUserId; // prefer logged-in user ID, fallback to server-provided initialUserId
+  const favoriteIds = useFavoriteIds(userId); // to show whether this restaurant is a favorite
   const [review, setReview] = useState({
     rating: 0,
     text: "",
   }); // local state for an in-progress review
 
+  // the photo being uploaded: {file, preview, progress, error, controller}
+  const [upload, setUpload] = useState(null);
+  const preview = upload?.preview;
+  useEffect(() => {
+    // free the preview once it is no longer shown, i.e. the upload finished,
+    // was dismissed or replaced, or the page was left
+    return () => preview && URL.revokeObjectURL(preview);
+  }, [preview]);
+
   const onChange = (value, name) => {
     setReview({ ...review, [name]: value }); // update a single field in the review object
   };
@@ -37,9 +55,53 @@ export default function Restaurant({
     if (!image) {
       return; // no-op if there's no file
     }
+    target.value = ""; // so that picking the same file again fires onChange
+    try {
+      validateImage(image);
+    } catch (error) {
+      window.alert(error.message); // e.g. not an image, or too large
+      return;
+    }
+
+    await uploadRestaurantImage(image);
+  }
+
+  async function uploadRestaurantImage(image) {
+    upload?.controller?.abort(); // a new photo replaces one still uploading
+    const controller = new AbortController();
+    setUpload({
+      file: image,
+      preview: URL.createObjectURL(image), // shown while uploading, and after a failure
+      progress: 0,
+      error: null,
+      controller,
+    });
 
-    const imageURL = await updateRestaurantImage(id, image); // upload and get public URL
-    setRestaurantDetails({ ...restaurantDetails, photo: imageURL }); // update state with new photo URL
+    try {
+      const imageURL = await updateRestaurantImage(id, image, {
+        signal: controller.signal,
+        onProgress: (progress) =>
+          setUpload((current) =>
+            current?.controller === controller
+              ? { ...current, progress }
+              : current
+          ),
+      }); // upload and get public URL
+      setRestaurantDetails((details) => ({ ...details, photo: imageURL })); // update state with new photo URL
+      setUpload((current) =>
+        current?.controller === controller ? null : current
+      );
+    } catch (error) {
+      // the old photo is still in place, so going back to it is all the
+      // rollback needed; keep the file around in case the user retries
+      setUpload((current) =>
+        current?.controller !== controller
+          ? current
+          : error.code === UploadErrorCode.CANCELED
+            ? null
+            : { ...current, error, controller: null }
+      );
+    }
   }
 
   const handleClose = () => {
@@ -60,11 +122,21 @@ export default function Restaurant({
         restaurant={restaurantDetails}
         userId={userId}
         handleRestaurantImage={handleRestaurantImage}
+        upload={upload}
+        onCancelUpload={() => upload?.controller?.abort()}
+        onRetryUpload={() => uploadRestaurantImage(upload.file)}
+        onDismissUpload={() => setUpload(null)}
         setIsOpen={setIsOpen}
         isOpen={isOpen}
+        canEdit={Boolean(
+          userId && (isAdmin || restaurantDetails.ownerId === userId)
+        )} // owners and admins can edit the details
+        claimStatus={initialClaimStatus}
+        isFavorite={favoriteIds.has(id)}
       >
         {children}
       </RestaurantDetails>
+      <RatingBreakdown aspectRatings={restaurantDetails.aspectRatings} />
       {userId && (
         <Suspense fallback={<p>Loading...</p>}>
           <ReviewDialog
@@ -72,7 +144,6 @@ export default function Restaurant({
             handleClose={handleClose}
             review={review}
             onChange={onChange}
-            userId={userId}
             id={id}
           />
         </Suspense>
@@ -1,19 +1,38 @@
 // This component shows restaurant metadata, and offers some actions to the user like uploading a new restaurant image, and adding a review.
 
 import React from "react";
-import renderStars from "@/src/components/Stars.jsx";
+import Link from "next/link";
+import Stars from "@/src/components/Stars.jsx";
+import ClaimRestaurant from "@/src/components/ClaimRestaurant.jsx";
+import FavoriteButton from "@/src/components/FavoriteButton.jsx";
+import SaveToList from "@/src/components/SaveToList.jsx";
+import { STAR_VALUES } from "@/src/lib/ratingStats.js";
 
 const RestaurantDetails = ({
   restaurant,
   userId,
   handleRestaurantImage,
+  upload,
+  onCancelUpload,
+  onRetryUpload,
+  onDismissUpload,
   setIsOpen,
   isOpen,
+  canEdit,
+  claimStatus,
+  isFavorite,
   children,
 }) => {
   return (
     <section className="img__section">
-      <img src={restaurant.photo} alt={restaurant.name} />
+      <img
+        src={
+          upload && !upload.error
+            ? upload.preview
+            : restaurant.photo || "/food.svg"
+        }
+        alt={restaurant.name}
+      />
 
       <div className="actions">
         {userId && (
@@ -44,18 +63,53 @@ const RestaurantDetails = ({
 
       <div className="details__container">
         <div className="details">
-          <h2>{restaurant.name}</h2>
+          <h2>
+            {restaurant.name}
+            {userId && (
+              <FavoriteButton
+                userId={userId}
+                restaurantId={restaurant.id}
+                isFavorite={isFavorite}
+              />
+            )}
+          </h2>
 
           <div className="restaurant__rating">
-            <ul>{renderStars(restaurant.avgRating)}</ul>
+            <Stars rating={restaurant.avgRating} />
 
             <span>({restaurant.numRatings})</span>
           </div>
+          <RatingHistogram ratingCounts={restaurant.ratingCounts} />
 
           <p>
             {restaurant.category} | {restaurant.city}
           </p>
           <p>{"$".repeat(restaurant.price)}</p>
+          {canEdit && (
+            <Link
+              className="restaurant__edit"
+              href={`/restaurant/${restaurant.id}/edit`}
+            >
+              Edit details
+            </Link>
+          )}
+          {userId && (
+            <SaveToList userId={userId} restaurantId={restaurant.id} />
+          )}
+          {userId && !restaurant.ownerId && (
+            <ClaimRestaurant
+              restaurantId={restaurant.id}
+              initialStatus={claimStatus}
+            />
+          )}
+          {upload && (
+            <UploadStatus
+              upload={upload}
+              onCancel={onCancelUpload}
+              onRetry={onRetryUpload}
+              onDismiss={onDismissUpload}
+            />
+          )}
           {children}
         </div>
       </div>
@@ -63,4 +117,68 @@ const RestaurantDetails = ({
   );
 };
 
+// How many reviews gave each number of stars, 5 stars first. Restaurants
+// from before the histogram existed don't have one.
+function RatingHistogram({ ratingCounts }) {
+  const total = STAR_VALUES.reduce(
+    (sum, stars) => sum + (ratingCounts?.[stars] || 0),
+    0
+  );
+  if (!total) {
+    return null;
+  }
+
+  return (
+    <dl className="rating-histogram">
+      {[...STAR_VALUES].reverse().map((stars) => {
+        const count = ratingCounts[stars] || 0;
+        return (
+          <div key={stars} className="rating-histogram__row">
+            <dt>{stars} ★</dt>
+            <dd>
+              <span className="rating-histogram__bar" aria-hidden="true">
+                <span style={{ width: `${(count / total) * 100}%` }} />
+              </span>
+              {count}
+            </dd>
+          </div>
+        );
+      })}
+    </dl>
+  );
+}
+
+// Progress of a new photo, or why it failed with a way to retry or keep the
+// current photo
+function UploadStatus({ upload, onCancel, onRetry, onDismiss }) {
+  if (upload.error) {
+    return (
+      <div className="restaurant__upload" role="alert">
+        <p>{upload.error.message}</p>
+        {upload.error.retryable && (
+          <button type="button" onClick={onRetry}>
+            Retry
+          </button>
+        )}
+        <button type="button" onClick={onDismiss}>
+          Keep current photo
+        </button>
+      </div>
+    );
+  }
+
+  const percent = Math.round(upload.progress * 100);
+  return (
+    <div className="restaurant__upload">
+      <progress value={upload.progress} max={1} aria-label="Photo upload">
+        {percent}%
+      </progress>
+      <span>Uploading photo... {percent}%</span>
+      <button type="button" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+}
+
 export default RestaurantDetails;
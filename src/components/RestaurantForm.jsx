@@ -0,0 +1,182 @@
+"use client";
+
+// This component shows the form used to create a restaurant, or to edit an
+// existing one when a `restaurant` is passed in.
+// The fields are validated again by the server action it submits to.
+
+import { useActionState, useRef } from "react";
+import { useRouter } from "next/navigation";
+import { createRestaurant, handleRestaurantUpdate } from "@/src/app/actions.js";
+import { updateRestaurantImage } from "@/src/lib/firebase/storage.js";
+import { ALLOWED_IMAGE_TYPES, validateImage } from "@/src/lib/images.js";
+import { ActionErrorCode, actionError } from "@/src/lib/errors.js";
+import {
+  restaurantCategories,
+  restaurantCities,
+  restaurantPrices,
+  MAX_RESTAURANT_NAME_LENGTH,
+} from "@/src/lib/restaurantFields.js";
+
+function FieldError({ errors, name }) {
+  if (!errors?.[name]) {
+    return null;
+  }
+  return (
+    <span className="form__error" role="alert">
+      {errors[name]}
+    </span>
+  );
+}
+
+export default function RestaurantForm({ restaurant }) {
+  const router = useRouter();
+  const photoInput = useRef(); // the photo isn't sent to the server action
+  const isEditing = Boolean(restaurant);
+
+  const [state, formAction, isPending] = useActionState(
+    async (prevState, formData) => {
+      const photo = photoInput.current.files[0];
+      if (photo) {
+        try {
+          validateImage(photo); // before anything is saved
+        } catch (error) {
+          return {
+            ...actionError(ActionErrorCode.INVALID_ARGUMENT, error.message),
+            fieldErrors: { photo: error.message },
+          };
+        }
+      }
+
+      const submit = isEditing ? handleRestaurantUpdate : createRestaurant;
+      const result = await submit(prevState, formData);
+      if (!result.ok) {
+        return result;
+      }
+
+      if (photo) {
+        try {
+          await updateRestaurantImage(result.id, photo); // upload under the new restaurant's ID
+        } catch (error) {
+          // the restaurant is saved; the photo can be added from its page
+          window.alert(`${error.message} You can add a photo later.`);
+        }
+      }
+      router.push(`/restaurant/${result.id}`);
+      return result;
+    },
+    null
+  );
+  const fieldErrors = state?.fieldErrors;
+
+  return (
+    <form className="restaurant-form" action={formAction}>
+      <header>
+        <h2>{isEditing ? "Edit restaurant" : "Add a restaurant"}</h2>
+      </header>
+
+      {isEditing && (
+        <input type="hidden" name="restaurantId" value={restaurant.id} />
+      )}
+
+      <label>
+        Name
+        <input
+          type="text"
+          name="name"
+          required
+          maxLength={MAX_RESTAURANT_NAME_LENGTH}
+          defaultValue={restaurant?.name}
+        />
+        <FieldError errors={fieldErrors} name="name" />
+      </label>
+
+      <label>
+        Category
+        <select
+          name="category"
+          required
+          defaultValue={restaurant?.category || ""}
+        >
+          <option value="" disabled>
+            Pick a category
+          </option>
+          {restaurantCategories.map((category) => (
+            <option value={category} key={category}>
+              {category}
+            </option>
+          ))}
+        </select>
+        <FieldError errors={fieldErrors} name="category" />
+      </label>
+
+      <label>
+        City
+        <select name="city" required defaultValue={restaurant?.city || ""}>
+          <option value="" disabled>
+            Pick a city
+          </option>
+          {restaurantCities.map((city) => (
+            <option value={city} key={city}>
+              {city}
+            </option>
+          ))}
+        </select>
+        <FieldError errors={fieldErrors} name="city" />
+      </label>
+
+      <label>
+        Price
+        <select name="price" required defaultValue={restaurant?.price || ""}>
+          <option value="" disabled>
+            Pick a price
+          </option>
+          {restaurantPrices.map((price) => (
+            <option value={price} key={price}>
+              {"$".repeat(price)}
+            </option>
+          ))}
+        </select>
+        <FieldError errors={fieldErrors} name="price" />
+      </label>
+
+      <label>
+        {isEditing ? "New photo (optional)" : "Photo (optional)"}
+        <input
+          type="file"
+          accept={ALLOWED_IMAGE_TYPES.join(",")}
+          ref={photoInput}
+        />
+        <FieldError errors={fieldErrors} name="photo" />
+      </label>
+
+      {state?.error && !fieldErrors && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+
+      <footer>
+        <menu>
+          <button
+            type="button"
+            className="button--cancel"
+            onClick={() => router.back()}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="button--confirm"
+            disabled={isPending}
+          >
+            {isPending
+              ? "Saving..."
+              : isEditing
+                ? "Save changes"
+                : "Add restaurant"}
+          </button>
+        </menu>
+      </footer>
+    </form>
+  );
+}
@@ -4,30 +4,52 @@
 // It receives data from src/app/page.jsx, such as the initial restaurants and search params from the URL
 
 import Link from "next/link";
-import { React, useState, useEffect } from "react";
+import { React, useState, useEffect, useCallback, useRef } from "react";
 import { useRouter } from "next/navigation";
-import renderStars from "@/src/components/Stars.jsx";
-import { getRestaurantsSnapshot } from "@/src/lib/firebase/firestore.js";
+import Stars from "@/src/components/Stars.jsx";
+import {
+  getRestaurantsSnapshot,
+  getNextRestaurantCursor,
+} from "@/src/lib/firebase/firestore.js";
 import Filters from "@/src/components/Filters.jsx";
-
-const RestaurantItem = ({ restaurant }) => (
-  <li key={restaurant.id}>
+import FavoriteButton, {
+  useFavoriteIds,
+} from "@/src/components/FavoriteButton.jsx";
+import {
+  emptyFilters,
+  parseFilters,
+  serializeFilters,
+} from "@/src/lib/filters.js";
+
+// The heart is only shown when a signed-in `userId` is passed
+export const RestaurantItem = ({ restaurant, userId, isFavorite }) => (
+  <li key={restaurant.id} className="restaurant__item">
     <Link href={`/restaurant/${restaurant.id}`}>
       <ActiveResturant restaurant={restaurant} />
     </Link>
+    {userId && (
+      <FavoriteButton
+        userId={userId}
+        restaurantId={restaurant.id}
+        isFavorite={isFavorite}
+      />
+    )}
   </li>
 );
 
 const ActiveResturant = ({ restaurant }) => (
   <div>
-    <ImageCover photo={restaurant.photo} name={restaurant.name} />
+    <ImageCover
+      photo={restaurant.photoVariants?.card || restaurant.photo}
+      name={restaurant.name}
+    />
     <ResturantDetails restaurant={restaurant} />
   </div>
 );
 
 const ImageCover = ({ photo, name }) => (
   <div className="image-cover">
-    <img src={photo} alt={name} />
+    <img src={photo || "/food.svg"} alt={name} />
   </div>
 );
 
@@ -41,7 +63,7 @@ const ResturantDetails = ({ restaurant }) => (
 
 const RestaurantRating = ({ restaurant }) => (
   <div className="restaurant__rating">
-    <ul>{renderStars(restaurant.avgRating)}</ul>
+    <Stars rating={restaurant.avgRating} />
     <span>({restaurant.numRatings})</span>
   </div>
 );
@@ -55,54 +77,172 @@ const RestaurantMetadata = ({ restaurant }) => (
   </div>
 );
 
+// One page of restaurants, kept up to date with its own realtime listener
+function RestaurantPage({
+  index,
+  cursor,
+  filters,
+  initialRestaurants,
+  onNextCursor,
+  userId,
+  favoriteIds,
+}) {
+  const [restaurants, setRestaurants] = useState(initialRestaurants);
+
+  useEffect(() => {
+    return getRestaurantsSnapshot(
+      (data) => {
+        setRestaurants(data);
+        onNextCursor(index, getNextRestaurantCursor(data, filters));
+      },
+      filters,
+      { cursor, userId }
+    );
+  }, [index, cursor, filters, onNextCursor, userId]);
+
+  return restaurants.map((restaurant) => (
+    <RestaurantItem
+      key={restaurant.id}
+      restaurant={restaurant}
+      userId={userId}
+      isFavorite={favoriteIds.has(restaurant.id)}
+    />
+  ));
+}
+
+// "Load more" link that also loads the next page automatically when it
+// scrolls into view. Without JavaScript it navigates to the next page's URL.
+function LoadMore({ href, onLoadMore }) {
+  const link = useRef();
+
+  useEffect(() => {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        onLoadMore();
+      }
+    });
+    observer.observe(link.current);
+    return () => observer.disconnect();
+  }, [onLoadMore]);
+
+  return (
+    <Link
+      ref={link}
+      href={href}
+      className="load-more"
+      onClick={(event) => {
+        event.preventDefault();
+        onLoadMore();
+      }}
+    >
+      Load more
+    </Link>
+  );
+}
+
 export default function RestaurantListings({
   initialRestaurants,
+  initialNextCursor,
   searchParams,
+  userId,
 }) {
   const router = useRouter();
+  const favoriteIds = useFavoriteIds(userId);
 
   // The initial filters are the search params from the URL, useful for when the user refreshes the page
-  const initialFilters = {
-    city: searchParams.city || "",
-    category: searchParams.category || "",
-    price: searchParams.price || "",
-    sort: searchParams.sort || "",
-  };
+  const initialFilters = { ...emptyFilters, ...parseFilters(searchParams) };
 
-  const [restaurants, setRestaurants] = useState(initialRestaurants);
   const [filters, setFilters] = useState(initialFilters);
+  // Each loaded page is identified by the cursor it starts after. The first
+  // page starts part-way through the list when the URL has a cursor.
+  const [pages, setPages] = useState([
+    {
+      cursor: searchParams.cursor || "",
+      initialRestaurants,
+      nextCursor: initialNextCursor,
+    },
+  ]);
+  const firstCursor = pages[0].cursor;
+  const nextCursor = pages.at(-1).nextCursor;
+
+  // Changing the filters starts the listing again from the first page
+  const updateFilters = (update) => {
+    setFilters(update);
+    setPages([{ cursor: "", initialRestaurants: [], nextCursor: null }]);
+  };
 
-  useEffect(() => {
-    routerWithFilters(router, filters);
-  }, [router, filters]);
+  // The header's "My favorites" link changes the URL without remounting the
+  // listing, so take the filters from the URL when its favorites param no
+  // longer matches them
+  const [urlFavorites, setUrlFavorites] = useState(initialFilters.favorites);
+  if (initialFilters.favorites !== urlFavorites) {
+    setUrlFavorites(initialFilters.favorites);
+    if (initialFilters.favorites !== filters.favorites) {
+      updateFilters(initialFilters);
+    }
+  }
+
+  const handleNextCursor = useCallback((index, cursor) => {
+    setPages((prevPages) =>
+      prevPages[index] && prevPages[index].nextCursor !== cursor
+        ? prevPages.map((page, i) =>
+            i === index ? { ...page, nextCursor: cursor } : page
+          )
+        : prevPages
+    );
+  }, []);
+
+  const loadMore = useCallback(() => {
+    setPages((prevPages) => {
+      const cursor = prevPages.at(-1).nextCursor;
+      // the new page has no next cursor until it loads, so repeated
+      // calls before then are ignored
+      if (!cursor) {
+        return prevPages;
+      }
+      return [
+        ...prevPages,
+        { cursor, initialRestaurants: [], nextCursor: null },
+      ];
+    });
+  }, []);
 
   useEffect(() => {
-    return getRestaurantsSnapshot((data) => {
-      setRestaurants(data);
-    }, filters);
-  }, [filters]);
+    routerWithFilters(router, filters, firstCursor);
+  }, [router, filters, firstCursor]);
 
   return (
     <article>
-      <Filters filters={filters} setFilters={setFilters} />
+      <Filters
+        filters={filters}
+        setFilters={updateFilters}
+        canFilterFavorites={Boolean(userId)}
+      />
       <ul className="restaurants">
-        {restaurants.map((restaurant) => (
-          <RestaurantItem key={restaurant.id} restaurant={restaurant} />
+        {pages.map((page, index) => (
+          <RestaurantPage
+            key={`${index}-${page.cursor}`}
+            index={index}
+            cursor={page.cursor}
+            filters={filters}
+            initialRestaurants={page.initialRestaurants}
+            onNextCursor={handleNextCursor}
+            userId={userId}
+            favoriteIds={favoriteIds}
+          />
         ))}
       </ul>
+      {nextCursor && (
+        <LoadMore
+          href={`?${serializeFilters(filters, nextCursor)}`}
+          onLoadMore={loadMore}
+        />
+      )}
     </article>
   );
 }
 
-function routerWithFilters(router, filters) {
-  const queryParams = new URLSearchParams();
-
-  for (const [key, value] of Object.entries(filters)) {
-    if (value !== undefined && value !== "") {
-      queryParams.append(key, value);
-    }
-  }
-
-  const queryString = queryParams.toString();
+function routerWithFilters(router, filters, cursor) {
+  const queryString = serializeFilters(filters, cursor);
   router.push(`?${queryString}`);
 }
@@ -2,19 +2,64 @@
 
 // This components handles the review dialog and uses a next.js feature known as Server Actions to handle the form submission
 
-import { useEffect, useLayoutEffect, useRef } from "react"; // React hooks used in the component
-import RatingPicker from "@/src/components/RatingPicker.jsx"; // star rating input component
+import { useActionState, useLayoutEffect, useRef } from "react"; // React hooks used in the component
+import RatingPicker, {
+  AspectRatingPickers,
+} from "@/src/components/RatingPicker.jsx"; // star rating input components
 import { handleReviewFormSubmission } from "@/src/app/actions.js"; // server action that will process the review form
+import {
+  MAX_REVIEW_PHOTOS,
+  uploadReviewPhotos,
+} from "@/src/lib/firebase/storage.js"; // uploads photos attached to the review
+import { ActionErrorCode, actionError } from "@/src/lib/errors.js";
+import { ALLOWED_IMAGE_TYPES, validateImage } from "@/src/lib/images.js";
 
-const ReviewDialog = ({
-  isOpen,
-  handleClose,
-  review,
-  onChange,
-  userId,
-  id,
-}) => {
+const ReviewDialog = ({ isOpen, handleClose, review, onChange, id }) => {
   const dialog = useRef(); // ref to the native <dialog> element so we can call showModal/close
+  const photoInput = useRef(); // photos aren't sent to the server action
+  const [state, formAction, isPending] = useActionState(
+    async (prevState, formData) => {
+      const photos = Array.from(photoInput.current.files);
+      if (photos.length > MAX_REVIEW_PHOTOS) {
+        return actionError(
+          ActionErrorCode.INVALID_ARGUMENT,
+          `You can attach up to ${MAX_REVIEW_PHOTOS} photos.`
+        );
+      }
+      try {
+        photos.forEach(validateImage); // check type and size before saving
+      } catch (error) {
+        return actionError(ActionErrorCode.INVALID_ARGUMENT, error.message);
+      }
+
+      let result = await handleReviewFormSubmission(prevState, formData);
+      if (result.ok && photos.length > 0) {
+        try {
+          await uploadReviewPhotos(id, result.id, photos); // under the new review's ID
+        } catch (error) {
+          console.error(error);
+          result = { ...result, photoError: true }; // the review itself was saved
+        }
+      }
+
+      // only close the dialog once the server has accepted the review
+      if (result.ok) {
+        if (result.photoError) {
+          window.alert(
+            "Your review was saved, but its photos could not be uploaded."
+          );
+        }
+        if (result.pending) {
+          window.alert(
+            "Thanks! Your review will appear once a moderator has approved it."
+          );
+        }
+        handleClose();
+      }
+      return result;
+    },
+    null
+  ); // result of the last submission, e.g. { ok: false, error: { code, message } }
 
   // dialogs only render their backdrop when called with `showModal`
   useLayoutEffect(() => {
@@ -35,17 +80,13 @@ const ReviewDialog = ({
 
   return (
     <dialog ref={dialog} onMouseDown={handleClick}>
-      <form
-        action={handleReviewFormSubmission}
-        onSubmit={() => {
-          handleClose();
-        }}
-      >
+      <form action={formAction}>
         <header>
           <h3>Add your review</h3>
         </header>
         <article>
-          <RatingPicker />
+          <RatingPicker legend="Your rating" required />
+          <AspectRatingPickers />
 
           <p>
             <input
@@ -59,8 +100,23 @@ const ReviewDialog = ({
             />
           </p>
 
+          <label className="review__photo-input">
+            Photos (up to {MAX_REVIEW_PHOTOS})
+            <input
+              type="file"
+              accept={ALLOWED_IMAGE_TYPES.join(",")}
+              multiple
+              ref={photoInput}
+            />
+          </label>
+
           <input type="hidden" name="restaurantId" value={id} />
-          <input type="hidden" name="userId" value={userId} />
+
+          {state?.error && (
+            <p className="form__error" role="alert">
+              {state.error.message}
+            </p>
+          )}
         </article>
         <footer>
           <menu>
@@ -72,8 +128,13 @@ const ReviewDialog = ({
             >
               Cancel
             </button>
-            <button type="submit" value="confirm" className="button--confirm">
-              Submit
+            <button
+              type="submit"
+              value="confirm"
+              className="button--confirm"
+              disabled={isPending}
+            >
+              {isPending ? "Submitting..." : "Submit"}
             </button>
           </menu>
         </footer>
@@ -1,20 +1,428 @@
-import renderStars from "@/src/components/Stars.jsx";
+"use client";
+
+import { useActionState, useState } from "react";
+import Link from "next/link";
+import Stars from "@/src/components/Stars.jsx";
+import RatingPicker, {
+  AspectRatingPickers,
+} from "@/src/components/RatingPicker.jsx";
+import {
+  handleOwnerReply,
+  handleReviewDeletion,
+  handleReviewReport,
+  handleReviewUpdate,
+  handleReviewVote,
+} from "@/src/app/actions.js";
+import { deleteReviewPhotos } from "@/src/lib/firebase/storage.js";
+import { ASPECT_LABELS, RATING_ASPECTS } from "@/src/lib/ratingAspects.js";
+import { MAX_OWNER_REPLY_LENGTH } from "@/src/lib/firebase/firestore.js";
+
+export function Review({
+  id,
+  restaurantId,
+  rating,
+  aspectRatings = {},
+  text,
+  timestamp,
+  editedAt,
+  userId,
+  userName,
+  userPhotoURL,
+  photos = [],
+  helpfulCount = 0,
+  votedHelpful = false,
+  reported = false,
+  ownerReply = null,
+  canReply = false,
+  currentUserId,
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const isAuthor = Boolean(currentUserId) && currentUserId === userId;
 
-export function Review({ rating, text, timestamp }) {
   return (
     <li className="review__item">
-      <ul className="restaurant__rating">{renderStars(rating)}</ul>
-      <p>{text}</p>
+      <ReviewAuthor
+        userId={userId}
+        userName={userName}
+        userPhotoURL={userPhotoURL}
+      />
+
+      {isEditing ? (
+        <ReviewEditForm
+          id={id}
+          restaurantId={restaurantId}
+          rating={rating}
+          aspectRatings={aspectRatings}
+          text={text}
+          onDone={() => setIsEditing(false)}
+        />
+      ) : (
+        <>
+          <Stars className="restaurant__rating" rating={rating} />
+          <ReviewAspectRatings aspectRatings={aspectRatings} />
+          <p>{text}</p>
+          <ReviewPhotos photos={photos} />
+        </>
+      )}
 
       <time>
         {new Intl.DateTimeFormat("en-GB", {
           dateStyle: "medium",
         }).format(timestamp)}
+        {editedAt && " (edited)"}
       </time>
+      {helpfulCount > 0 && (
+        <p className="review__helpful">
+          {helpfulCount === 1
+            ? "1 person found this helpful"
+            : `${helpfulCount} people found this helpful`}
+        </p>
+      )}
+
+      {isAuthor && !isEditing && (
+        <ReviewAuthorActions
+          id={id}
+          restaurantId={restaurantId}
+          photos={photos}
+          onEdit={() => setIsEditing(true)}
+        />
+      )}
+      {currentUserId && !isAuthor && (
+        <ReviewReaderActions
+          id={id}
+          restaurantId={restaurantId}
+          votedHelpful={votedHelpful}
+          reported={reported}
+        />
+      )}
+
+      {(ownerReply || canReply) && (
+        <OwnerReply
+          reviewId={id}
+          restaurantId={restaurantId}
+          reply={ownerReply}
+          canReply={canReply}
+        />
+      )}
     </li>
   );
 }
 
+// The author's avatar and name, linking to their profile page
+function ReviewAuthor({ userId, userName, userPhotoURL }) {
+  return (
+    <Link
+      href={`/user/${encodeURIComponent(userId)}`}
+      className="review__author"
+    >
+      <img src={userPhotoURL || "/profile.svg"} alt="" />
+      {userName || "Anonymous"}
+    </Link>
+  );
+}
+
+// The aspects the reviewer rated, e.g. "Food 5/5 · Service 3/5"
+function ReviewAspectRatings({ aspectRatings }) {
+  const rated = RATING_ASPECTS.filter((aspect) => aspectRatings[aspect]);
+  if (rated.length === 0) {
+    return null;
+  }
+  return (
+    <ul className="review__aspects">
+      {rated.map((aspect) => (
+        <li key={aspect}>
+          {ASPECT_LABELS[aspect]} {aspectRatings[aspect]}/5
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Thumbnails of the photos attached to a review, linking to the full images
+function ReviewPhotos({ photos }) {
+  if (photos.length === 0) {
+    return null;
+  }
+  return (
+    <ul className="review__photos">
+      {photos.map((photo) => (
+        <li key={photo.url}>
+          <a href={photo.url} target="_blank" rel="noreferrer">
+            <img
+              src={photo.thumbnailUrl || photo.url}
+              alt="Photo from the review"
+              loading="lazy"
+            />
+          </a>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Edit and delete controls, only rendered for the review's author
+function ReviewAuthorActions({ id, restaurantId, photos, onEdit }) {
+  const [state, formAction, isPending] = useActionState(
+    async (prevState, formData) => {
+      const result = await handleReviewDeletion(prevState, formData);
+      if (result.ok) {
+        // the photos are only referenced from the deleted review
+        await deleteReviewPhotos(photos).catch(console.error);
+      }
+      return result;
+    },
+    null
+  );
+
+  return (
+    <form
+      className="review__actions"
+      action={formAction}
+      onSubmit={(event) => {
+        if (!window.confirm("Delete this review?")) {
+          event.preventDefault();
+        }
+      }}
+    >
+      <input type="hidden" name="restaurantId" value={restaurantId} />
+      <input type="hidden" name="reviewId" value={id} />
+      <button type="button" onClick={onEdit}>
+        Edit
+      </button>
+      <button type="submit" disabled={isPending}>
+        {isPending ? "Deleting..." : "Delete"}
+      </button>
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+    </form>
+  );
+}
+
+// "Helpful" vote and "Report" controls for signed-in users other than the
+// author. The review list updates in realtime, so the results show up there.
+function ReviewReaderActions({ id, restaurantId, votedHelpful, reported }) {
+  const [voteState, voteAction, isVoting] = useActionState(
+    handleReviewVote,
+    null
+  );
+  const [reportState, reportAction, isReporting] = useActionState(
+    handleReviewReport,
+    null
+  );
+  const error = voteState?.error || reportState?.error;
+
+  return (
+    <div className="review__actions">
+      <form action={voteAction}>
+        <input type="hidden" name="restaurantId" value={restaurantId} />
+        <input type="hidden" name="reviewId" value={id} />
+        <input type="hidden" name="helpful" value={String(!votedHelpful)} />
+        <button type="submit" aria-pressed={votedHelpful} disabled={isVoting}>
+          Helpful
+        </button>
+      </form>
+      {reported ? (
+        <span className="review__reported">Reported</span>
+      ) : (
+        <form
+          action={reportAction}
+          onSubmit={(event) => {
+            if (!window.confirm("Report this review to the moderators?")) {
+              event.preventDefault();
+            }
+          }}
+        >
+          <input type="hidden" name="restaurantId" value={restaurantId} />
+          <input type="hidden" name="reviewId" value={id} />
+          <button type="submit" disabled={isReporting}>
+            Report
+          </button>
+        </form>
+      )}
+      {error && (
+        <p className="form__error" role="alert">
+          {error.message}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// The restaurant owner's reply, threaded under the review. The owner can
+// write one, change it or remove it.
+function OwnerReply({ reviewId, restaurantId, reply, canReply }) {
+  const [isEditing, setIsEditing] = useState(false);
+
+  if (isEditing) {
+    return (
+      <OwnerReplyForm
+        reviewId={reviewId}
+        restaurantId={restaurantId}
+        reply={reply}
+        onDone={() => setIsEditing(false)}
+      />
+    );
+  }
+
+  if (!reply) {
+    return (
+      <div className="review__actions">
+        <button type="button" onClick={() => setIsEditing(true)}>
+          Reply
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="review__reply">
+      <p className="review__reply-author">Response from the owner</p>
+      <p>{reply.text}</p>
+      <time>
+        {new Intl.DateTimeFormat("en-GB", {
+          dateStyle: "medium",
+        }).format(reply.createdAt)}
+        {reply.editedAt && " (edited)"}
+      </time>
+      {canReply && (
+        <div className="review__actions">
+          <button type="button" onClick={() => setIsEditing(true)}>
+            Edit reply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function OwnerReplyForm({ reviewId, restaurantId, reply, onDone }) {
+  const [state, formAction, isPending] = useActionState(
+    async (prevState, formData) => {
+      const result = await handleOwnerReply(prevState, formData);
+      // the review list updates in realtime, so the saved reply shows up there
+      if (result.ok) {
+        onDone();
+      }
+      return result;
+    },
+    null
+  );
+
+  return (
+    <form className="review__reply review__edit" action={formAction}>
+      <p>
+        <textarea
+          name="text"
+          aria-label="Reply to this review"
+          placeholder="Reply as the restaurant's owner"
+          defaultValue={reply?.text}
+          maxLength={MAX_OWNER_REPLY_LENGTH}
+          required
+        />
+      </p>
+      <input type="hidden" name="restaurantId" value={restaurantId} />
+      <input type="hidden" name="reviewId" value={reviewId} />
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+      <footer>
+        <menu>
+          <button type="button" className="button--cancel" onClick={onDone}>
+            Cancel
+          </button>
+          {reply && (
+            <button
+              type="submit"
+              name="intent"
+              value="delete"
+              className="button--cancel"
+              formNoValidate
+              disabled={isPending}
+            >
+              Remove reply
+            </button>
+          )}
+          <button
+            type="submit"
+            className="button--confirm"
+            disabled={isPending}
+          >
+            {isPending ? "Saving..." : "Save reply"}
+          </button>
+        </menu>
+      </footer>
+    </form>
+  );
+}
+
+function ReviewEditForm({
+  id,
+  restaurantId,
+  rating,
+  aspectRatings,
+  text,
+  onDone,
+}) {
+  const [state, formAction, isPending] = useActionState(
+    async (prevState, formData) => {
+      const result = await handleReviewUpdate(prevState, formData);
+      // go back to the read-only view once the server has saved the change
+      if (result.ok) {
+        if (result.pending) {
+          window.alert(
+            "Your review will be hidden until a moderator has approved the change."
+          );
+        }
+        onDone();
+      }
+      return result;
+    },
+    null
+  );
+
+  return (
+    <form className="review__edit" action={formAction}>
+      <RatingPicker legend="Your rating" defaultValue={rating} required />
+      <AspectRatingPickers defaultValues={aspectRatings} />
+      <p>
+        <input
+          type="text"
+          name="text"
+          aria-label="Review text"
+          defaultValue={text}
+          required
+        />
+      </p>
+      <input type="hidden" name="restaurantId" value={restaurantId} />
+      <input type="hidden" name="reviewId" value={id} />
+      {state?.error && (
+        <p className="form__error" role="alert">
+          {state.error.message}
+        </p>
+      )}
+      <footer>
+        <menu>
+          <button type="button" className="button--cancel" onClick={onDone}>
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="button--confirm"
+            disabled={isPending}
+          >
+            {isPending ? "Saving..." : "Save"}
+          </button>
+        </menu>
+      </footer>
+    </form>
+  );
+}
+
 export function ReviewSkeleton() {
   return (
     <li className="review__item">
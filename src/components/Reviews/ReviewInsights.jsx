@@ -0,0 +1,104 @@
+import { after } from "next/server"; // run work after the response has been sent
+import { getRestaurantById } from "@/src/lib/firebase/firestore.js"; // helper to fetch the restaurant and its cached insights
+import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp"; // helper to get a server-authenticated Firebase app
+import { getFirestore } from "firebase/firestore"; // Firestore client constructor
+import { getModelLabel } from "@/src/lib/ai/genkit.js"; // how to credit the model
+import {
+  INSIGHT_ASPECTS,
+  refreshReviewInsights,
+} from "@/src/lib/ai/reviewInsights.js"; // regenerates and caches the insights
+import { isCacheStale } from "@/src/lib/ai/cache.js"; // decides when to regenerate
+import { ASPECT_LABELS } from "@/src/lib/ratingAspects.js"; // the same aspects reviewers rate
+
+const SENTIMENT_LABELS = {
+  positive: "Positive",
+  mixed: "Mixed",
+  negative: "Negative",
+  unknown: "Not mentioned",
+};
+
+// Section with the pros, cons, popular dishes and per-aspect sentiment of a
+// restaurant's reviews, generated with the configured model when missing.
+export async function ReviewInsights({ restaurantId }) {
+  const { firebaseServerApp } = await getAuthenticatedAppForUser();
+  const db = getFirestore(firebaseServerApp);
+  const restaurant = await getRestaurantById(db, restaurantId);
+
+  if (!restaurant?.numRatings) {
+    return null; // nothing to analyze yet
+  }
+
+  let insights = restaurant.reviewInsights;
+  try {
+    if (!insights) {
+      insights = await refreshReviewInsights(db, restaurant); // nothing to show yet, so wait for it
+    } else if (isCacheStale(insights, restaurant.numRatings)) {
+      // show the stale insights now and regenerate them for the next visitor
+      after(() => refreshReviewInsights(db, restaurant).catch(console.error));
+    }
+  } catch (e) {
+    console.error(e); // log any errors during insight generation
+    return (
+      <section className="insights">
+        <p>Error analyzing reviews.</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="insights">
+      <h2>What reviewers say</h2>
+      <div className="insights__lists">
+        <InsightList title="Pros" items={insights.pros} />
+        <InsightList title="Cons" items={insights.cons} />
+        <InsightList
+          title="Popular dishes"
+          items={insights.dishes.map(
+            (dish) =>
+              `${dish.name} (${dish.mentions} mention${dish.mentions === 1 ? "" : "s"})`
+          )}
+        />
+      </div>
+      <dl className="insights__aspects">
+        {INSIGHT_ASPECTS.map((aspect) => (
+          <div
+            key={aspect}
+            className={`insights__aspect insights__aspect--${insights.aspects[aspect].sentiment}`}
+          >
+            <dt>{ASPECT_LABELS[aspect]}</dt>
+            <dd>{SENTIMENT_LABELS[insights.aspects[aspect].sentiment]}</dd>
+          </div>
+        ))}
+      </dl>
+      <p className="insights__credit">
+        ✨ Analyzed with {getModelLabel(insights.model)}
+      </p>
+    </section>
+  );
+}
+
+function InsightList({ title, items }) {
+  return (
+    <div>
+      <h3>{title}</h3>
+      {items.length > 0 ? (
+        <ul>
+          {items.map((item) => (
+            <li key={item}>{item}</li>
+          ))}
+        </ul>
+      ) : (
+        <p>None mentioned.</p>
+      )}
+    </div>
+  );
+}
+
+// Skeleton component to show while the insights are generated.
+export function ReviewInsightsSkeleton() {
+  return (
+    <section className="insights">
+      <p>✨ Analyzing reviews...</p>
+    </section>
+  );
+}
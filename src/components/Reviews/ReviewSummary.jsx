@@ -1,45 +1,39 @@
-import { gemini20Flash, googleAI } from "@genkit-ai/googleai"; // Gemini model & plugin helpers
-import { genkit } from "genkit"; // Genkit client for calling Gemini
-import { getReviewsByRestaurantId } from "@/src/lib/firebase/firestore.js"; // helper to fetch reviews
+import { after } from "next/server"; // run work after the response has been sent
+import { getRestaurantById } from "@/src/lib/firebase/firestore.js"; // helper to fetch the restaurant and its cached summary
 import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp"; // helper to get a server-authenticated Firebase app
 import { getFirestore } from "firebase/firestore"; // Firestore client constructor
-// Component that fetches reviews and generates a summary using Gemini.
+import { getModelLabel } from "@/src/lib/ai/genkit.js"; // how to credit the model
+import { refreshReviewSummary } from "@/src/lib/ai/reviewSummary.js"; // regenerates and caches the summary
+import { isCacheStale } from "@/src/lib/ai/cache.js"; // decides when to regenerate
+
+// Component that shows the cached review summary, generating one with the
+// configured model (Gemini by default) when there is none yet.
 export async function GeminiSummary({ restaurantId }) {
   const { firebaseServerApp } = await getAuthenticatedAppForUser(); // get a Firebase app authenticated as the server
-  const reviews = await getReviewsByRestaurantId(
-    getFirestore(firebaseServerApp),
-    restaurantId
-  ); // fetch reviews for this restaurant from Firestore
-
-  const reviewSeparator = "@"; // separator used when combining reviews into a single prompt string
-  const prompt = `
-    Based on the following restaurant reviews, 
-    where each review is separated by a '${reviewSeparator}' character, 
-    create a one-sentence summary of what people think of the restaurant. 
+  const db = getFirestore(firebaseServerApp);
+  const restaurant = await getRestaurantById(db, restaurantId); // includes the cached summary
 
-    Here are the reviews: ${reviews.map((review) => review.text).join(reviewSeparator)}
-  `; // build the prompt for the Gemini model
+  if (!restaurant?.numRatings) {
+    return (
+      <div className="restaurant__review_summary">
+        <p>There are no reviews to summarize yet.</p>
+      </div>
+    );
+  }
 
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      // Make sure GEMINI_API_KEY environment variable is set:
-      // https://firebase.google.com/docs/genkit/get-started
-      throw new Error(
-        'GEMINI_API_KEY not set. Set it with "firebase apphosting:secrets:set GEMINI_API_KEY"'
-      ); // throw helpful error when API key is missing
+    let summary = restaurant.reviewSummary;
+    if (!summary) {
+      summary = await refreshReviewSummary(db, restaurant); // nothing to show yet, so wait for it
+    } else if (isCacheStale(summary, restaurant.numRatings)) {
+      // show the stale summary now and regenerate it for the next visitor
+      after(() => refreshReviewSummary(db, restaurant).catch(console.error));
     }
 
-    // Configure a Genkit instance.
-    const ai = genkit({
-      plugins: [googleAI()],
-      model: gemini20Flash, // set default model
-    }); // create an AI client with the Gemini plugin
-    const { text } = await ai.generate(prompt); // generate text from the prompt
-
     return (
       <div className="restaurant__review_summary">
-        <p>{text}</p>
-        <p>✨ Summarized with Gemini</p>
+        <p>{summary.text}</p>
+        <p>✨ Summarized with {getModelLabel(summary.model)}</p>
       </div>
     );
   } catch (e) {
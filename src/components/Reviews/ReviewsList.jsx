@@ -1,17 +1,22 @@
 // This component handles the list of reviews for a given restaurant
 
 import React from "react";
-import { getReviewsByRestaurantId } from "@/src/lib/firebase/firestore.js";
+import {
+  getReviewsByRestaurantId,
+  REVIEWS_PAGE_SIZE,
+} from "@/src/lib/firebase/firestore.js";
 import ReviewsListClient from "@/src/components/Reviews/ReviewsListClient";
 import { ReviewSkeleton } from "@/src/components/Reviews/Review";
 import { getFirestore } from "firebase/firestore";
 import { getAuthenticatedAppForUser } from "@/src/lib/firebase/serverApp";
 
-export default async function ReviewsList({ restaurantId, userId }) {
+// `canReply` is set for the restaurant's owner, who can reply to reviews
+export default async function ReviewsList({ restaurantId, userId, canReply }) {
   const { firebaseServerApp } = await getAuthenticatedAppForUser();
   const reviews = await getReviewsByRestaurantId(
     getFirestore(firebaseServerApp),
-    restaurantId
+    restaurantId,
+    { pageSize: REVIEWS_PAGE_SIZE }
   );
 
   return (
@@ -19,16 +24,19 @@ export default async function ReviewsList({ restaurantId, userId }) {
       initialReviews={reviews}
       restaurantId={restaurantId}
       userId={userId}
+      canReply={canReply}
     />
   );
 }
 
-export function ReviewsListSkeleton({ numReviews }) {
+// Only the first page of reviews is rendered while loading, so the skeleton
+// never shows more placeholders than REVIEWS_PAGE_SIZE
+export function ReviewsListSkeleton({ numReviews = REVIEWS_PAGE_SIZE }) {
   return (
     <article>
       <ul className="reviews">
         <ul>
-          {Array(numReviews)
+          {Array(Math.min(numReviews, REVIEWS_PAGE_SIZE))
             .fill(0)
             .map((value, index) => (
               <ReviewSkeleton key={`loading-review-${index}`} />
@@ -1,32 +1,104 @@
 "use client";
 
 import React, { useState, useEffect } from "react";
-import { getReviewsSnapshotByRestaurantId } from "@/src/lib/firebase/firestore.js";
+import {
+  getHelpfulVotesSnapshot,
+  getReportedReviewIdsSnapshot,
+  getReviewsSnapshotByRestaurantId,
+  REVIEWS_PAGE_SIZE,
+} from "@/src/lib/firebase/firestore.js";
 import { Review } from "@/src/components/Reviews/Review";
 
+const SORT_LABELS = {
+  newest: "Newest",
+  oldest: "Oldest",
+  highest: "Highest rating",
+  lowest: "Lowest rating",
+  helpful: "Most helpful",
+};
+
 export default function ReviewsListClient({
   initialReviews,
   restaurantId,
   userId,
+  canReply = false,
 }) {
   const [reviews, setReviews] = useState(initialReviews);
+  const [sort, setSort] = useState("newest");
+  // Pages are loaded by growing the limit of one realtime query, so every
+  // loaded review keeps receiving updates
+  const [pageCount, setPageCount] = useState(1);
+  const pageSize = pageCount * REVIEWS_PAGE_SIZE;
+  const hasMore = reviews.length >= pageSize;
+  // IDs of the reviews the signed-in user voted helpful
+  const [votedReviewIds, setVotedReviewIds] = useState([]);
+  // IDs of the reviews the signed-in user reported
+  const [reportedReviewIds, setReportedReviewIds] = useState([]);
+
+  useEffect(() => {
+    return getReviewsSnapshotByRestaurantId(
+      restaurantId,
+      (data) => {
+        setReviews(data);
+      },
+      { sort, pageSize }
+    );
+  }, [restaurantId, sort, pageSize]);
 
   useEffect(() => {
-    return getReviewsSnapshotByRestaurantId(restaurantId, (data) => {
-      setReviews(data);
-    });
-  }, [restaurantId]);
+    setVotedReviewIds([]);
+    return getHelpfulVotesSnapshot(restaurantId, userId, setVotedReviewIds);
+  }, [restaurantId, userId]);
+
+  useEffect(() => {
+    setReportedReviewIds([]);
+    return getReportedReviewIdsSnapshot(
+      restaurantId,
+      userId,
+      setReportedReviewIds
+    );
+  }, [restaurantId, userId]);
+
+  const handleSortChange = (event) => {
+    setSort(event.target.value);
+    setPageCount(1); // start again from the first page
+  };
+
   return (
     <article>
+      <label className="reviews__sort">
+        Sort by
+        <select value={sort} onChange={handleSortChange} name="sort">
+          {Object.entries(SORT_LABELS).map(([value, label]) => (
+            <option value={value} key={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
       <ul className="reviews">
         {reviews.length > 0 ? (
           <ul>
             {reviews.map((review) => (
               <Review
                 key={review.id}
+                id={review.id}
+                restaurantId={restaurantId}
                 rating={review.rating}
+                aspectRatings={review.aspectRatings}
                 text={review.text}
                 timestamp={review.timestamp}
+                editedAt={review.editedAt}
+                userId={review.userId}
+                userName={review.userName}
+                userPhotoURL={review.userPhotoURL}
+                photos={review.photos}
+                helpfulCount={review.helpfulCount}
+                votedHelpful={votedReviewIds.includes(review.id)}
+                reported={reportedReviewIds.includes(review.id)}
+                ownerReply={review.ownerReply}
+                canReply={canReply}
+                currentUserId={userId}
               />
             ))}
           </ul>
@@ -37,6 +109,15 @@ export default function ReviewsListClient({
           </p>
         )}
       </ul>
+      {hasMore && (
+        <button
+          type="button"
+          className="load-more"
+          onClick={() => setPageCount(pageCount + 1)}
+        >
+          Load more reviews
+        </button>
+      )}
     </article>
   );
 }
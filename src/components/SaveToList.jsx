@@ -0,0 +1,103 @@
+"use client";
+
+// Menu on the restaurant page for adding the restaurant to the signed-in
+// user's named lists, or to a new one
+
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import {
+  createList,
+  getListsSnapshot,
+  MAX_LIST_NAME_LENGTH,
+  MAX_LIST_RESTAURANTS,
+  setRestaurantInList,
+} from "@/src/lib/firebase/firestore.js";
+import { auth, db } from "@/src/lib/firebase/clientApp.js";
+
+export default function SaveToList({ userId, restaurantId }) {
+  const [lists, setLists] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    return getListsSnapshot(userId, setLists);
+  }, [userId]);
+
+  // run a write and show its error, if any
+  const save = async (write) => {
+    setError("");
+    try {
+      await write();
+    } catch (error) {
+      console.error(error);
+      setError("Your list could not be saved. Please try again.");
+    }
+  };
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const name = new FormData(form).get("name");
+    save(async () => {
+      const listId = await createList(db, {
+        ownerId: userId,
+        ownerName: auth.currentUser?.displayName,
+        name,
+      });
+      await setRestaurantInList(db, listId, restaurantId, true);
+      form.reset();
+    });
+  };
+
+  return (
+    <details className="save-to-list">
+      <summary>Save to a list</summary>
+      <ul>
+        {lists.map((list) => {
+          const isIncluded = list.restaurantIds.includes(restaurantId);
+          return (
+            <li key={list.id}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={isIncluded}
+                  disabled={
+                    !isIncluded &&
+                    list.restaurantIds.length >= MAX_LIST_RESTAURANTS
+                  }
+                  onChange={(event) =>
+                    save(() =>
+                      setRestaurantInList(
+                        db,
+                        list.id,
+                        restaurantId,
+                        event.target.checked
+                      )
+                    )
+                  }
+                />{" "}
+                {list.name}
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+      <form onSubmit={handleCreate}>
+        <input
+          type="text"
+          name="name"
+          placeholder="New list, e.g. Date night"
+          aria-label="New list name"
+          maxLength={MAX_LIST_NAME_LENGTH}
+          required
+        />
+        <button type="submit">Create</button>
+      </form>
+      {error && (
+        <p className="form__error" role="alert">
+          {error}
+        </p>
+      )}
+      <Link href="/lists">Manage my lists</Link>
+    </details>
+  );
+}
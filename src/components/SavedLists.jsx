@@ -0,0 +1,112 @@
+"use client";
+
+// The signed-in user's named lists, with links to share them
+// It is rendered by src/app/lists/page.jsx
+
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import {
+  createList,
+  deleteList,
+  getListsSnapshot,
+  MAX_LIST_NAME_LENGTH,
+} from "@/src/lib/firebase/firestore.js";
+import { auth, db } from "@/src/lib/firebase/clientApp.js";
+
+function SavedListItem({ list, onError }) {
+  const [copied, setCopied] = useState(false);
+  const href = `/lists/${list.id}`;
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(`${window.location.origin}${href}`);
+    setCopied(true);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${list.name}"?`)) {
+      return;
+    }
+    try {
+      await deleteList(db, list.id);
+    } catch (error) {
+      console.error(error);
+      onError("The list could not be deleted. Please try again.");
+    }
+  };
+
+  return (
+    <li className="claim__item">
+      <p>
+        <Link href={href}>
+          <strong>{list.name}</strong>
+        </Link>{" "}
+        ({list.restaurantIds.length} restaurant
+        {list.restaurantIds.length === 1 ? "" : "s"})
+      </p>
+      <menu className="review__actions">
+        <button type="button" onClick={handleCopy}>
+          {copied ? "Link copied" : "Copy share link"}
+        </button>
+        <button type="button" onClick={handleDelete}>
+          Delete
+        </button>
+      </menu>
+    </li>
+  );
+}
+
+export default function SavedLists({ userId }) {
+  const [lists, setLists] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    return getListsSnapshot(userId, setLists);
+  }, [userId]);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    setError("");
+    try {
+      await createList(db, {
+        ownerId: userId,
+        ownerName: auth.currentUser?.displayName,
+        name: new FormData(form).get("name"),
+      });
+      form.reset();
+    } catch (error) {
+      console.error(error);
+      setError("The list could not be created. Please try again.");
+    }
+  };
+
+  return (
+    <>
+      <form className="save-to-list" onSubmit={handleCreate}>
+        <input
+          type="text"
+          name="name"
+          placeholder="New list, e.g. Lunch near office"
+          aria-label="New list name"
+          maxLength={MAX_LIST_NAME_LENGTH}
+          required
+        />
+        <button type="submit">Create list</button>
+      </form>
+      {error && (
+        <p className="form__error" role="alert">
+          {error}
+        </p>
+      )}
+      {lists.length > 0 ? (
+        <ul className="claims">
+          {lists.map((list) => (
+            <SavedListItem key={list.id} list={list} onError={setError} />
+          ))}
+        </ul>
+      ) : (
+        <p>You have no lists yet. Add restaurants to lists from their pages.</p>
+      )}
+    </>
+  );
+}
@@ -1,45 +1,70 @@
-// This component displays star ratings
+// This component displays star ratings. Fractional ratings show a partly
+// filled star (4.6 is four full stars and one 60% filled), and the list has a
+// text alternative for screen readers, e.g. "4.6 out of 5 stars".
 
-export default function renderStars(avgRating) {
-  const arr = [];
-  for (let i = 0; i < 5; i++) {
-    if (i < Math.floor(avgRating)) {
-      arr.push(
-        <li key={i}>
-          <svg
-            xmlns="http://www.w3.org/2000/svg"
-            viewBox="0 0 24 24"
-            fill="currentColor"
-            className="h-8 w-8 text-amber-400"
-          >
-            <path
-              fillRule="evenodd"
-              d="M10.788 3.21c.448-1.077 1.976-1.077 2.424 0l2.082 5.007 5.404.433c1.164.093 1.636 1.545.749 2.305l-4.117 3.527 1.257 5.273c.271 1.136-.964 2.033-1.96 1.425L12 18.354 7.373 21.18c-.996.608-2.231-.29-1.96-1.425l1.257-5.273-4.117-3.527c-.887-.76-.415-2.212.749-2.305l5.404-.433 2.082-5.006z"
-              clipRule="evenodd"
-            />
-          </svg>
-        </li>
-      );
-    } else {
-      arr.push(
-        <li key={i}>
-          <svg
-            xmlns="http://www.w3.org/2000/svg"
-            fill="none"
-            viewBox="0 0 24 24"
-            strokeWidth="1.5"
-            stroke="currentColor"
-            className="h-8 w-8 text-amber-400"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              d="M11.48 3.499a.562.562 0 011.04 0l2.125 5.111a.563.563 0 00.475.345l5.518.442c.499.04.701.663.321.988l-4.204 3.602a.563.563 0 00-.182.557l1.285 5.385a.562.562 0 01-.84.61l-4.725-2.885a.563.563 0 00-.586 0L6.982 20.54a.562.562 0 01-.84-.61l1.285-5.386a.562.562 0 00-.182-.557l-4.204-3.602a.563.563 0 01.321-.988l5.518-.442a.563.563 0 00.475-.345L11.48 3.5z"
-            />
-          </svg>
-        </li>
-      );
-    }
-  }
-  return arr;
+// the rating rounded to one decimal, e.g. 4.56 => "4.6" and 4 => "4"
+export function formatRating(rating) {
+  return String(Math.round((Number(rating) || 0) * 10) / 10);
+}
+
+const FilledStar = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="currentColor"
+    className="h-8 w-8 text-amber-400"
+  >
+    <path
+      fillRule="evenodd"
+      d="M10.788 3.21c.448-1.077 1.976-1.077 2.424 0l2.082 5.007 5.404.433c1.164.093 1.636 1.545.749 2.305l-4.117 3.527 1.257 5.273c.271 1.136-.964 2.033-1.96 1.425L12 18.354 7.373 21.18c-.996.608-2.231-.29-1.96-1.425l1.257-5.273-4.117-3.527c-.887-.76-.415-2.212.749-2.305l5.404-.433 2.082-5.006z"
+      clipRule="evenodd"
+    />
+  </svg>
+);
+
+const OutlineStar = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    fill="none"
+    viewBox="0 0 24 24"
+    strokeWidth="1.5"
+    stroke="currentColor"
+    className="h-8 w-8 text-amber-400"
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      d="M11.48 3.499a.562.562 0 011.04 0l2.125 5.111a.563.563 0 00.475.345l5.518.442c.499.04.701.663.321.988l-4.204 3.602a.563.563 0 00-.182.557l1.285 5.385a.562.562 0 01-.84.61l-4.725-2.885a.563.563 0 00-.586 0L6.982 20.54a.562.562 0 01-.84-.61l1.285-5.386a.562.562 0 00-.182-.557l-4.204-3.602a.563.563 0 01.321-.988l5.518-.442a.563.563 0 00.475-.345L11.48 3.5z"
+    />
+  </svg>
+);
+
+export default function Stars({ rating, className }) {
+  const value = Math.min(Math.max(Number(rating) || 0, 0), 5);
+
+  return (
+    <ul
+      className={className}
+      role="img"
+      aria-label={`${formatRating(value)} out of 5 stars`}
+    >
+      {[0, 1, 2, 3, 4].map((i) => {
+        // how much of this star is filled, from 0 to 1
+        const fill = Math.min(Math.max(value - i, 0), 1);
+        return (
+          <li key={i} className="star">
+            {fill === 1 ? <FilledStar /> : <OutlineStar />}
+            {fill > 0 && fill < 1 && (
+              <span
+                className="star__fill"
+                style={{ width: `${Math.round(fill * 100)}%` }}
+              >
+                <FilledStar />
+              </span>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
 }
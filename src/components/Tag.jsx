@@ -1,15 +1,15 @@
 // A tag is shown under the filter bar when a filter is selected.
 // Tags show what filters have been selected
-// On click, the tag is removed and the filter is reset
+// On click, the tag's value is removed from its filter
 
-export default function Tag({ type, value, updateField }) {
+export default function Tag({ type, value, label = value, removeValue }) {
   return (
     <span className="">
-      {value}
+      {label}
       <button
         type="button"
         aria-label="Remove"
-        onClick={() => updateField(type, "")}
+        onClick={() => removeValue(type, value)}
       >
         X
       </button>
@@ -0,0 +1,50 @@
+// A user's profile header and the list of their reviews
+// It receives data from src/app/user/[uid]/page.jsx
+
+import Link from "next/link";
+import Stars from "@/src/components/Stars.jsx";
+
+const formatDate = (date) =>
+  new Intl.DateTimeFormat("en-GB", { dateStyle: "medium" }).format(date);
+
+export default function UserProfile({ profile, reviews }) {
+  return (
+    <article>
+      <header className="user__profile">
+        <img src={profile.photoURL || "/profile.svg"} alt="" />
+        <div>
+          <h2>{profile.displayName}</h2>
+          {profile.createdAt && (
+            <p>Member since {formatDate(profile.createdAt)}</p>
+          )}
+          <p>
+            {reviews.length} review{reviews.length === 1 ? "" : "s"}
+          </p>
+        </div>
+      </header>
+
+      {reviews.length > 0 ? (
+        <ul className="reviews">
+          {reviews.map((review) => (
+            <li
+              key={`${review.restaurantId}/${review.id}`}
+              className="review__item"
+            >
+              <Link href={`/restaurant/${review.restaurantId}`}>
+                <strong>{review.restaurantName}</strong>
+              </Link>
+              <Stars className="restaurant__rating" rating={review.rating} />
+              <p>{review.text}</p>
+              <time>
+                {formatDate(review.timestamp)}
+                {review.editedAt && " (edited)"}
+              </time>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>{profile.displayName} hasn&apos;t written any reviews yet.</p>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,43 @@
+// Helpers for AI results that are cached on the restaurant document with the
+// number of reviews they were generated from (`reviewCount`).
+
+// how many reviews have to be added or removed before regenerating
+export const REFRESH_THRESHOLD = 3;
+
+// only the most recent reviews are sent to the model
+export const MAX_REVIEWS = 100;
+
+// whether a cached result should be regenerated
+export function isCacheStale(
+  cached,
+  numRatings,
+  threshold = REFRESH_THRESHOLD
+) {
+  if (!cached) {
+    return numRatings > 0;
+  }
+  return Math.abs(numRatings - cached.reviewCount) >= threshold;
+}
+
+// how long a result is reused in this server process, so that page views
+// don't call the model again while a new result is being stored, or when it
+// couldn't be stored or generated
+export const MIN_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+// recent calls in this server process: key => { promise, startedAt }
+const recent = new Map();
+
+// run `fn` unless a call with the same key started less than `interval` ms
+// ago, in which case its result (or error) is shared
+export function runThrottled(key, fn, interval = MIN_REFRESH_INTERVAL_MS) {
+  const now = Date.now();
+  for (const [otherKey, call] of recent) {
+    if (now - call.startedAt >= interval) {
+      recent.delete(otherKey); // expired, so the map doesn't keep growing
+    }
+  }
+  if (!recent.has(key)) {
+    recent.set(key, { promise: fn(), startedAt: now });
+  }
+  return recent.get(key).promise;
+}
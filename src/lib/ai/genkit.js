@@ -0,0 +1,77 @@
+// The Genkit instance used for all AI features, and the model it talks to.
+//
+// By default reviews are sent to Gemini, which needs the GEMINI_API_KEY
+// environment variable. Set AI_MODEL_PROVIDER=stub to use a deterministic
+// local model instead, e.g. for tests or offline development.
+
+import { gemini20Flash, googleAI } from "@genkit-ai/googleai"; // Gemini model & plugin helpers
+import { genkit } from "genkit"; // Genkit client for calling models
+
+export const STUB_MODEL_NAME = "stub/friendly-eats";
+
+// how a model is credited in the UI
+export function getModelLabel(modelName) {
+  return modelName?.startsWith("stub/") ? "a stub model" : "Gemini";
+}
+
+// The stub model's answer to a text prompt: it counts the "- " bullet
+// lines (one per review, see buildSummaryPrompt) so tests can check it
+function stubTextResponse(prompt) {
+  const count = prompt.split("\n").filter((line) => /^\s*- /.test(line)).length;
+  return `Summary of ${count} review${count === 1 ? "" : "s"} (stub model).`;
+}
+
+function createStubAI() {
+  const ai = genkit({});
+  const model = ai.defineModel(
+    { name: STUB_MODEL_NAME, label: "Stub model" },
+    async (request) => {
+      const prompt = request.messages
+        .flatMap((message) => message.content)
+        .map((part) => part.text ?? "")
+        .join("\n");
+      return {
+        message: {
+          role: "model",
+          content: [{ text: stubTextResponse(prompt) }],
+        },
+        finishReason: "stop",
+      };
+    }
+  );
+  return { ai, model, modelName: STUB_MODEL_NAME };
+}
+
+function createGeminiAI() {
+  if (!process.env.GEMINI_API_KEY) {
+    // Make sure GEMINI_API_KEY environment variable is set:
+    // https://firebase.google.com/docs/genkit/get-started
+    throw new Error(
+      'GEMINI_API_KEY not set. Set it with "firebase apphosting:secrets:set GEMINI_API_KEY"'
+    ); // throw helpful error when API key is missing
+  }
+
+  // Configure a Genkit instance.
+  const ai = genkit({
+    plugins: [googleAI()],
+    model: gemini20Flash, // set default model
+  }); // create an AI client with the Gemini plugin
+  return { ai, model: gemini20Flash, modelName: gemini20Flash.name };
+}
+
+let instance;
+
+/**
+ * Get the shared Genkit instance and the model to generate with.
+ *
+ * @returns {{ai: import('genkit').Genkit, model: object, modelName: string}}
+ */
+export function getAI() {
+  if (!instance) {
+    instance =
+      process.env.AI_MODEL_PROVIDER === "stub"
+        ? createStubAI()
+        : createGeminiAI();
+  }
+  return instance;
+}
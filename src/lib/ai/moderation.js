@@ -0,0 +1,216 @@
+// Moderation of submitted review text. Reviews are checked for spam, abuse,
+// off-topic text and personal data before they are published; flagged
+// reviews are held for a moderator (see /admin/reviews).
+//
+// Local rules always run. With Gemini configured, a Genkit flow classifies
+// the text as well and either can flag it. With AI_MODEL_PROVIDER=stub, or
+// when the model can't be reached, only the local rules are used.
+
+import { z } from "genkit"; // schema builder used by Genkit
+import { getAI, STUB_MODEL_NAME } from "@/src/lib/ai/genkit.js";
+import { tokenize } from "@/src/lib/search.js";
+import { restaurantCategories } from "@/src/lib/restaurantFields.js";
+
+export const ModerationCategory = {
+  SPAM: "spam",
+  ABUSE: "abuse",
+  OFF_TOPIC: "offTopic",
+  PERSONAL_DATA: "personalData",
+};
+
+export const ModerationResultSchema = z.object({
+  categories: z
+    .array(z.enum(Object.values(ModerationCategory)))
+    .describe("Every category the review falls into, empty when it is fine"),
+  reason: z
+    .string()
+    .describe("One short sentence explaining the categories, or empty"),
+});
+
+const SPAM_PATTERNS = [
+  /https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|biz)\b/i, // links
+  /\b(buy now|click here|promo code|discount code|free money|follow me|subscribe|dm me)\b/i,
+  /(.)\1{7,}/, // "!!!!!!!!" or "aaaaaaaa"
+];
+
+const ABUSE_PATTERNS = [
+  /\b(idiots?|morons?|scum|losers?|bastards?|bitch(es)?|assholes?|cunts?)\b/i,
+  /\bf+u+c+k\w*|\bshit\w*/i,
+  /\b(shut up|go to hell|kill yourself)\b/i,
+];
+
+const PERSONAL_DATA_PATTERNS = [
+  /[\w.+-]+@[\w-]+\.[\w.-]+/, // email addresses
+  /(?:\+?\d[\s().-]*){9,}/, // phone and card numbers
+];
+
+// words that show a review is about eating out
+const ON_TOPIC_WORDS = new Set([
+  "food",
+  "eat",
+  "ate",
+  "eating",
+  "meal",
+  "meals",
+  "dish",
+  "dishes",
+  "menu",
+  "taste",
+  "tasted",
+  "tasty",
+  "delicious",
+  "flavor",
+  "flavors",
+  "service",
+  "staff",
+  "waiter",
+  "waitress",
+  "chef",
+  "restaurant",
+  "place",
+  "table",
+  "price",
+  "prices",
+  "drink",
+  "drinks",
+  "wine",
+  "beer",
+  "coffee",
+  "dinner",
+  "lunch",
+  "breakfast",
+  "brunch",
+  "dessert",
+  "order",
+  "ordered",
+  "portion",
+  "portions",
+  "atmosphere",
+  "cook",
+  "cooked",
+  "fresh",
+  "spicy",
+  "sweet",
+  ...restaurantCategories.flatMap(tokenize),
+]);
+
+// longer reviews that never mention food or eating out are off-topic
+const OFF_TOPIC_MIN_WORDS = 15;
+
+/**
+ * Classify review text with local rules only.
+ *
+ * @param {string} text - Review text
+ * @returns {{categories: string[], reason: string}}
+ */
+export function moderateReviewLocally(text) {
+  const categories = [];
+  const reasons = [];
+
+  if (SPAM_PATTERNS.some((pattern) => pattern.test(text))) {
+    categories.push(ModerationCategory.SPAM);
+    reasons.push("contains links or promotional text");
+  }
+  if (ABUSE_PATTERNS.some((pattern) => pattern.test(text))) {
+    categories.push(ModerationCategory.ABUSE);
+    reasons.push("contains insults or profanity");
+  }
+  if (PERSONAL_DATA_PATTERNS.some((pattern) => pattern.test(text))) {
+    categories.push(ModerationCategory.PERSONAL_DATA);
+    reasons.push("contains an email address or phone number");
+  }
+  const words = tokenize(text);
+  if (
+    words.length >= OFF_TOPIC_MIN_WORDS &&
+    !words.some((word) => ON_TOPIC_WORDS.has(word))
+  ) {
+    categories.push(ModerationCategory.OFF_TOPIC);
+    reasons.push("doesn't seem to be about the restaurant");
+  }
+
+  return {
+    categories,
+    reason: reasons.length > 0 ? `The review ${reasons.join(" and ")}.` : "",
+  };
+}
+
+// build the prompt for the model
+function buildModerationPrompt(text) {
+  return [
+    "You moderate reviews on a restaurant review site. Classify the review",
+    "below. It is spam if it advertises something or contains links, abuse",
+    "if it insults people or uses slurs or profanity, offTopic if it isn't",
+    "about the restaurant, and personalData if it contains contact details,",
+    "addresses or other personal information about anyone.",
+    "Reviews may be negative; harsh criticism of the food or service is fine.",
+    "",
+    "Review:",
+    text.replace(/\s+/g, " "),
+  ].join("\n");
+}
+
+let moderationFlow;
+
+// The flow is defined once on the shared Genkit instance, and only when a
+// real model is configured
+function getModerationFlow() {
+  if (moderationFlow === undefined) {
+    const { ai, model, modelName } = getAI();
+    moderationFlow =
+      modelName === STUB_MODEL_NAME
+        ? null
+        : {
+            modelName,
+            flow: ai.defineFlow(
+              {
+                name: "moderateReview",
+                inputSchema: z.object({ text: z.string() }),
+                outputSchema: ModerationResultSchema,
+              },
+              async ({ text }) => {
+                const { output } = await ai.generate({
+                  model,
+                  prompt: buildModerationPrompt(text),
+                  output: { schema: ModerationResultSchema }, // parsed and validated by Genkit
+                });
+                if (!output) {
+                  throw new Error("The model did not classify the review.");
+                }
+                return output;
+              }
+            ),
+          };
+  }
+  return moderationFlow;
+}
+
+/**
+ * Check review text before it is published.
+ *
+ * @param {string} text - Review text
+ * @returns {Promise<{flagged: boolean, categories: string[], reason: string, source: string}>}
+ *   `source` is "rules", or the model's name when the model flagged the text
+ */
+export async function moderateReview(text) {
+  const local = moderateReviewLocally(text);
+  let result = { ...local, source: "rules" };
+
+  try {
+    const moderation = getModerationFlow();
+    if (moderation) {
+      const model = await moderation.flow({ text });
+      if (model.categories.length > 0) {
+        result = {
+          categories: [...new Set([...local.categories, ...model.categories])],
+          reason: model.reason || local.reason,
+          source: moderation.modelName,
+        };
+      }
+    }
+  } catch (error) {
+    // the local rules still apply when the model is unavailable
+    console.error("Could not moderate the review with the model", error);
+  }
+
+  return { ...result, flagged: result.categories.length > 0 };
+}
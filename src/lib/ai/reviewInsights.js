@@ -0,0 +1,347 @@
+// Structured review insights: pros, cons, frequently mentioned dishes and the
+// sentiment about each aspect of a restaurant, generated by a Genkit flow
+// with a typed output schema. Like the summary, they are cached on the
+// restaurant document as `reviewInsights: { ...insights, model, reviewCount,
+// generatedAt }` and regenerated once enough reviews have changed.
+//
+// With AI_MODEL_PROVIDER=stub the flow uses a deterministic fake model that
+// derives the insights from keywords and ratings, so it works offline.
+
+import { z } from "genkit"; // schema builder used by Genkit
+import { getAI, STUB_MODEL_NAME } from "@/src/lib/ai/genkit.js";
+import { MAX_REVIEWS, runThrottled } from "@/src/lib/ai/cache.js";
+import { tokenize } from "@/src/lib/search.js";
+import { getReviewsByRestaurantId } from "@/src/lib/firebase/firestore.js";
+import { getAdminFirestore } from "@/src/lib/firebase/adminApp.js";
+import { updateRestaurantReviewInsights } from "@/src/lib/firebase/adminFirestore.js";
+import { RATING_ASPECTS } from "@/src/lib/ratingAspects.js";
+
+// the aspects reviewers can rate, see src/lib/ratingAspects.js
+export const INSIGHT_ASPECTS = RATING_ASPECTS;
+
+export const FAKE_INSIGHTS_MODEL_NAME = "stub/review-insights";
+
+const AspectSentimentSchema = z.object({
+  sentiment: z
+    .enum(["positive", "mixed", "negative", "unknown"])
+    .describe('"unknown" when no review talks about this aspect'),
+  score: z
+    .number()
+    .min(-1)
+    .max(1)
+    .describe("-1 is entirely negative, 1 is entirely positive"),
+});
+
+export const ReviewInsightsSchema = z.object({
+  pros: z
+    .array(z.string())
+    .max(5)
+    .describe("What reviewers like, as short phrases"),
+  cons: z
+    .array(z.string())
+    .max(5)
+    .describe("What reviewers dislike, as short phrases"),
+  dishes: z
+    .array(
+      z.object({
+        name: z.string(),
+        mentions: z.number().int().min(1),
+      })
+    )
+    .max(5)
+    .describe("Dishes named in the reviews, most mentioned first"),
+  aspects: z.object({
+    food: AspectSentimentSchema,
+    service: AspectSentimentSchema,
+    value: AspectSentimentSchema,
+    ambience: AspectSentimentSchema,
+  }),
+});
+
+const ReviewInsightsInputSchema = z.object({
+  reviews: z.array(
+    z.object({
+      rating: z.number().int().min(1).max(5),
+      text: z.string(),
+    })
+  ),
+});
+
+// build the prompt for the model, one review per "- (N stars) text" line
+export function buildInsightsPrompt(reviews) {
+  return [
+    "Analyze the following restaurant reviews, one per line.",
+    "List the main pros and cons reviewers mention, the dishes they mention",
+    "most often, and how positive they are about the food, the service,",
+    "the value for money and the ambience.",
+    "",
+    "Here are the reviews:",
+    ...reviews.map(
+      (review) =>
+        `- (${review.rating} stars) ${review.text.replace(/\s+/g, " ")}`
+    ),
+  ].join("\n");
+}
+
+// turn the prompt back into reviews, for the fake model
+function parseInsightsPrompt(prompt) {
+  return prompt
+    .split("\n")
+    .map((line) => line.match(/^- \(([1-5]) stars\) (.*)$/))
+    .filter(Boolean)
+    .map(([, rating, text]) => ({ rating: Number(rating), text }));
+}
+
+// words that show a review talks about an aspect
+const ASPECT_KEYWORDS = {
+  food: [
+    "food",
+    "dish",
+    "dishes",
+    "flavor",
+    "flavors",
+    "taste",
+    "tasty",
+    "delicious",
+    "meal",
+    "menu",
+    "fresh",
+    "cooked",
+    "bland",
+  ],
+  service: [
+    "service",
+    "staff",
+    "waiter",
+    "waitress",
+    "server",
+    "friendly",
+    "rude",
+    "attentive",
+    "slow",
+    "welcoming",
+  ],
+  value: [
+    "price",
+    "prices",
+    "value",
+    "worth",
+    "money",
+    "expensive",
+    "cheap",
+    "overpriced",
+    "affordable",
+    "penny",
+  ],
+  ambience: [
+    "ambience",
+    "ambiance",
+    "atmosphere",
+    "decor",
+    "cozy",
+    "music",
+    "noisy",
+    "loud",
+    "vibe",
+    "romantic",
+  ],
+};
+
+const ASPECT_PROS = {
+  food: "Tasty food",
+  service: "Friendly service",
+  value: "Good value for money",
+  ambience: "Pleasant atmosphere",
+};
+
+const ASPECT_CONS = {
+  food: "Disappointing food",
+  service: "Poor service",
+  value: "Poor value for money",
+  ambience: "Unpleasant atmosphere",
+};
+
+// dishes the fake model recognizes
+const DISHES = [
+  "burger",
+  "burgers",
+  "curry",
+  "dumplings",
+  "fries",
+  "noodles",
+  "pasta",
+  "pizza",
+  "ramen",
+  "salad",
+  "steak",
+  "sushi",
+  "tacos",
+  "tapas",
+  "dessert",
+  "desserts",
+];
+
+// a review's sentiment from its rating: 1-2 stars => -1, 3 => 0, 4-5 => 1
+function ratingSentiment(rating) {
+  return Math.sign(rating - 3);
+}
+
+function aspectSentiment(scores) {
+  if (scores.length === 0) {
+    return { sentiment: "unknown", score: 0 };
+  }
+  const score =
+    Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100) /
+    100;
+  const sentiment =
+    score > 0.33 ? "positive" : score < -0.33 ? "negative" : "mixed";
+  return { sentiment, score };
+}
+
+/**
+ * The fake model's insights: aspects are found by keyword and scored by the
+ * ratings of the reviews that mention them. The same reviews always give
+ * the same insights.
+ *
+ * @param {{rating: number, text: string}[]} reviews
+ * @returns {z.infer<typeof ReviewInsightsSchema>}
+ */
+export function fakeReviewInsights(reviews) {
+  const aspectScores = Object.fromEntries(
+    INSIGHT_ASPECTS.map((aspect) => [aspect, []])
+  );
+  const dishCounts = {};
+
+  for (const review of reviews) {
+    const words = tokenize(review.text);
+    for (const aspect of INSIGHT_ASPECTS) {
+      if (ASPECT_KEYWORDS[aspect].some((word) => words.includes(word))) {
+        aspectScores[aspect].push(ratingSentiment(review.rating));
+      }
+    }
+    for (const dish of DISHES.filter((dish) => words.includes(dish))) {
+      dishCounts[dish] = (dishCounts[dish] || 0) + 1;
+    }
+  }
+
+  const aspects = Object.fromEntries(
+    INSIGHT_ASPECTS.map((aspect) => [
+      aspect,
+      aspectSentiment(aspectScores[aspect]),
+    ])
+  );
+  return {
+    pros: INSIGHT_ASPECTS.filter(
+      (aspect) => aspects[aspect].sentiment === "positive"
+    ).map((aspect) => ASPECT_PROS[aspect]),
+    cons: INSIGHT_ASPECTS.filter(
+      (aspect) => aspects[aspect].sentiment === "negative"
+    ).map((aspect) => ASPECT_CONS[aspect]),
+    dishes: Object.entries(dishCounts)
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+      .slice(0, 5)
+      .map(([name, mentions]) => ({ name, mentions })),
+    aspects,
+  };
+}
+
+function defineFakeInsightsModel(ai) {
+  return ai.defineModel(
+    { name: FAKE_INSIGHTS_MODEL_NAME, label: "Fake review insights model" },
+    async (request) => {
+      const prompt = request.messages
+        .flatMap((message) => message.content)
+        .map((part) => part.text ?? "")
+        .join("\n");
+      const insights = fakeReviewInsights(parseInsightsPrompt(prompt));
+      return {
+        message: {
+          role: "model",
+          content: [{ text: JSON.stringify(insights) }],
+        },
+        finishReason: "stop",
+      };
+    }
+  );
+}
+
+let insightsFlow;
+
+// The flow is defined once on the shared Genkit instance
+function getInsightsFlow() {
+  if (!insightsFlow) {
+    const { ai, model, modelName } = getAI();
+    const insightsModel =
+      modelName === STUB_MODEL_NAME ? defineFakeInsightsModel(ai) : model;
+    const insightsModelName =
+      modelName === STUB_MODEL_NAME ? FAKE_INSIGHTS_MODEL_NAME : modelName;
+
+    const flow = ai.defineFlow(
+      {
+        name: "reviewInsights",
+        inputSchema: ReviewInsightsInputSchema,
+        outputSchema: ReviewInsightsSchema,
+      },
+      async ({ reviews }) => {
+        const { output } = await ai.generate({
+          model: insightsModel,
+          prompt: buildInsightsPrompt(reviews),
+          output: { schema: ReviewInsightsSchema }, // parsed and validated by Genkit
+        });
+        if (!output) {
+          throw new Error("The model did not return review insights.");
+        }
+        return output;
+      }
+    );
+    insightsFlow = { flow, modelName: insightsModelName };
+  }
+  return insightsFlow;
+}
+
+/**
+ * Generate structured insights about reviews with the configured model.
+ *
+ * @param {{rating: number, text: string}[]} reviews - The reviews to analyze
+ * @returns {Promise<z.infer<typeof ReviewInsightsSchema> & {model: string, reviewCount: number}>}
+ */
+export async function generateReviewInsights(reviews) {
+  const { flow, modelName } = getInsightsFlow();
+  const insights = await flow({
+    reviews: reviews.map(({ rating, text }) => ({ rating, text })),
+  });
+  return { ...insights, model: modelName, reviewCount: reviews.length };
+}
+
+/**
+ * Regenerate and store a restaurant's review insights. Calls for the same
+ * restaurant within MIN_REFRESH_INTERVAL_MS share one model call. Like the
+ * summary, the insights are stored by the server with the Admin SDK.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance to
+ *   read the reviews with
+ * @param {{id: string, numRatings: number}} restaurant - Restaurant to analyze
+ * @returns {Promise<object>} The new insights, stored or not
+ */
+export function refreshReviewInsights(db, restaurant) {
+  return runThrottled(`insights/${restaurant.id}`, async () => {
+    const reviews = await getReviewsByRestaurantId(db, restaurant.id, {
+      pageSize: MAX_REVIEWS,
+    });
+    const insights = {
+      ...(await generateReviewInsights(reviews)),
+      // compare against numRatings, which may be more than were sent
+      reviewCount: restaurant.numRatings,
+    };
+    try {
+      await updateRestaurantReviewInsights(
+        getAdminFirestore(),
+        restaurant.id,
+        insights
+      );
+    } catch (error) {
+      console.error("Could not store the review insights", error);
+    }
+    return insights;
+  });
+}
@@ -0,0 +1,71 @@
+// Review summaries are generated by a model and cached on the restaurant
+// document as `reviewSummary: { text, model, reviewCount, generatedAt }`.
+// A cached summary is regenerated once the number of reviews has moved by
+// REFRESH_THRESHOLD, and the stale one is shown until then.
+
+import { getAI } from "@/src/lib/ai/genkit.js";
+import { MAX_REVIEWS, runThrottled } from "@/src/lib/ai/cache.js";
+import { getReviewsByRestaurantId } from "@/src/lib/firebase/firestore.js";
+import { getAdminFirestore } from "@/src/lib/firebase/adminApp.js";
+import { updateRestaurantReviewSummary } from "@/src/lib/firebase/adminFirestore.js";
+
+// build the prompt for the model, one review per "- " line
+export function buildSummaryPrompt(reviews) {
+  return [
+    "Based on the following restaurant reviews, one per line,",
+    "create a one-sentence summary of what people think of the restaurant.",
+    "",
+    "Here are the reviews:",
+    ...reviews.map((review) => `- ${review.text.replace(/\s+/g, " ")}`),
+  ].join("\n");
+}
+
+/**
+ * Generate a summary of reviews with the configured model.
+ *
+ * @param {{text: string}[]} reviews - The reviews to summarize
+ * @returns {Promise<{text: string, model: string, reviewCount: number}>}
+ */
+export async function generateReviewSummary(reviews) {
+  const { ai, model, modelName } = getAI();
+  const { text } = await ai.generate({
+    model,
+    prompt: buildSummaryPrompt(reviews),
+  }); // generate text from the prompt
+  return { text, model: modelName, reviewCount: reviews.length };
+}
+
+/**
+ * Regenerate and store a restaurant's review summary. Calls for the same
+ * restaurant within MIN_REFRESH_INTERVAL_MS share one model call.
+ *
+ * The summary is stored by the server with the Admin SDK, whoever is viewing
+ * the page. When it can't be stored, the new summary is still returned.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance to
+ *   read the reviews with
+ * @param {{id: string, numRatings: number}} restaurant - Restaurant to summarize
+ * @returns {Promise<{text: string, model: string, reviewCount: number}>}
+ */
+export function refreshReviewSummary(db, restaurant) {
+  return runThrottled(`summary/${restaurant.id}`, async () => {
+    const reviews = await getReviewsByRestaurantId(db, restaurant.id, {
+      pageSize: MAX_REVIEWS,
+    });
+    const summary = {
+      ...(await generateReviewSummary(reviews)),
+      // compare against numRatings, which may be more than were sent
+      reviewCount: restaurant.numRatings,
+    };
+    try {
+      await updateRestaurantReviewSummary(
+        getAdminFirestore(),
+        restaurant.id,
+        summary
+      );
+    } catch (error) {
+      console.error("Could not store the review summary", error);
+    }
+    return summary;
+  });
+}
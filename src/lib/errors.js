@@ -0,0 +1,21 @@
+// Error codes returned from server actions to the client.
+// Server actions can't throw rich error objects across the network boundary,
+// so they return a plain `{ error: { code, message } }` result instead.
+
+export const ActionErrorCode = {
+  UNAUTHENTICATED: "unauthenticated",
+  PERMISSION_DENIED: "permission-denied",
+  INVALID_ARGUMENT: "invalid-argument",
+  NOT_FOUND: "not-found",
+  INTERNAL: "internal",
+};
+
+// build the result object a server action returns on failure
+export function actionError(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+// build the result object a server action returns on success
+export function actionSuccess(data = {}) {
+  return { ok: true, ...data };
+}
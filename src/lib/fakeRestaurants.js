@@ -1,78 +1,171 @@
 import {
+  createRandom,
   randomNumberBetween,
+  randomItem,
+  weightedRandomItem,
   getRandomDateAfter,
   getRandomDateBefore,
 } from "@/src/lib/utils.js";
 import { randomData } from "@/src/lib/randomData.js";
+import {
+  buildSearchKeywords,
+  updateReviewKeywordCounts,
+} from "@/src/lib/search.js";
+import { RATING_ASPECTS } from "@/src/lib/ratingAspects.js";
+import {
+  computeBayesianRating,
+  updateRatingCounts,
+} from "@/src/lib/ratingStats.js";
 
-import { Timestamp } from "firebase/firestore";
+// most reviewers also rate some aspects, close to their overall rating
+function fakeAspectRatings(rating, random) {
+  const aspectRatings = {};
+  for (const aspect of RATING_ASPECTS) {
+    if (random() < 0.7) {
+      const aspectRating = rating + randomNumberBetween(-1, 1, random);
+      aspectRatings[aspect] = Math.min(Math.max(aspectRating, 1), 5);
+    }
+  }
+  return aspectRatings;
+}
+
+// the per-aspect aggregates firestore.js maintains for these reviews
+function aspectAggregates(ratingsData) {
+  return Object.fromEntries(
+    RATING_ASPECTS.map((aspect) => {
+      const ratings = ratingsData
+        .map((ratingData) => ratingData.aspectRatings[aspect])
+        .filter(Boolean);
+      const sumRating = ratings.reduce((sum, rating) => sum + rating, 0);
+      return [
+        aspect,
+        {
+          numRatings: ratings.length,
+          sumRating,
+          avgRating: ratings.length ? sumRating / ratings.length : 0,
+        },
+      ];
+    })
+  );
+}
+
+// the same weight for every value
+function evenly(values) {
+  return Object.fromEntries(values.map((value) => [value, 1]));
+}
+
+/**
+ * Generate sample users, restaurants and reviews. The same options (seed
+ * included) always give the same data; dates are relative to `now`.
+ *
+ * @param {object} [options]
+ * @param {number} [options.restaurants=5] - How many restaurants to generate
+ * @param {number} [options.maxReviewsPerRestaurant=5] - Each restaurant gets 0 to this many reviews
+ * @param {number} [options.users=20] - How many users write the reviews
+ * @param {number|string} [options.seed] - Seed for the random numbers; random when missing
+ * @param {Record<string, number>} [options.cityWeights] - Relative share of restaurants per city; all cities evenly by default
+ * @param {Record<string, number>} [options.categoryWeights] - Relative share of restaurants per category; all categories evenly by default
+ * @param {Date} [options.now]
+ * @returns {{users: object[], restaurants: {restaurantData: object, ratingsData: object[]}[]}}
+ *   Users have an `id` and the fields of a user profile
+ */
+export function generateFakeRestaurantsAndReviews({
+  restaurants: restaurantsToAdd = 5,
+  maxReviewsPerRestaurant = 5,
+  users: usersToAdd = 20,
+  seed,
+  cityWeights = evenly(randomData.restaurantCities),
+  categoryWeights = evenly(randomData.restaurantCategories),
+  now = new Date(),
+} = {}) {
+  const random = createRandom(seed);
+
+  const users = [];
+  for (let i = 0; i < usersToAdd; i++) {
+    const { userNames } = randomData;
+    const round = Math.floor(i / userNames.length);
+    users.push({
+      id: `sample-user-${String(i + 1).padStart(3, "0")}`,
+      displayName:
+        userNames[i % userNames.length] + (round ? ` ${round + 1}` : ""),
+      photoURL: null,
+      createdAt: getRandomDateBefore(now, random),
+    });
+  }
 
-export async function generateFakeRestaurantsAndReviews() {
-  const restaurantsToAdd = 5;
   const data = [];
 
   for (let i = 0; i < restaurantsToAdd; i++) {
-    const restaurantTimestamp = Timestamp.fromDate(getRandomDateBefore());
+    const restaurantTimestamp = getRandomDateBefore(now, random);
 
     const ratingsData = [];
 
     // Generate a random number of ratings/reviews for this restaurant
-    for (let j = 0; j < randomNumberBetween(0, 5); j++) {
-      const ratingTimestamp = Timestamp.fromDate(
-        getRandomDateAfter(restaurantTimestamp.toDate())
-      );
+    const reviewsToAdd = users.length
+      ? randomNumberBetween(0, maxReviewsPerRestaurant, random)
+      : 0;
+    for (let j = 0; j < reviewsToAdd; j++) {
+      const review = randomItem(randomData.restaurantReviews, random);
+      const user = randomItem(users, random);
 
       const ratingData = {
-        rating:
-          randomData.restaurantReviews[
-            randomNumberBetween(0, randomData.restaurantReviews.length - 1)
-          ].rating,
-        text: randomData.restaurantReviews[
-          randomNumberBetween(0, randomData.restaurantReviews.length - 1)
-        ].text,
-        userId: `User #${randomNumberBetween()}`,
-        timestamp: ratingTimestamp,
+        rating: review.rating,
+        aspectRatings: fakeAspectRatings(review.rating, random),
+        text: review.text,
+        userId: user.id,
+        userName: user.displayName,
+        userPhotoURL: null,
+        status: "published", // sample reviews skip moderation
+        helpfulCount: 0, // sample users don't vote
+        timestamp: getRandomDateAfter(restaurantTimestamp, random),
       };
 
       ratingsData.push(ratingData);
     }
 
-    const avgRating = ratingsData.length
-      ? ratingsData.reduce(
-          (accumulator, currentValue) => accumulator + currentValue.rating,
-          0
-        ) / ratingsData.length
-      : 0;
+    const sumRating = ratingsData.reduce(
+      (accumulator, currentValue) => accumulator + currentValue.rating,
+      0
+    );
 
     const restaurantData = {
-      category:
-        randomData.restaurantCategories[
-          randomNumberBetween(0, randomData.restaurantCategories.length - 1)
-        ],
-      name: randomData.restaurantNames[
-        randomNumberBetween(0, randomData.restaurantNames.length - 1)
-      ],
-      avgRating,
-      city: randomData.restaurantCities[
-        randomNumberBetween(0, randomData.restaurantCities.length - 1)
-      ],
+      category: weightedRandomItem(categoryWeights, random),
+      name: randomItem(randomData.restaurantNames, random),
+      avgRating: ratingsData.length ? sumRating / ratingsData.length : 0,
+      city: weightedRandomItem(cityWeights, random),
       numRatings: ratingsData.length,
-      sumRating: ratingsData.reduce(
-        (accumulator, currentValue) => accumulator + currentValue.rating,
-        0
+      sumRating,
+      bayesianRating: computeBayesianRating(ratingsData.length, sumRating),
+      ratingCounts: ratingsData.reduce(
+        (counts, ratingData) =>
+          updateRatingCounts(counts, null, ratingData.rating),
+        updateRatingCounts(null, null, null)
       ),
-      price: randomNumberBetween(1, 4),
+      aspectRatings: aspectAggregates(ratingsData),
+      price: randomNumberBetween(1, 4, random),
       photo: `https://storage.googleapis.com/firestorequickstarts.appspot.com/food_${randomNumberBetween(
         1,
-        22
+        22,
+        random
       )}.png`,
       timestamp: restaurantTimestamp,
     };
 
+    // make the restaurant findable by its name and review text
+    restaurantData.reviewKeywordCounts = ratingsData.reduce(
+      (counts, ratingData) =>
+        updateReviewKeywordCounts(counts, ratingData.text, 1),
+      {}
+    );
+    restaurantData.searchKeywords = buildSearchKeywords(
+      restaurantData,
+      restaurantData.reviewKeywordCounts
+    );
+
     data.push({
       restaurantData,
       ratingsData,
     });
   }
-  return data;
+  return { users, restaurants: data };
 }
@@ -0,0 +1,155 @@
+// The restaurant listing filters, shared by the URL, the filter UI and the
+// Firestore queries.
+//
+// In the URL and the UI:
+//   - category and city are comma-separated lists, e.g. "Italian,Chinese"
+//   - price is either one level ("2" for $$) or a range ("1-2" for "$$ and under")
+//   - sort is "Rating" (default), "Review", "Best rated" (see
+//     src/lib/ratingStats.js), or a rating aspect such as "Food", see
+//     src/lib/ratingAspects.js
+//   - q is a free-text search query
+//   - favorites is "1" to only show the signed-in user's favorites
+// Restaurants store `price` as a number from 1 to 4.
+
+import { restaurantPrices } from "@/src/lib/restaurantFields.js";
+import { aspectSortOptions } from "@/src/lib/ratingAspects.js";
+
+// Firestore allows at most 30 combinations of `in` values in one query,
+// e.g. 3 categories x 2 cities x 2 prices = 12
+export const MAX_FILTER_COMBINATIONS = 30;
+
+// the sort options offered in the UI
+export const sortOptions = [
+  "Rating",
+  "Best rated",
+  "Review",
+  ...aspectSortOptions,
+];
+
+// the price options offered in the UI, "" meaning any price
+export const priceOptions = ["", "1", "2", "3", "4", "1-2", "1-3"];
+
+export const emptyFilters = {
+  category: [],
+  city: [],
+  price: "",
+  sort: "",
+  q: "",
+  favorites: "",
+};
+
+// split a "a,b" URL value, or an array of them, into a list of values
+function parseList(value) {
+  const values = (Array.isArray(value) ? value : [value ?? ""])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return [...new Set(values)];
+}
+
+// turn "$$", "2" or 2 into the price level 2, or null when it isn't one
+function parsePriceLevel(value) {
+  const level = /^\$+$/.test(value) ? value.length : Number(value);
+  return restaurantPrices.includes(level) ? level : null;
+}
+
+/**
+ * Normalize a price filter to "" (any), a single level ("2") or a range
+ * ("1-2"). Accepts the "$$" form used by older URLs.
+ *
+ * @param {string|number} value - The price filter
+ * @returns {string} The canonical price filter
+ */
+export function normalizePrice(value) {
+  const [min, max = min] = String(value ?? "")
+    .split("-")
+    .map(parsePriceLevel);
+  if (min === null || max === null || min === undefined || min > max) {
+    return "";
+  }
+  return min === max ? String(min) : `${min}-${max}`;
+}
+
+// the price levels a price filter matches, e.g. "1-3" => [1, 2, 3]
+export function priceLevels(price) {
+  const normalized = normalizePrice(price);
+  if (!normalized) {
+    return [];
+  }
+  const [min, max = min] = normalized.split("-").map(Number);
+  return restaurantPrices.filter((level) => level >= min && level <= max);
+}
+
+// how a price filter is shown to users, e.g. "1-2" => "$$ and under"
+export function formatPrice(price) {
+  const levels = priceLevels(price);
+  if (levels.length === 0) {
+    return "Any price";
+  }
+  const highest = "$".repeat(levels.at(-1));
+  return levels.length === 1 ? highest : `${highest} and under`;
+}
+
+/**
+ * Normalize filters from URL search params or from the UI. Lists are trimmed
+ * so that the Firestore query stays within MAX_FILTER_COMBINATIONS.
+ *
+ * @param {Object<string, string|string[]>} params - Search params or filters
+ * @returns {{category: string[], city: string[], price: string, sort: string, q: string, favorites: string}}
+ */
+export function parseFilters(params = {}) {
+  const filters = {
+    category: parseList(params.category),
+    city: parseList(params.city),
+    price: normalizePrice(params.price),
+    sort: sortOptions.includes(params.sort)
+      ? params.sort
+      : params.sort
+        ? "Rating"
+        : "",
+    q: String(params.q ?? "").trim(),
+    favorites: params.favorites === "1" ? "1" : "",
+  };
+
+  const combinations = () =>
+    Math.max(filters.category.length, 1) *
+    Math.max(filters.city.length, 1) *
+    Math.max(priceLevels(filters.price).length, 1);
+  while (combinations() > MAX_FILTER_COMBINATIONS) {
+    // drop from whichever list is longest until the query is allowed
+    const longest =
+      filters.city.length >= filters.category.length ? "city" : "category";
+    filters[longest] = filters[longest].slice(0, -1);
+  }
+
+  return filters;
+}
+
+// the URL query string for filters, plus an optional page cursor
+export function serializeFilters(filters, cursor) {
+  const queryParams = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(filters)) {
+    const serialized = Array.isArray(value) ? value.join(",") : value;
+    if (serialized !== undefined && serialized !== "") {
+      queryParams.append(key, serialized);
+    }
+  }
+  if (cursor) {
+    queryParams.append("cursor", cursor);
+  }
+
+  return queryParams.toString();
+}
+
+// whether a restaurant passes the category, city and price filters
+// (used where the filters can't be part of the Firestore query)
+export function matchesFilters(restaurant, filters) {
+  const { category, city, price } = parseFilters(filters);
+  const levels = priceLevels(price);
+  return (
+    (category.length === 0 || category.includes(restaurant.category)) &&
+    (city.length === 0 || city.includes(restaurant.city)) &&
+    (levels.length === 0 || levels.includes(Number(restaurant.price)))
+  );
+}
@@ -0,0 +1,44 @@
+// enforces that this code can only be called on the server
+import "server-only";
+
+// The Admin SDK isn't bound by the security rules, so the server uses it for
+// the writes that visitors mustn't be able to make themselves, such as the
+// cached AI results. On App Hosting it authenticates as the backend's
+// service account.
+
+import { getApps, initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import {
+  EMULATOR_FIREBASE_CONFIG,
+  EMULATOR_HOST,
+  EMULATOR_PORTS,
+  USE_EMULATORS,
+} from "@/src/lib/firebase/emulators.js";
+
+// a named app, so it can't clash with a default app set up elsewhere
+const ADMIN_APP_NAME = "friendlyeats-admin";
+
+function initializeAdminApp() {
+  if (USE_EMULATORS) {
+    // the Admin SDK finds the emulator through this variable
+    process.env.FIRESTORE_EMULATOR_HOST ??= `${EMULATOR_HOST}:${EMULATOR_PORTS.firestore}`;
+    return initializeApp(
+      { projectId: EMULATOR_FIREBASE_CONFIG.projectId },
+      ADMIN_APP_NAME
+    );
+  }
+  return initializeApp(undefined, ADMIN_APP_NAME); // Application Default Credentials
+}
+
+/**
+ * The Admin SDK's Firestore, created on first use and shared by all requests.
+ *
+ * @returns {import('firebase-admin/firestore').Firestore} Firestore instance
+ *   that bypasses the security rules
+ */
+export function getAdminFirestore() {
+  const app =
+    getApps().find((app) => app.name === ADMIN_APP_NAME) ??
+    initializeAdminApp();
+  return getFirestore(app);
+}
@@ -0,0 +1,254 @@
+// Writes that only the server may make, with the Admin SDK's Firestore from
+// getAdminFirestore() (see adminApp.js). Visitors can't make them with their
+// own credentials, see firestore.rules: restaurants and reviews are only
+// written once the server has validated (and moderated) them, and the rating
+// aggregates, search keywords and cached AI results can't be forged.
+
+import {
+  isPublished,
+  restaurantFieldsForReviewChange,
+  ReviewStatus,
+} from "@/src/lib/firebase/firestore.js";
+import { buildSearchKeywords } from "@/src/lib/search.js";
+
+/**
+ * Create a new restaurant with empty rating aggregates.
+ *
+ * @param {import('firebase-admin/firestore').Firestore} db - Admin Firestore instance
+ * @param {{name: string, category: string, city: string, price: number, ownerId: string}} restaurant
+ *   Validated restaurant fields (see validateRestaurantFields) and its owner
+ * @returns {Promise<string>} ID of the new restaurant document
+ */
+export async function addRestaurant(db, restaurant) {
+  if (!restaurant) {
+    throw new Error("A valid restaurant has not been provided.");
+  }
+
+  const docRef = await db.collection("restaurants").add({
+    ...restaurant,
+    // the aggregates and search fields of a restaurant without reviews, so
+    // it is listed by every sort from the start
+    ...restaurantFieldsForReviewChange(restaurant, null, null),
+    photo: null, // set once an image has been uploaded
+    timestamp: new Date(), // stored as a Timestamp
+  });
+  return docRef.id;
+}
+
+/**
+ * Change the editable details of a restaurant and rebuild its search
+ * keywords from them.
+ *
+ * @param {import('firebase-admin/firestore').Firestore} db - Admin Firestore instance
+ * @param {string} restaurantId - ID of the restaurant to change
+ * @param {{name: string, category: string, city: string, price: number}} details
+ *   Validated restaurant fields (see validateRestaurantFields)
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function updateRestaurantDetails(db, restaurantId, details) {
+  if (!restaurantId) {
+    throw new Error("No restaurant ID has been provided.");
+  }
+
+  const { name, category, city, price } = details; // never let other fields through
+  const restaurantRef = db.doc(`restaurants/${restaurantId}`);
+
+  // read the review keywords so the search keywords can be rebuilt
+  await db.runTransaction(async (transaction) => {
+    const restaurant = await transaction.get(restaurantRef);
+    if (!restaurant.exists) {
+      throw new Error("The restaurant no longer exists."); // update() would fail anyway
+    }
+    transaction.update(restaurantRef, {
+      name,
+      category,
+      city,
+      price,
+      searchKeywords: buildSearchKeywords(
+        { name, category, city },
+        restaurant.data().reviewKeywordCounts
+      ),
+    });
+  });
+}
+
+/**
+ * Add a review (rating) to a restaurant and update the restaurant aggregates.
+ *
+ * This function performs a transaction to add the new rating document under
+ * `restaurants/{restaurantId}/ratings` and atomically updates the parent
+ * restaurant's `numRatings` and `avgRating` fields, the star histogram
+ * (`ratingCounts`), the "Best rated" score (`bayesianRating`) and the
+ * per-aspect aggregates in `aspectRatings`. Reviews held for moderation are
+ * written without touching the aggregates.
+ *
+ * @param {import('firebase-admin/firestore').Firestore} db - Admin Firestore instance
+ * @param {string} restaurantId - ID of the restaurant to which the review belongs
+ * @param {{rating: number, aspectRatings?: object, text?: string, userId: string, status: string}} review
+ *   Review data; must include `rating`, and the `status` the moderation
+ *   decided on. `aspectRatings` holds the aspects the reviewer rated, see
+ *   src/lib/ratingAspects.js
+ * @returns {Promise<string>} ID of the new rating document
+ */
+export async function addReviewToRestaurant(db, restaurantId, review) {
+  if (!restaurantId) {
+    throw new Error("No restaurant ID has been provided.");
+  }
+  if (!review) {
+    throw new Error("A valid review has not been provided.");
+  }
+
+  const restaurantRef = db.doc(`restaurants/${restaurantId}`);
+  const reviewRef = restaurantRef.collection("ratings").doc(); // new ID
+
+  await db.runTransaction(async (transaction) => {
+    const restaurant = await transaction.get(restaurantRef);
+    if (!restaurant.exists) {
+      throw new Error("The restaurant no longer exists."); // no orphaned reviews
+    }
+
+    if (isPublished(review)) {
+      transaction.update(
+        restaurantRef,
+        restaurantFieldsForReviewChange(restaurant.data(), null, review) // also makes the review text searchable
+      );
+    }
+    transaction.set(reviewRef, {
+      ...review,
+      status: review.status ?? ReviewStatus.PUBLISHED, // reviews are only listed by status
+      helpfulCount: 0, // so the "Most helpful" sort lists it, see setReviewHelpfulVote
+      timestamp: new Date(), // stored as a Timestamp
+    });
+  });
+  return reviewRef.id; // e.g. to attach photos to the review
+}
+
+/**
+ * Change the ratings and/or text of an existing review and adjust the
+ * restaurant aggregates by the difference between the old and new ratings.
+ * Passing a `status` also moves the review in or out of moderation.
+ *
+ * @param {import('firebase-admin/firestore').Firestore} db - Admin Firestore instance
+ * @param {string} restaurantId - ID of the restaurant the review belongs to
+ * @param {string} reviewId - ID of the rating document to change
+ * @param {{rating: number, aspectRatings?: object, text: string, status?: string, moderation?: object}} changes
+ *   New rating and text, optionally new aspect ratings (replacing the old
+ *   ones), and optionally a new `ReviewStatus` with the moderation result
+ *   that caused it
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function updateReview(db, restaurantId, reviewId, changes) {
+  if (!restaurantId || !reviewId) {
+    throw new Error("No restaurant or review ID has been provided.");
+  }
+
+  const restaurantRef = db.doc(`restaurants/${restaurantId}`);
+  const reviewRef = restaurantRef.collection("ratings").doc(reviewId);
+
+  await db.runTransaction(async (transaction) => {
+    // all reads must happen before any writes inside a transaction
+    const restaurant = await transaction.get(restaurantRef);
+    const review = await transaction.get(reviewRef);
+    if (!review.exists) {
+      throw new Error("The review no longer exists.");
+    }
+
+    const updated = {
+      rating: Number(changes.rating),
+      text: changes.text,
+      editedAt: new Date(),
+      ...(changes.aspectRatings && { aspectRatings: changes.aspectRatings }),
+      ...(changes.status && { status: changes.status }),
+      ...(changes.moderation && { moderation: changes.moderation }),
+    };
+    const after = { ...review.data(), ...updated };
+    if (isPublished(review.data()) || isPublished(after)) {
+      transaction.update(
+        restaurantRef,
+        restaurantFieldsForReviewChange(restaurant.data(), review.data(), after)
+      );
+    }
+
+    transaction.update(reviewRef, updated);
+  });
+}
+
+/**
+ * Remove a review and take its rating out of the restaurant aggregates.
+ *
+ * @param {import('firebase-admin/firestore').Firestore} db - Admin Firestore instance
+ * @param {string} restaurantId - ID of the restaurant the review belongs to
+ * @param {string} reviewId - ID of the rating document to delete
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function deleteReview(db, restaurantId, reviewId) {
+  if (!restaurantId || !reviewId) {
+    throw new Error("No restaurant or review ID has been provided.");
+  }
+
+  const restaurantRef = db.doc(`restaurants/${restaurantId}`);
+  const reviewRef = restaurantRef.collection("ratings").doc(reviewId);
+
+  await db.runTransaction(async (transaction) => {
+    const restaurant = await transaction.get(restaurantRef);
+    const review = await transaction.get(reviewRef);
+    if (!review.exists) {
+      return; // already deleted, nothing to undo
+    }
+
+    if (isPublished(review.data())) {
+      transaction.update(
+        restaurantRef,
+        restaurantFieldsForReviewChange(restaurant.data(), review.data(), null)
+      );
+    }
+    transaction.delete(reviewRef);
+  });
+}
+
+/**
+ * Store a generated review summary on a restaurant.
+ *
+ * @param {import('firebase-admin/firestore').Firestore} db - Admin Firestore instance
+ * @param {string} restaurantId - ID of the summarized restaurant
+ * @param {{text: string, model: string, reviewCount: number}} summary
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function updateRestaurantReviewSummary(db, restaurantId, summary) {
+  const { text, model, reviewCount } = summary;
+  await db.doc(`restaurants/${restaurantId}`).update({
+    reviewSummary: {
+      text,
+      model,
+      reviewCount,
+      generatedAt: new Date(), // stored as a Timestamp
+    },
+  });
+}
+
+/**
+ * Store generated review insights on a restaurant.
+ *
+ * @param {import('firebase-admin/firestore').Firestore} db - Admin Firestore instance
+ * @param {string} restaurantId - ID of the analyzed restaurant
+ * @param {{pros: string[], cons: string[], dishes: object[], aspects: object, model: string, reviewCount: number}} insights
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function updateRestaurantReviewInsights(
+  db,
+  restaurantId,
+  insights
+) {
+  const { pros, cons, dishes, aspects, model, reviewCount } = insights;
+  await db.doc(`restaurants/${restaurantId}`).update({
+    reviewInsights: {
+      pros,
+      cons,
+      dishes,
+      aspects,
+      model,
+      reviewCount,
+      generatedAt: new Date(), // stored as a Timestamp
+    },
+  });
+}
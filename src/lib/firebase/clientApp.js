@@ -4,10 +4,18 @@ import { initializeApp } from "firebase/app";
 import { getAuth } from "firebase/auth";
 import { getFirestore } from "firebase/firestore";
 import { getStorage } from "firebase/storage";
+import {
+  connectToEmulators,
+  EMULATOR_FIREBASE_CONFIG,
+  USE_EMULATORS,
+} from "@/src/lib/firebase/emulators.js";
 
 // Use automatic initialization
 // https://firebase.google.com/docs/app-hosting/firebase-sdks#initialize-with-no-arguments
-export const firebaseApp = initializeApp();
+// or the local emulators, see emulators.js
+export const firebaseApp = USE_EMULATORS
+  ? connectToEmulators(initializeApp(EMULATOR_FIREBASE_CONFIG))
+  : initializeApp();
 
 export const auth = getAuth(firebaseApp);
 export const db = getFirestore(firebaseApp);
@@ -0,0 +1,63 @@
+// Switch for running against the local Firebase emulators instead of the
+// production project, shared by clientApp.js and serverApp.js.
+//
+// Set NEXT_PUBLIC_FIREBASE_USE_EMULATORS=true to turn it on. The variables are
+// NEXT_PUBLIC_ so that the browser bundle sees the same settings as the server.
+// The ports come from firebase.json.
+
+import { connectAuthEmulator, getAuth } from "firebase/auth";
+import { connectFirestoreEmulator, getFirestore } from "firebase/firestore";
+import { connectStorageEmulator, getStorage } from "firebase/storage";
+import firebaseJson from "@/firebase.json";
+
+export const USE_EMULATORS =
+  process.env.NEXT_PUBLIC_FIREBASE_USE_EMULATORS === "true";
+
+export const EMULATOR_HOST =
+  process.env.NEXT_PUBLIC_FIREBASE_EMULATOR_HOST || "127.0.0.1";
+
+// "demo-" projects only exist in the emulators, so nothing can reach
+// production by accident
+const EMULATOR_PROJECT_ID =
+  process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID || "demo-codelab-nextjs";
+
+// Used instead of the automatic App Hosting configuration, which isn't
+// available offline
+export const EMULATOR_FIREBASE_CONFIG = {
+  apiKey: "demo-api-key",
+  authDomain: `${EMULATOR_PROJECT_ID}.firebaseapp.com`,
+  projectId: EMULATOR_PROJECT_ID,
+  storageBucket: `${EMULATOR_PROJECT_ID}.appspot.com`,
+};
+
+export const EMULATOR_PORTS = {
+  auth: firebaseJson.emulators.auth.port,
+  firestore: firebaseJson.emulators.firestore.port,
+  storage: firebaseJson.emulators.storage.port,
+};
+
+/**
+ * Point an app's Auth, Firestore and Storage at the emulators. Safe to call
+ * more than once for the same app, e.g. on every server request.
+ *
+ * @param {import('firebase/app').FirebaseApp} app - A client or server app
+ * @returns {import('firebase/app').FirebaseApp} The same app
+ */
+export function connectToEmulators(app) {
+  connectAuthEmulator(
+    getAuth(app),
+    `http://${EMULATOR_HOST}:${EMULATOR_PORTS.auth}`,
+    { disableWarnings: true } // the header shows a banner instead
+  );
+  connectFirestoreEmulator(
+    getFirestore(app),
+    EMULATOR_HOST,
+    EMULATOR_PORTS.firestore
+  );
+  connectStorageEmulator(
+    getStorage(app),
+    EMULATOR_HOST,
+    EMULATOR_PORTS.storage
+  );
+  return app;
+}
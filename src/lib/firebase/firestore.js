@@ -11,185 +11,500 @@ import {
   doc,
   getDoc,
   updateDoc,
+  setDoc,
   orderBy,
   Timestamp,
   runTransaction,
   where,
   addDoc,
   getFirestore,
+  documentId,
+  limit,
+  startAfter,
+  collectionGroup,
+  deleteDoc,
+  arrayUnion,
+  arrayRemove,
+  writeBatch,
+  deleteField,
 } from "firebase/firestore"; // Firestore SDK helpers
 
+// import helpers that maintain the restaurant search keywords
+import {
+  buildSearchKeywords,
+  rankRestaurants,
+  searchTerms,
+  updateReviewKeywordCounts,
+} from "@/src/lib/search.js";
+import {
+  matchesFilters,
+  parseFilters,
+  priceLevels,
+} from "@/src/lib/filters.js";
+import { aspectForSort, RATING_ASPECTS } from "@/src/lib/ratingAspects.js";
+import {
+  computeBayesianRating,
+  updateRatingCounts,
+} from "@/src/lib/ratingStats.js";
+
 // import the initialized client-side Firestore instance
 import { db } from "@/src/lib/firebase/clientApp"; // preconfigured Firestore client
 
+// Every restaurant photo is kept in the restaurant's `photos` subcollection.
+// Photos are "visible" until someone reports them, "reported" (still shown)
+// until an owner or admin looks at them, and "hidden" once taken down.
+export const PhotoStatus = {
+  VISIBLE: "visible",
+  REPORTED: "reported",
+  HIDDEN: "hidden",
+};
+
+/**
+ * Record a newly uploaded photo in the restaurant's photo history and make it
+ * the restaurant's main photo.
+ *
+ * @param {string} restaurantId - ID of the restaurant
+ * @param {string} publicImageUrl - URL of the photo shown on the restaurant page
+ * @param {Object<string, string>} photoVariants - URL of each resized variant
+ *   of the photo, see IMAGE_VARIANTS in src/lib/images.js
+ * @param {{uid: string, displayName?: string}} uploader - The signed-in user
+ * @returns {Promise<string>} ID of the photo document
+ */
 export async function updateRestaurantImageReference(
   restaurantId,
-  publicImageUrl
+  publicImageUrl,
+  photoVariants,
+  uploader
 ) {
   // create a document reference for the restaurant
   const restaurantRef = doc(collection(db, "restaurants"), restaurantId);
-  // if the reference exists, update the photo field
-  if (restaurantRef) {
-    await updateDoc(restaurantRef, { photo: publicImageUrl }); // write new photo URL to restaurant doc
-  }
+  const photoRef = doc(collection(restaurantRef, "photos"));
+
+  const batch = writeBatch(db); // the rules check that both are written together
+  batch.set(photoRef, {
+    url: publicImageUrl,
+    variants: photoVariants,
+    uploaderId: uploader.uid,
+    uploaderName: uploader.displayName || "Anonymous",
+    createdAt: Timestamp.fromDate(new Date()),
+    status: PhotoStatus.VISIBLE,
+    reportCount: 0,
+  });
+  batch.update(restaurantRef, {
+    photo: publicImageUrl,
+    photoVariants,
+    photoId: photoRef.id,
+  }); // write new photo URLs to restaurant doc
+  await batch.commit();
+  return photoRef.id;
+}
+
+// A review is "published" once it has passed moderation, "pending" while it
+// waits for a moderator and "rejected" when a moderator turned it down.
+// Only published reviews are shown and counted in the restaurant aggregates.
+export const ReviewStatus = {
+  PUBLISHED: "published",
+  PENDING: "pending",
+  REJECTED: "rejected",
+};
+
+// reviews written before moderation existed have no status and count as published
+export function isPublished(review) {
+  return (review?.status ?? ReviewStatus.PUBLISHED) === ReviewStatus.PUBLISHED;
 }
 
 /**
- * Update aggregate rating fields on a restaurant document inside a transaction.
+ * Compute new aggregate rating fields for a restaurant.
  *
- * This helper will compute the new average rating and increment the
- * number-of-ratings based on the provided newRatingDocument. It expects the
- * restaurant document to have `avgRating` and `numRatings` fields (numbers).
+ * Adding a rating passes `ratingDelta` = the new rating and `countDelta` = 1,
+ * removing one passes the negated rating and -1, and editing one passes the
+ * difference between the new and old rating and 0.
  *
- * @param {import('firebase/firestore').Transaction} transaction - Firestore transaction
- * @param {import('firebase/firestore').DocumentReference} docRef - Reference to restaurant doc
- * @param {{rating: number}} newRatingDocument - The newly-added rating document data
- * @param {?object} review - The full review object being written (optional, unused)
- * @returns {Promise<void>}
+ * @param {?object} data - Current restaurant data (may be missing aggregates)
+ * @param {number} ratingDelta - Amount to add to `sumRating`
+ * @param {number} countDelta - Amount to add to `numRatings`
+ * @returns {{numRatings: number, sumRating: number, avgRating: number}}
  */
-// helper to update restaurant aggregates in a transaction
-const updateWithRating = async (
-  transaction,
-  docRef,
-  newRatingDocument,
-  review
-) => {
-  // fetch the restaurant document inside the transaction
-  const restaurant = await transaction.get(docRef); // get current restaurant snapshot
-  // compute new aggregate values
-  const data = restaurant.data(); // current restaurant data
-  // increment number of ratings and compute new average
-  const newNumRatings = data?.numRatings ? data.numRatings + 1 : 1; // handle missing numRatings
-  // compute new sum and average ratings
-  const newSumRating = (data?.sumRating || 0) + Number(review.rating); // add new rating
-  const newAverage = newSumRating / newNumRatings; // compute average
-
-  transaction.update(docRef, {
-    numRatings: newNumRatings,
-    sumRating: newSumRating,
-    avgRating: newAverage,
-  }); // update restaurant doc atomically
-
-  transaction.set(newRatingDocument, {
-    ...review,
-    timestamp: Timestamp.fromDate(new Date()), // add server-style timestamp
-  }); // write the new rating document inside transaction
-};
+export function computeRatingAggregates(data, ratingDelta, countDelta) {
+  const numRatings = Math.max((data?.numRatings || 0) + countDelta, 0); // never go below zero
+  const sumRating = numRatings ? (data?.sumRating || 0) + ratingDelta : 0; // reset sum once empty
+  const avgRating = numRatings ? sumRating / numRatings : 0; // avoid dividing by zero
+
+  return { numRatings, sumRating, avgRating };
+}
+
+// per-aspect aggregates after the aspect ratings of `removed` are taken out
+// and those of `added` put in (either may be null); aspects a review didn't
+// rate don't count
+function computeAspectAggregates(data, removed, added) {
+  return Object.fromEntries(
+    RATING_ASPECTS.map((aspect) => {
+      const before = Number(removed?.aspectRatings?.[aspect] ?? 0);
+      const after = Number(added?.aspectRatings?.[aspect] ?? 0);
+      return [
+        aspect,
+        computeRatingAggregates(
+          data?.aspectRatings?.[aspect],
+          after - before,
+          Math.sign(after) - Math.sign(before)
+        ),
+      ];
+    })
+  );
+}
+
+// search fields for a restaurant after a review's text is removed and/or
+// added (pass null for whichever doesn't apply), see src/lib/search.js
+function searchFieldsForReviewChange(data, removedText, addedText) {
+  let counts = data?.reviewKeywordCounts || {};
+  if (removedText !== null) {
+    counts = updateReviewKeywordCounts(counts, removedText, -1);
+  }
+  if (addedText !== null) {
+    counts = updateReviewKeywordCounts(counts, addedText, 1);
+  }
+  return {
+    reviewKeywordCounts: counts,
+    searchKeywords: buildSearchKeywords(data || {}, counts),
+  };
+}
+
+// restaurant fields after a review changes from `before` to `after` (null
+// when it is created or deleted), counting only published reviews; the
+// server writes them along with the review, see adminFirestore.js
+export function restaurantFieldsForReviewChange(data, before, after) {
+  const removed = before && isPublished(before) ? before : null;
+  const added = after && isPublished(after) ? after : null;
+  const aggregates = computeRatingAggregates(
+    data,
+    Number(added?.rating ?? 0) - Number(removed?.rating ?? 0),
+    (added ? 1 : 0) - (removed ? 1 : 0)
+  );
+  return {
+    ...aggregates,
+    // see src/lib/ratingStats.js
+    bayesianRating: computeBayesianRating(
+      aggregates.numRatings,
+      aggregates.sumRating
+    ),
+    ratingCounts: updateRatingCounts(
+      data?.ratingCounts,
+      removed ? Number(removed.rating) : null,
+      added ? Number(added.rating) : null
+    ),
+    aspectRatings: computeAspectAggregates(data, removed, added),
+    ...searchFieldsForReviewChange(
+      data,
+      removed ? removed.text : null,
+      added ? added.text : null
+    ),
+  };
+}
+
+// number of restaurants loaded per page on the listings page
+export const RESTAURANTS_PAGE_SIZE = 12;
+
+// search results are ranked in-process, so they come as one page of at most
+// this many of the matching restaurants
+export const SEARCH_RESULTS_LIMIT = 50;
+
+// search candidates are loaded in batches of this many restaurants, so that
+// all of them are filtered and ranked before the results are cut short
+const SEARCH_BATCH_SIZE = 200;
+
+// the restaurant field a `sort` filter orders by
+function getSortField(sort) {
+  const aspect = aspectForSort(sort);
+  if (aspect) {
+    // restaurants without it are left out until `npm run backfill` sets it
+    return `aspectRatings.${aspect}.avgRating`;
+  }
+  if (sort === "Best rated") {
+    return "bayesianRating"; // see src/lib/ratingStats.js
+  }
+  return sort === "Review" ? "numRatings" : "avgRating";
+}
+
+// a restaurant's value for the field a `sort` filter orders by
+function getSortValue(restaurant, sort) {
+  return getSortField(sort)
+    .split(".")
+    .reduce((value, key) => value?.[key], restaurant);
+}
 
 /**
- * Add a review (rating) to a restaurant and update the restaurant aggregates.
+ * Encode the position after `restaurant` as an opaque, URL-safe cursor.
  *
- * This function performs a transaction to add the new rating document under
- * `restaurants/{restaurantId}/ratings` and atomically updates the parent
- * restaurant's `numRatings` and `avgRating` fields.
+ * The cursor holds the value of the field being sorted on plus the document
+ * ID, which together match the `orderBy` clauses from `applyQueryFilters`.
  *
- * @param {import('firebase/firestore').Firestore} firestoreDb - Firestore instance
- * @param {string} restaurantId - ID of the restaurant to which the review belongs
- * @param {{rating: number, text?: string, user?: object}} review - Review data; must include `rating`
- * @returns {Promise<void>} Resolves when write completes
+ * @param {{id: string}} restaurant - Last restaurant of the current page
+ * @param {?string} sort - The `sort` filter the page was loaded with
+ * @returns {string} base64url encoded cursor
  */
-// add a review to a restaurant and update aggregates atomically
-export async function addReviewToRestaurant(db, restaurantId, review) {
-  if (!restaurantId) {
-    throw new Error("No restaurant ID has been provided."); // ensure restaurant id is present
-  }
-// validate review object
-  if (!review) {
-    throw new Error("A valid review has not been provided."); // require review payload
+export function encodeRestaurantCursor(restaurant, sort) {
+  const json = JSON.stringify([getSortValue(restaurant, sort), restaurant.id]);
+  return btoa(json).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// decode a cursor from `encodeRestaurantCursor`, or null when it is malformed
+export function decodeRestaurantCursor(cursor) {
+  if (!cursor) {
+    return null;
   }
-// validate rating value
   try {
-    const docRef = doc(collection(db, "restaurants"), restaurantId); // reference to the restaurant doc
-    const newRatingDocument = doc(
-      collection(db, `restaurants/${restaurantId}/ratings`)
-    ); // create a new document reference for the rating
-
-    // corrected line
-    await runTransaction(db, transaction =>
-      updateWithRating(transaction, docRef, newRatingDocument, review)
-    ); // run the transaction to update aggregates and write rating
-  } catch (error) {
-    console.error(
-      "There was an error adding the rating to the restaurant",
-      error
+    const values = JSON.parse(
+      atob(cursor.replace(/-/g, "+").replace(/_/g, "/"))
     );
-    throw error; // rethrow after logging
+    return Array.isArray(values) && values.length === 2 ? values : null;
+  } catch {
+    return null; // a tampered or truncated cursor just starts from the top
+  }
+}
+
+// the cursor for the page after `restaurants`, or null on the last page
+export function getNextRestaurantCursor(
+  restaurants,
+  filters = {},
+  pageSize = RESTAURANTS_PAGE_SIZE
+) {
+  if (filters.q || filters.favorites || restaurants.length < pageSize) {
+    return null; // search results, favorites and short pages have nothing more to load
+  }
+  return encodeRestaurantCursor(restaurants.at(-1), filters.sort);
+}
+
+// filter a field on one value with ==, or on several with `in`
+function whereOneOf(q, field, values) {
+  if (values.length === 1) {
+    return query(q, where(field, "==", values[0]));
   }
+  if (values.length > 1) {
+    return query(q, where(field, "in", values));
+  }
+  return q; // no values means no filter
 }
 
 // apply optional filters to a query for restaurants
-function applyQueryFilters(q, { category, city, price, sort }) {
-  // filter by category when provided
-  if (category) {
-    q = query(q, where("category", "==", category)); // add category filter
-  }
-  // filter by city when provided
-  if (city) {
-    q = query(q, where("city", "==", city)); // add city filter
-  }
-  // filter by price level when provided
-  if (price) {
-    // price is expected to be a number/enum representing price level
-    q = query(q, where("price", "==", price)); // add price filter
-  }
-  // apply sort ordering (default to average rating desc)
-  if (sort === "Rating" || !sort) {
-    q = query(q, orderBy("avgRating", "desc")); // sort by avgRating desc
-  } else if (sort === "Review") {
-    q = query(q, orderBy("numRatings", "desc")); // sort by number of reviews desc
+// `filters` must have been normalized with parseFilters
+function applyQueryFilters(q, { category, city, price, sort, q: search }) {
+  // search results are ranked by relevance after loading, see rankRestaurants,
+  // and the other filters are applied in-process, see matchesFilters. With
+  // `in` filters next to `array-contains-any` a query soon goes over
+  // Firestore's limit of 30 disjunctions, and each combination needs an index.
+  if (search) {
+    return query(
+      q,
+      where("searchKeywords", "array-contains-any", searchTerms(search)),
+      orderBy(documentId()) // a stable order to load the candidates in batches
+    );
   }
+  q = whereOneOf(q, "category", category); // any of the selected categories
+  q = whereOneOf(q, "city", city); // any of the selected cities
+  // prices are stored as numbers, so "1-2" becomes price in [1, 2]
+  q = whereOneOf(q, "price", priceLevels(price));
+  // apply sort ordering (default to average rating desc), with the document
+  // ID as a tie-breaker so that page cursors are stable
+  q = query(
+    q,
+    orderBy(getSortField(sort), "desc"),
+    orderBy(documentId(), "desc")
+  );
   // return the modified query
   return q;
 }
 
-// fetch restaurants (server-side usage) with optional filters
-export async function getRestaurants(db = db, filters = {}) {
+// restrict a filtered query to a single page starting after `cursor`
+function applyPagination(
+  q,
+  filters,
+  { cursor, pageSize = RESTAURANTS_PAGE_SIZE }
+) {
+  if (filters.q) {
+    return q; // search results aren't paged, all candidates are ranked
+  }
+  const position = decodeRestaurantCursor(cursor);
+  if (position) {
+    q = query(q, startAfter(...position)); // continue after the previous page
+  }
+  return query(q, limit(pageSize));
+}
+
+// convert a restaurant document snapshot into a plain object
+// Only plain objects can be passed to Client Components from Server Components
+function restaurantFromSnapshot(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    timestamp: data.timestamp.toDate(), // convert Firestore Timestamp to JS Date
+    ...(data.reviewSummary && {
+      reviewSummary: {
+        ...data.reviewSummary,
+        generatedAt: data.reviewSummary.generatedAt.toDate(),
+      },
+    }),
+    ...(data.reviewInsights && {
+      reviewInsights: {
+        ...data.reviewInsights,
+        generatedAt: data.reviewInsights.generatedAt.toDate(),
+      },
+    }),
+  };
+}
+
+// apply the remaining filters to search results, put the best match first
+// and keep the first SEARCH_RESULTS_LIMIT
+function rankSearchResults(restaurants, filters) {
+  return rankRestaurants(
+    restaurants.filter((restaurant) => matchesFilters(restaurant, filters)),
+    filters.q
+  ).slice(0, SEARCH_RESULTS_LIMIT);
+}
+
+// load every restaurant matching a search query, in batches, and rank them
+async function getSearchResults(db, filters) {
+  const q = applyQueryFilters(query(collection(db, "restaurants")), filters);
+  const candidates = [];
+  let lastId = null;
+  do {
+    const batch = await getDocs(
+      lastId
+        ? query(q, startAfter(lastId), limit(SEARCH_BATCH_SIZE))
+        : query(q, limit(SEARCH_BATCH_SIZE))
+    );
+    candidates.push(...batch.docs.map(restaurantFromSnapshot));
+    lastId =
+      batch.docs.length === SEARCH_BATCH_SIZE ? batch.docs.at(-1).id : null;
+  } while (lastId);
+  return rankSearchResults(candidates, filters);
+}
+
+// Firestore allows at most 30 values in an `in` filter
+const MAX_IN_VALUES = 30;
+
+/**
+ * Fetch restaurants by ID, in no particular order. Missing restaurants are
+ * left out.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string[]} ids - Restaurant IDs
+ * @returns {Promise<object[]>} The restaurants as plain objects
+ */
+export async function getRestaurantsByIds(db, ids) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += MAX_IN_VALUES) {
+    chunks.push(ids.slice(i, i + MAX_IN_VALUES));
+  }
+  const results = await Promise.all(
+    chunks.map((chunk) =>
+      getDocs(
+        query(collection(db, "restaurants"), where(documentId(), "in", chunk))
+      )
+    )
+  );
+  return results.flatMap((result) => result.docs.map(restaurantFromSnapshot));
+}
+
+// Favorites can't be joined with the restaurants query, so they are loaded
+// by ID and filtered, ranked or sorted in-process as a single page
+function filterFavorites(restaurants, filters) {
+  if (filters.q) {
+    return rankSearchResults(restaurants, filters);
+  }
+  const value = (restaurant) => getSortValue(restaurant, filters.sort) || 0;
+  // same order as applyQueryFilters: sort field, then ID, descending
+  return restaurants
+    .filter((restaurant) => matchesFilters(restaurant, filters))
+    .sort((a, b) => value(b) - value(a) || (a.id < b.id ? 1 : -1));
+}
+
+// whether a search query has any words left to look up, an
+// `array-contains-any` filter with no values is rejected by Firestore
+function isEmptySearch({ q }) {
+  return q !== undefined && q !== "" && searchTerms(q).length === 0;
+}
+
+/**
+ * Fetch one page of restaurants (server-side usage) with optional filters.
+ *
+ * When `filters.q` is set, the restaurants matching that search query are
+ * returned instead, best match first. When `filters.favorites` is set, all
+ * of the user's favorite restaurants that pass the filters are returned.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {object} filters - Filters or URL search params, see parseFilters
+ * @param {{cursor?: string, pageSize?: number, userId?: string}} page - Cursor
+ *   from `encodeRestaurantCursor` to start after, the maximum page length,
+ *   and the signed-in user whose favorites to show
+ * @returns {Promise<object[]>} The restaurants on the requested page
+ */
+export async function getRestaurants(db, filters = {}, page = {}) {
+  filters = parseFilters(filters); // accept raw URL search params too
+  if (isEmptySearch(filters)) {
+    return []; // e.g. only stop words were typed
+  }
+  if (filters.favorites) {
+    if (!page.userId) {
+      return []; // signed-out users have no favorites
+    }
+    const ids = await getFavoriteIds(db, page.userId);
+    return filterFavorites(await getRestaurantsByIds(db, ids), filters);
+  }
+  if (filters.q) {
+    return getSearchResults(db, filters);
+  }
   // start a base query for restaurants
   let q = query(collection(db, "restaurants")); // select all restaurants
 
   // apply provided query filters
   q = applyQueryFilters(q, filters); // narrow results based on filters
+  q = applyPagination(q, filters, page); // only load the requested page
   // execute the query
   const results = await getDocs(q); // run the Firestore query
   // map documents to plain objects with date conversion
-  return results.docs.map((doc) => {
-    return {
-      id: doc.id,
-      ...doc.data(),
-      // Only plain objects can be passed to Client Components from Server Components
-      timestamp: doc.data().timestamp.toDate(), // convert Firestore Timestamp to JS Date
-    };
-  });
+  return results.docs.map(restaurantFromSnapshot);
 }
 
-
 // function provides a callback mechanism so that the callback is invoked every time a change is made to the restaurant's collection
-// subscribe to realtime updates for restaurants collection
-export function getRestaurantsSnapshot(cb, filters = {}) {
+// subscribe to realtime updates for one page of the restaurants collection
+export function getRestaurantsSnapshot(cb, filters = {}, page = {}) {
   // validate callback
   if (typeof cb !== "function") {
     console.log("Error: The callback parameter is not a function");
     return; // early return if cb is not callable
   }
+  filters = parseFilters(filters); // accept raw URL search params too
+  if (isEmptySearch(filters) || (filters.favorites && !page.userId)) {
+    cb([]); // nothing can match
+    return () => {};
+  }
+  if (filters.favorites) {
+    // reload the favorites whenever one is added or removed
+    return getFavoriteIdsSnapshot(page.userId, (ids) => {
+      getRestaurantsByIds(db, ids)
+        .then((restaurants) => cb(filterFavorites(restaurants, filters)))
+        .catch((error) => console.error("Could not load favorites", error));
+    });
+  }
 
   // create base query and apply filters
   let q = query(collection(db, "restaurants"));
   q = applyQueryFilters(q, filters); // apply filters to realtime query
+  // only listen to the requested page, or to all candidates of a search
+  q = applyPagination(q, filters, page);
   // return the onSnapshot unsubscribe function
   return onSnapshot(q, (querySnapshot) => {
-    const results = querySnapshot.docs.map((doc) => {
-      return {
-        id: doc.id,
-        ...doc.data(),
-        // Only plain objects can be passed to Client Components from Server Components
-        timestamp: doc.data().timestamp.toDate(),
-      };
-    });
+    let results = querySnapshot.docs.map(restaurantFromSnapshot);
+    if (filters.q) {
+      results = rankSearchResults(results, filters); // best match first
+    }
 
     // invoke the caller's callback with the results
     cb(results);
   });
 }
+
 // Fetch a single restaurant by ID
 // fetch a single restaurant by ID
 export async function getRestaurantById(db, restaurantId) {
@@ -202,11 +517,11 @@ export async function getRestaurantById(db, restaurantId) {
   const docRef = doc(db, "restaurants", restaurantId); // document reference
   // fetch the document snapshot
   const docSnap = await getDoc(docRef); // get document data
-  // return plain object with converted timestamp
-  return {
-    ...docSnap.data(),
-    timestamp: docSnap.data().timestamp.toDate(), // convert Firestore Timestamp to JS Date
-  };
+  if (!docSnap.exists()) {
+    return null; // no restaurant with this ID
+  }
+  // return plain object with converted timestamps
+  return restaurantFromSnapshot(docSnap);
 }
 
 /**
@@ -232,83 +547,977 @@ export function getRestaurantSnapshotById(restaurantId, cb) {
       cb(null); // notify caller that doc does not exist
       return;
     }
-    const data = {
-      id: docSnap.id,
-      ...docSnap.data(),
-      timestamp: docSnap.data().timestamp.toDate(),
-    };
-    cb(data); // send updated data to caller
+    cb(restaurantFromSnapshot(docSnap)); // send updated data to caller
   });
 }
 
-// fetch reviews for a restaurant ordered by timestamp desc
-export async function getReviewsByRestaurantId(db, restaurantId) {
-  // validate id
+// convert a restaurant photo document snapshot into a plain object
+function photoFromSnapshot(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt.toDate(),
+    reviewedAt: data.reviewedAt ? data.reviewedAt.toDate() : null,
+  };
+}
+
+// how many photos the restaurant page lists in the photo history
+export const PHOTO_HISTORY_LIMIT = 50;
+
+// the history query, without hidden photos unless `includeHidden` is set
+// (only owners and admins can read those)
+function photosQuery(db, restaurantId, { includeHidden = false } = {}) {
+  const photos = collection(db, "restaurants", restaurantId, "photos");
+  const constraints = includeHidden
+    ? []
+    : [where("status", "in", [PhotoStatus.VISIBLE, PhotoStatus.REPORTED])];
+  return query(
+    photos,
+    ...constraints,
+    orderBy("createdAt", "desc"),
+    limit(PHOTO_HISTORY_LIMIT)
+  );
+}
+
+/**
+ * Fetch a restaurant's photo history, newest first.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant
+ * @param {{includeHidden?: boolean}} [options] - Whether to include hidden
+ *   photos, for owners and admins
+ * @returns {Promise<object[]>} The photos
+ */
+export async function getRestaurantPhotos(db, restaurantId, options) {
   if (!restaurantId) {
     console.log("Error: Invalid restaurantId received: ", restaurantId);
-    return; // invalid input
+    return [];
+  }
+  const results = await getDocs(photosQuery(db, restaurantId, options));
+  return results.docs.map(photoFromSnapshot);
+}
+
+/**
+ * Make a photo from the history the restaurant's main photo.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant
+ * @param {string} photoId - ID of the photo document
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function setRestaurantHeroPhoto(db, restaurantId, photoId) {
+  const restaurantRef = doc(db, "restaurants", restaurantId);
+  const photoRef = doc(restaurantRef, "photos", photoId);
+
+  await runTransaction(db, async (transaction) => {
+    const photo = await transaction.get(photoRef);
+    if (!photo.exists() || photo.data().status === PhotoStatus.HIDDEN) {
+      throw new Error("Hidden photos can't be the main photo.");
+    }
+    transaction.update(restaurantRef, {
+      photo: photo.data().url,
+      photoVariants: photo.data().variants,
+      photoId,
+    });
+  });
+}
+
+/**
+ * Report a photo as inappropriate. Reported photos stay visible until an
+ * owner or admin hides or restores them; each user can report a photo once.
+ * Reports are kept private in the photo's `reports` subcollection, and the
+ * photo only shows how many it has.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant
+ * @param {string} photoId - ID of the photo document
+ * @param {string} userId - ID of the reporting user
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function reportRestaurantPhoto(db, restaurantId, photoId, userId) {
+  const photoRef = doc(db, "restaurants", restaurantId, "photos", photoId);
+  const reportRef = doc(photoRef, "reports", userId);
+
+  await runTransaction(db, async (transaction) => {
+    const photo = await transaction.get(photoRef);
+    const report = await transaction.get(reportRef);
+    if (!photo.exists() || photo.data().status === PhotoStatus.HIDDEN) {
+      throw new Error("This photo has already been taken down.");
+    }
+    if (report.exists()) {
+      return; // already reported by this user
+    }
+
+    transaction.update(photoRef, {
+      status: PhotoStatus.REPORTED,
+      reportCount: (photo.data().reportCount || 0) + 1,
+    });
+    transaction.set(reportRef, {
+      userId,
+      restaurantId, // so a user's reports on a restaurant can be queried
+      createdAt: Timestamp.fromDate(new Date()),
+    });
+  });
+}
+
+// fetch the IDs of the restaurant's photos the user reported
+export async function getReportedPhotoIds(db, restaurantId, userId) {
+  if (!restaurantId || !userId) {
+    return []; // signed-out users have no reports
+  }
+
+  const q = query(
+    collectionGroup(db, "reports"),
+    where("userId", "==", userId),
+    where("restaurantId", "==", restaurantId)
+  );
+  const results = await getDocs(q);
+  return results.docs
+    .filter((doc) => doc.ref.parent.parent.parent.id === "photos") // not review reports
+    .map((doc) => doc.ref.parent.parent.id); // reports live under their photo
+}
+
+/**
+ * Hide a photo, or restore a hidden or reported one (which clears its
+ * reports). Hiding the main photo replaces it with the newest photo that is
+ * still shown, or with no photo at all.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant
+ * @param {string} photoId - ID of the photo document
+ * @param {boolean} hidden - Whether to hide the photo
+ * @param {string} moderatorId - ID of the owner or admin making the decision
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function setRestaurantPhotoHidden(
+  db,
+  restaurantId,
+  photoId,
+  hidden,
+  moderatorId
+) {
+  const restaurantRef = doc(db, "restaurants", restaurantId);
+  const photoRef = doc(restaurantRef, "photos", photoId);
+
+  // queries can't run in a transaction, so find the replacement first
+  const replacement = hidden
+    ? (await getRestaurantPhotos(db, restaurantId)).find(
+        (photo) => photo.id !== photoId
+      )
+    : null;
+  const replacementRef = replacement
+    ? doc(restaurantRef, "photos", replacement.id)
+    : null;
+  // restoring clears the reports, so the same users can report it again
+  const reports = hidden
+    ? null
+    : await getDocs(collection(photoRef, "reports"));
+
+  await runTransaction(db, async (transaction) => {
+    const restaurant = await transaction.get(restaurantRef);
+    const photo = await transaction.get(photoRef);
+    const replacementPhoto = replacementRef
+      ? await transaction.get(replacementRef)
+      : null;
+    if (!photo.exists()) {
+      throw new Error("This photo no longer exists.");
+    }
+
+    if (hidden && restaurant.data().photoId === photoId) {
+      const next =
+        replacementPhoto?.exists() &&
+        replacementPhoto.data().status !== PhotoStatus.HIDDEN
+          ? replacementPhoto
+          : null;
+      transaction.update(restaurantRef, {
+        photo: next ? next.data().url : null,
+        photoVariants: next ? next.data().variants : null,
+        photoId: next ? next.id : null,
+      });
+    }
+    transaction.update(photoRef, {
+      status: hidden ? PhotoStatus.HIDDEN : PhotoStatus.VISIBLE,
+      ...(!hidden && { reportCount: 0 }),
+      reviewedBy: moderatorId,
+      reviewedAt: Timestamp.fromDate(new Date()),
+    });
+    reports?.docs.forEach((report) => transaction.delete(report.ref));
+  });
+}
+
+// convert a rating document snapshot into a plain object
+// Only plain objects can be passed to Client Components from Server Components
+function reviewFromSnapshot(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    restaurantId: doc.ref.parent.parent.id, // ratings live under their restaurant
+    ...data,
+    timestamp: data.timestamp.toDate(),
+    editedAt: data.editedAt ? data.editedAt.toDate() : null,
+    moderatedAt: data.moderatedAt ? data.moderatedAt.toDate() : null,
+    ownerReply: data.ownerReply
+      ? {
+          ...data.ownerReply,
+          createdAt: data.ownerReply.createdAt.toDate(),
+          editedAt: data.ownerReply.editedAt
+            ? data.ownerReply.editedAt.toDate()
+            : null,
+        }
+      : null,
+  };
+}
+
+// fetch a single review, or null when it doesn't exist
+export async function getReviewById(db, restaurantId, reviewId) {
+  if (!restaurantId || !reviewId) {
+    console.log("Error: Invalid review received: ", restaurantId, reviewId);
+    return null; // invalid input
   }
 
-  // build query against the ratings subcollection
+  const docSnap = await getDoc(
+    doc(db, "restaurants", restaurantId, "ratings", reviewId)
+  );
+  return docSnap.exists() ? reviewFromSnapshot(docSnap) : null;
+}
+
+/**
+ * Store the photos attached to a review (see uploadReviewPhotos).
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant the review belongs to
+ * @param {string} reviewId - ID of the rating document
+ * @param {{url: string, thumbnailUrl: string, paths: string[]}[]} photos - Download URLs and storage paths of each photo
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function updateReviewPhotos(db, restaurantId, reviewId, photos) {
+  await updateDoc(doc(db, "restaurants", restaurantId, "ratings", reviewId), {
+    photos,
+    hasPhotos: photos.length > 0, // so reviews with photos can be queried
+  });
+}
+
+// number of photos shown in a restaurant's gallery
+export const GALLERY_PHOTOS_LIMIT = 24;
+
+/**
+ * Fetch the photos of a restaurant's published reviews, newest first.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant
+ * @returns {Promise<{url: string, thumbnailUrl: string, reviewId: string, userName: string}[]>}
+ *   At most GALLERY_PHOTOS_LIMIT photos
+ */
+export async function getReviewPhotos(db, restaurantId) {
   const q = query(
     collection(db, "restaurants", restaurantId, "ratings"),
-    orderBy("timestamp", "desc")
-  ); // order ratings newest-first
+    where("status", "==", ReviewStatus.PUBLISHED),
+    where("hasPhotos", "==", true),
+    orderBy("timestamp", "desc"),
+    limit(GALLERY_PHOTOS_LIMIT) // each review has at least one photo
+  );
+  const results = await getDocs(q);
+  return results.docs
+    .flatMap((doc) =>
+      doc.data().photos.map((photo) => ({
+        url: photo.url,
+        thumbnailUrl: photo.thumbnailUrl || photo.url,
+        reviewId: doc.id,
+        userName: doc.data().userName || "Anonymous",
+      }))
+    )
+    .slice(0, GALLERY_PHOTOS_LIMIT);
+}
+
+// number of reviews loaded per page on the restaurant page
+export const REVIEWS_PAGE_SIZE = 10;
+
+// orderBy clauses for each review sort option, newest first by default
+const REVIEW_SORT_ORDERS = {
+  newest: [["timestamp", "desc"]],
+  oldest: [["timestamp", "asc"]],
+  highest: [
+    ["rating", "desc"],
+    ["timestamp", "desc"],
+  ],
+  lowest: [
+    ["rating", "asc"],
+    ["timestamp", "desc"],
+  ],
+  // every review has a helpfulCount, older ones once `npm run backfill` ran
+  helpful: [
+    ["helpfulCount", "desc"],
+    ["timestamp", "desc"],
+  ],
+};
+
+export const REVIEW_SORTS = Object.keys(REVIEW_SORT_ORDERS);
+
+// build the query for a restaurant's published reviews in the requested
+// order, limited to `pageSize` reviews when provided
+function reviewsQuery(db, restaurantId, { sort = "newest", pageSize } = {}) {
+  const orders = REVIEW_SORT_ORDERS[sort] || REVIEW_SORT_ORDERS.newest; // fall back on unknown sorts
+  let q = query(
+    collection(db, "restaurants", restaurantId, "ratings"),
+    where("status", "==", ReviewStatus.PUBLISHED), // hide reviews held for moderation
+    ...orders.map(([field, direction]) => orderBy(field, direction))
+  );
+  if (pageSize) {
+    q = query(q, limit(pageSize)); // only load as many reviews as are shown
+  }
+  return q;
+}
+
+/**
+ * Fetch reviews for a restaurant.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant
+ * @param {{sort?: string, pageSize?: number}} options - One of `REVIEW_SORTS`
+ *   (defaults to newest first) and the maximum number of reviews to load
+ *   (defaults to all of them)
+ * @returns {Promise<object[]|undefined>} The reviews as plain objects
+ */
+export async function getReviewsByRestaurantId(db, restaurantId, options) {
+  // validate id
+  if (!restaurantId) {
+    console.log("Error: Invalid restaurantId received: ", restaurantId);
+    return; // invalid input
+  }
 
   // execute and map results
-  const results = await getDocs(q); // run the query
-  return results.docs.map((doc) => {
-    return {
-      id: doc.id,
-      ...doc.data(),
-      // Only plain objects can be passed to Client Components from Server Components
-      timestamp: doc.data().timestamp.toDate(),
-    };
-  });
+  const results = await getDocs(reviewsQuery(db, restaurantId, options)); // run the query
+  return results.docs.map(reviewFromSnapshot);
 }
 
-// subscribe to realtime updates for reviews of a restaurant
-export function getReviewsSnapshotByRestaurantId(restaurantId, cb) {
+// subscribe to realtime updates for reviews of a restaurant, accepting the
+// same `{ sort, pageSize }` options as getReviewsByRestaurantId
+export function getReviewsSnapshotByRestaurantId(restaurantId, cb, options) {
   // validate input
   if (!restaurantId) {
     console.log("Error: Invalid restaurantId received: ", restaurantId);
     return; // invalid input
   }
 
-  // query the ratings subcollection ordered by timestamp
+  const q = reviewsQuery(db, restaurantId, options); // sorted, paged ratings query
+  // subscribe and map results to plain objects
+  return onSnapshot(q, (querySnapshot) => {
+    const results = querySnapshot.docs.map(reviewFromSnapshot);
+    cb(results); // call the provided callback with mapped results
+  });
+}
+
+// fetch reviews of all restaurants waiting for a moderator, oldest first
+export async function getPendingReviews(db) {
+  const q = query(
+    collectionGroup(db, "ratings"),
+    where("status", "==", ReviewStatus.PENDING),
+    orderBy("timestamp", "asc")
+  );
+  const results = await getDocs(q);
+  return results.docs.map(reviewFromSnapshot);
+}
+
+/**
+ * Publish or reject a review held for moderation. Publishing adds it to the
+ * restaurant aggregates in the same transaction.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant the review belongs to
+ * @param {string} reviewId - ID of the rating document
+ * @param {boolean} approve - Whether to publish the review
+ * @param {string} moderatorId - ID of the admin making the decision
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function resolvePendingReview(
+  db,
+  restaurantId,
+  reviewId,
+  approve,
+  moderatorId
+) {
+  const restaurantRef = doc(db, "restaurants", restaurantId);
+  const reviewRef = doc(db, "restaurants", restaurantId, "ratings", reviewId);
+
+  await runTransaction(db, async (transaction) => {
+    const restaurant = await transaction.get(restaurantRef);
+    const review = await transaction.get(reviewRef);
+    if (!review.exists() || review.data().status !== ReviewStatus.PENDING) {
+      throw new Error("This review has already been moderated.");
+    }
+
+    const updated = {
+      status: approve ? ReviewStatus.PUBLISHED : ReviewStatus.REJECTED,
+      moderatedBy: moderatorId,
+      moderatedAt: Timestamp.fromDate(new Date()),
+    };
+    if (approve) {
+      transaction.update(
+        restaurantRef,
+        restaurantFieldsForReviewChange(restaurant.data(), null, {
+          ...review.data(),
+          ...updated,
+        })
+      );
+    }
+    transaction.update(reviewRef, updated);
+  });
+}
+
+// limit also enforced by firestore.rules
+export const MAX_OWNER_REPLY_LENGTH = 1000;
+
+/**
+ * Set the restaurant owner's public reply to a review, replacing their
+ * earlier reply (which keeps its creation time and is marked as edited), or
+ * remove it by passing null. Reviews have at most one reply.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant the review belongs to
+ * @param {string} reviewId - ID of the rating document
+ * @param {?{text: string, userId: string, userName?: string}} reply - The
+ *   reply and the owner writing it
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function setReviewOwnerReply(db, restaurantId, reviewId, reply) {
+  const reviewRef = doc(db, "restaurants", restaurantId, "ratings", reviewId);
+  if (!reply) {
+    await updateDoc(reviewRef, { ownerReply: deleteField() });
+    return;
+  }
+
+  const text = String(reply.text ?? "").trim();
+  if (!text || text.length > MAX_OWNER_REPLY_LENGTH) {
+    throw new Error(
+      `Replies must be between 1 and ${MAX_OWNER_REPLY_LENGTH} characters.`
+    );
+  }
+
+  await runTransaction(db, async (transaction) => {
+    const review = await transaction.get(reviewRef);
+    if (!review.exists()) {
+      throw new Error("The review no longer exists.");
+    }
+
+    const previous = review.data().ownerReply;
+    const now = Timestamp.fromDate(new Date());
+    transaction.update(reviewRef, {
+      ownerReply: {
+        text,
+        userId: reply.userId,
+        userName: reply.userName || "Anonymous",
+        createdAt: previous?.createdAt ?? now,
+        ...(previous && { editedAt: now }),
+      },
+    });
+  });
+}
+
+/**
+ * Add or take back a user's "Helpful" vote on a published review. Votes live
+ * in the review's `votes` subcollection under the voter's ID, so each user
+ * has at most one, and the review keeps their number in `helpfulCount`.
+ * Voting again, or taking back a vote that doesn't exist, changes nothing.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant the review belongs to
+ * @param {string} reviewId - ID of the rating document
+ * @param {string} userId - ID of the voting user, who can't be the author
+ * @param {boolean} helpful - Whether to add the vote or take it back
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function setReviewHelpfulVote(
+  db,
+  restaurantId,
+  reviewId,
+  userId,
+  helpful
+) {
+  const reviewRef = doc(db, "restaurants", restaurantId, "ratings", reviewId);
+  const voteRef = doc(reviewRef, "votes", userId);
+
+  await runTransaction(db, async (transaction) => {
+    const review = await transaction.get(reviewRef);
+    const vote = await transaction.get(voteRef);
+    if (!review.exists() || !isPublished(review.data())) {
+      throw new Error("This review is no longer published.");
+    }
+    if (review.data().userId === userId) {
+      throw new Error("Authors can't vote on their own reviews.");
+    }
+    if (vote.exists() === helpful) {
+      return; // already as requested
+    }
+
+    transaction.update(reviewRef, {
+      helpfulCount: (review.data().helpfulCount || 0) + (helpful ? 1 : -1),
+    });
+    if (helpful) {
+      transaction.set(voteRef, {
+        userId,
+        restaurantId, // so a user's votes on a restaurant can be queried
+        createdAt: Timestamp.fromDate(new Date()),
+      });
+    } else {
+      transaction.delete(voteRef);
+    }
+  });
+}
+
+// subscribe to the IDs of the restaurant's reviews the user voted helpful
+export function getHelpfulVotesSnapshot(restaurantId, userId, cb) {
+  if (!restaurantId || !userId) {
+    return; // signed-out users have no votes
+  }
+
   const q = query(
-    collection(db, "restaurants", restaurantId, "ratings"),
+    collectionGroup(db, "votes"),
+    where("userId", "==", userId),
+    where("restaurantId", "==", restaurantId)
+  );
+  return onSnapshot(q, (querySnapshot) => {
+    cb(querySnapshot.docs.map((doc) => doc.ref.parent.parent.id)); // votes live under their review
+  });
+}
+
+/**
+ * Report a published review to the moderators. Reported reviews stay
+ * published until an admin removes them or dismisses the reports; each user
+ * can report a review once. Reports are kept private in the review's
+ * `reports` subcollection, and the review only shows how many it has.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant the review belongs to
+ * @param {string} reviewId - ID of the rating document
+ * @param {string} userId - ID of the reporting user
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function reportReview(db, restaurantId, reviewId, userId) {
+  const reviewRef = doc(db, "restaurants", restaurantId, "ratings", reviewId);
+  const reportRef = doc(reviewRef, "reports", userId);
+
+  await runTransaction(db, async (transaction) => {
+    const review = await transaction.get(reviewRef);
+    const report = await transaction.get(reportRef);
+    if (!review.exists() || !isPublished(review.data())) {
+      throw new Error("This review has already been taken down.");
+    }
+    if (report.exists()) {
+      return; // already reported by this user
+    }
+
+    transaction.update(reviewRef, {
+      reported: true,
+      reportCount: (review.data().reportCount || 0) + 1,
+    });
+    transaction.set(reportRef, {
+      userId,
+      restaurantId, // so a user's reports on a restaurant can be queried
+      createdAt: Timestamp.fromDate(new Date()),
+    });
+  });
+}
+
+// subscribe to the IDs of the restaurant's reviews the user reported
+export function getReportedReviewIdsSnapshot(restaurantId, userId, cb) {
+  if (!restaurantId || !userId) {
+    return; // signed-out users have no reports
+  }
+
+  const q = query(
+    collectionGroup(db, "reports"),
+    where("userId", "==", userId),
+    where("restaurantId", "==", restaurantId)
+  );
+  return onSnapshot(q, (querySnapshot) => {
+    cb(
+      querySnapshot.docs
+        .filter((doc) => doc.ref.parent.parent.parent.id === "ratings") // not photo reports
+        .map((doc) => doc.ref.parent.parent.id) // reports live under their review
+    );
+  });
+}
+
+// fetch reported reviews of all restaurants, oldest first
+export async function getReportedReviews(db) {
+  const q = query(
+    collectionGroup(db, "ratings"),
+    where("reported", "==", true),
+    orderBy("timestamp", "asc")
+  );
+  const results = await getDocs(q);
+  return results.docs.map(reviewFromSnapshot);
+}
+
+/**
+ * Remove a reported review, or keep it and dismiss its reports. Removing
+ * rejects the review and takes it out of the restaurant aggregates in the
+ * same transaction.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} restaurantId - ID of the restaurant the review belongs to
+ * @param {string} reviewId - ID of the rating document
+ * @param {boolean} remove - Whether to remove the review
+ * @param {string} moderatorId - ID of the admin making the decision
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function resolveReportedReview(
+  db,
+  restaurantId,
+  reviewId,
+  remove,
+  moderatorId
+) {
+  const restaurantRef = doc(db, "restaurants", restaurantId);
+  const reviewRef = doc(db, "restaurants", restaurantId, "ratings", reviewId);
+
+  // the reports are cleared so the same users can report the review again;
+  // transactions can't run queries, so they are listed beforehand
+  const reports = await getDocs(collection(reviewRef, "reports"));
+
+  await runTransaction(db, async (transaction) => {
+    const restaurant = await transaction.get(restaurantRef);
+    const review = await transaction.get(reviewRef);
+    if (!review.exists() || !review.data().reported) {
+      throw new Error("This review has already been moderated.");
+    }
+
+    const updated = {
+      reported: false,
+      reportCount: 0,
+      ...(remove && { status: ReviewStatus.REJECTED }),
+      moderatedBy: moderatorId,
+      moderatedAt: Timestamp.fromDate(new Date()),
+    };
+    if (remove && isPublished(review.data())) {
+      transaction.update(
+        restaurantRef,
+        restaurantFieldsForReviewChange(restaurant.data(), review.data(), {
+          ...review.data(),
+          ...updated,
+        })
+      );
+    }
+    transaction.update(reviewRef, updated);
+    reports.docs.forEach((report) => transaction.delete(report.ref));
+  });
+}
+
+// convert a user profile document snapshot into a plain object
+function userProfileFromSnapshot(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    displayName: data.displayName,
+    photoURL: data.photoURL,
+    // documents made in the console, e.g. for admins, may not have one
+    createdAt: data.createdAt ? data.createdAt.toDate() : null,
+  };
+}
+
+/**
+ * Create the user's `users/{uid}` profile document on their first sign-in,
+ * and keep its name and photo in sync with their account afterwards.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {{uid: string, displayName?: string, photoURL?: string}} user - The signed-in user
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function ensureUserProfile(db, user) {
+  const userRef = doc(db, "users", user.uid);
+  const profile = {
+    displayName: user.displayName || "Anonymous",
+    photoURL: user.photoURL || null,
+  };
+
+  const docSnap = await getDoc(userRef);
+  if (!docSnap.exists()) {
+    await setDoc(userRef, {
+      ...profile,
+      createdAt: Timestamp.fromDate(new Date()),
+    });
+  } else if (
+    docSnap.data().displayName !== profile.displayName ||
+    docSnap.data().photoURL !== profile.photoURL
+  ) {
+    await updateDoc(userRef, profile);
+  }
+}
+
+// fetch a user's public profile, or null when they have none
+export async function getUserProfile(db, userId) {
+  if (!userId) {
+    return null;
+  }
+  const docSnap = await getDoc(doc(db, "users", userId));
+  return docSnap.exists() ? userProfileFromSnapshot(docSnap) : null;
+}
+
+// fetch a user's published reviews of all restaurants, newest first
+export async function getReviewsByUserId(db, userId) {
+  if (!userId) {
+    return []; // no user to look up
+  }
+
+  const q = query(
+    collectionGroup(db, "ratings"),
+    where("userId", "==", userId),
+    where("status", "==", ReviewStatus.PUBLISHED),
     orderBy("timestamp", "desc")
-  ); // newest ratings first
-  // subscribe and map results to plain objects
+  );
+  const results = await getDocs(q);
+  return results.docs.map(reviewFromSnapshot);
+}
+
+// map of restaurant ID to name, for lists of reviews of several restaurants
+export async function getRestaurantNames(db, restaurantIds) {
+  const restaurants = await Promise.all(
+    [...new Set(restaurantIds)].map((id) => getRestaurantById(db, id))
+  );
+  return Object.fromEntries(
+    restaurants.filter(Boolean).map(({ id, name }) => [id, name])
+  );
+}
+
+// IDs of a user's favorite restaurants, most recently added first
+export async function getFavoriteIds(db, userId) {
+  const results = await getDocs(
+    query(
+      collection(db, "users", userId, "favorites"),
+      orderBy("createdAt", "desc")
+    )
+  );
+  return results.docs.map((doc) => doc.id);
+}
+
+// subscribe to the IDs of a user's favorite restaurants
+export function getFavoriteIdsSnapshot(userId, cb) {
+  if (!userId) {
+    return; // signed out, so there is nothing to subscribe to
+  }
+
+  const q = query(
+    collection(db, "users", userId, "favorites"),
+    orderBy("createdAt", "desc")
+  );
+  return onSnapshot(q, (querySnapshot) => {
+    cb(querySnapshot.docs.map((doc) => doc.id));
+  });
+}
+
+/**
+ * Add a restaurant to, or remove it from, a user's favorites. Favorites are
+ * stored as `users/{userId}/favorites/{restaurantId}`.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} userId - ID of the signed-in user
+ * @param {string} restaurantId - ID of the restaurant
+ * @param {boolean} isFavorite - Whether the restaurant should be a favorite
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function setFavorite(db, userId, restaurantId, isFavorite) {
+  const favoriteRef = doc(db, "users", userId, "favorites", restaurantId);
+  if (isFavorite) {
+    await setDoc(favoriteRef, { createdAt: Timestamp.fromDate(new Date()) });
+  } else {
+    await deleteDoc(favoriteRef);
+  }
+}
+
+// limits also enforced by firestore.rules
+export const MAX_LIST_NAME_LENGTH = 60;
+export const MAX_LIST_RESTAURANTS = 100;
+
+// convert a saved list document snapshot into a plain object
+function listFromSnapshot(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt.toDate(),
+  };
+}
+
+/**
+ * Create a named list of restaurants, e.g. "Date night". Lists can be read
+ * by anyone who has their ID, so they can be shared with a link.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {{ownerId: string, ownerName: string, name: string}} list
+ * @returns {Promise<string>} ID of the new list
+ */
+export async function createList(db, { ownerId, ownerName, name }) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed || trimmed.length > MAX_LIST_NAME_LENGTH) {
+    throw new Error(
+      `List names must be between 1 and ${MAX_LIST_NAME_LENGTH} characters.`
+    );
+  }
+
+  const docRef = await addDoc(collection(db, "lists"), {
+    ownerId,
+    ownerName: ownerName || "Anonymous",
+    name: trimmed,
+    restaurantIds: [],
+    createdAt: Timestamp.fromDate(new Date()),
+  });
+  return docRef.id;
+}
+
+// fetch a saved list, or null when it doesn't exist
+export async function getListById(db, listId) {
+  if (!listId) {
+    return null;
+  }
+  const docSnap = await getDoc(doc(db, "lists", listId));
+  return docSnap.exists() ? listFromSnapshot(docSnap) : null;
+}
+
+// subscribe to a user's saved lists, newest first
+export function getListsSnapshot(userId, cb) {
+  if (!userId) {
+    return; // signed out, so there is nothing to subscribe to
+  }
+
+  const q = query(
+    collection(db, "lists"),
+    where("ownerId", "==", userId),
+    orderBy("createdAt", "desc")
+  );
   return onSnapshot(q, (querySnapshot) => {
-    const results = querySnapshot.docs.map((doc) => {
-      return {
-        id: doc.id,
-        ...doc.data(),
-        // Only plain objects can be passed to Client Components from Server Components
-        timestamp: doc.data().timestamp.toDate(),
-      };
+    cb(querySnapshot.docs.map(listFromSnapshot));
+  });
+}
+
+// add a restaurant to a saved list, or remove it
+export async function setRestaurantInList(db, listId, restaurantId, include) {
+  await updateDoc(doc(db, "lists", listId), {
+    restaurantIds: include
+      ? arrayUnion(restaurantId)
+      : arrayRemove(restaurantId),
+  });
+}
+
+export async function deleteList(db, listId) {
+  await deleteDoc(doc(db, "lists", listId));
+}
+
+// whether the user's profile document marks them as an admin
+export async function isUserAdmin(db, userId) {
+  if (!userId) {
+    return false; // signed-out users are never admins
+  }
+  const docSnap = await getDoc(doc(db, "users", userId));
+  return docSnap.exists() && docSnap.data().isAdmin === true;
+}
+
+// claims use a fixed ID so a user can only claim a restaurant once
+function claimId(restaurantId, userId) {
+  return `${restaurantId}_${userId}`;
+}
+
+// convert a claim document snapshot into a plain object
+function claimFromSnapshot(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    timestamp: data.timestamp.toDate(),
+    reviewedAt: data.reviewedAt ? data.reviewedAt.toDate() : null,
+  };
+}
+
+/**
+ * Ask to become the owner of a restaurant. An admin has to approve the claim.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {{restaurantId: string, restaurantName: string, userId: string, userName: string, message: string}} claim
+ * @returns {Promise<string>} ID of the claim document
+ */
+export async function addRestaurantClaim(db, claim) {
+  if (!claim?.restaurantId || !claim?.userId) {
+    throw new Error("A valid claim has not been provided.");
+  }
+
+  const id = claimId(claim.restaurantId, claim.userId);
+  await setDoc(doc(db, "claims", id), {
+    ...claim,
+    status: "pending",
+    timestamp: Timestamp.fromDate(new Date()),
+  });
+  return id;
+}
+
+// fetch a user's claim on a restaurant, or null when they haven't made one
+export async function getRestaurantClaim(db, restaurantId, userId) {
+  if (!restaurantId || !userId) {
+    return null;
+  }
+  const claimRef = doc(db, "claims", claimId(restaurantId, userId));
+  const docSnap = await getDoc(claimRef);
+  return docSnap.exists() ? claimFromSnapshot(docSnap) : null;
+}
+
+// fetch claims waiting for an admin, oldest first
+export async function getPendingClaims(db) {
+  const q = query(
+    collection(db, "claims"),
+    where("status", "==", "pending"),
+    orderBy("timestamp", "asc")
+  );
+  const results = await getDocs(q);
+  return results.docs.map(claimFromSnapshot);
+}
+
+/**
+ * Approve or reject a pending claim. Approving makes the claimant the
+ * restaurant's owner in the same transaction.
+ *
+ * @param {import('firebase/firestore').Firestore} db - Firestore instance
+ * @param {string} id - ID of the claim document
+ * @param {boolean} approve - Whether to approve the claim
+ * @param {string} reviewerId - ID of the admin making the decision
+ * @returns {Promise<void>} Resolves when write completes
+ */
+export async function resolveRestaurantClaim(db, id, approve, reviewerId) {
+  const claimRef = doc(db, "claims", id);
+
+  await runTransaction(db, async (transaction) => {
+    const claim = await transaction.get(claimRef);
+    if (!claim.exists() || claim.data().status !== "pending") {
+      throw new Error("This claim has already been resolved.");
+    }
+
+    if (approve) {
+      transaction.update(doc(db, "restaurants", claim.data().restaurantId), {
+        ownerId: claim.data().userId,
+      });
+    }
+    transaction.update(claimRef, {
+      status: approve ? "approved" : "rejected",
+      reviewedBy: reviewerId,
+      reviewedAt: Timestamp.fromDate(new Date()),
     });
-    cb(results); // call the provided callback with mapped results
   });
 }
 
-// generate and add fake restaurants and reviews to Firestore (dev helper)
-export async function addFakeRestaurantsAndReviews() {
+// generate and add fake restaurants and reviews to Firestore (dev helper for
+// the emulator seeding, which passes a Firestore that bypasses the rules)
+export async function addFakeRestaurantsAndReviews(firestore) {
   // generate fake data
-  const data = await generateFakeRestaurantsAndReviews(); // create sample restaurants + ratings
+  const { restaurants } = generateFakeRestaurantsAndReviews(); // create sample restaurants + ratings
   // iterate and write to Firestore
-  for (const { restaurantData, ratingsData } of data) {
+  for (const { restaurantData, ratingsData } of restaurants) {
     try {
       const docRef = await addDoc(
-        collection(db, "restaurants"),
+        collection(firestore, "restaurants"),
         restaurantData
       ); // add restaurant doc and get reference
 
       for (const ratingData of ratingsData) {
         await addDoc(
-          collection(db, "restaurants", docRef.id, "ratings"),
+          collection(firestore, "restaurants", docRef.id, "ratings"),
           ratingData
         ); // add rating docs under the restaurant
       }
@@ -0,0 +1,51 @@
+import "server-only";
+
+import { getApps, initializeApp } from "firebase/app";
+import {
+  collection,
+  connectFirestoreEmulator,
+  getDocs,
+  getFirestore,
+  limit,
+  query,
+} from "firebase/firestore";
+import { addFakeRestaurantsAndReviews } from "@/src/lib/firebase/firestore.js";
+import {
+  EMULATOR_FIREBASE_CONFIG,
+  EMULATOR_HOST,
+  EMULATOR_PORTS,
+} from "@/src/lib/firebase/emulators.js";
+
+const SEED_APP_NAME = "emulator-seed";
+
+let seeding = null;
+
+// Add the sample restaurants and reviews to the Firestore emulator when it
+// has no restaurants yet. Runs once per server process.
+export function seedEmulators() {
+  seeding ??= seed().catch((error) => {
+    console.error("Could not seed the emulators", error);
+    seeding = null; // try again on the next request
+  });
+  return seeding;
+}
+
+async function seed() {
+  const app =
+    getApps().find((app) => app.name === SEED_APP_NAME) ??
+    initializeApp(EMULATOR_FIREBASE_CONFIG, SEED_APP_NAME);
+  const db = getFirestore(app);
+  // "owner" is the emulator's admin token, which bypasses the security rules,
+  // so the sample reviews can be written for made-up users
+  connectFirestoreEmulator(db, EMULATOR_HOST, EMULATOR_PORTS.firestore, {
+    mockUserToken: "owner",
+  });
+
+  const existing = await getDocs(
+    query(collection(db, "restaurants"), limit(1))
+  );
+  if (existing.empty) {
+    console.log("Adding sample restaurants to the Firestore emulator");
+    await addFakeRestaurantsAndReviews(db);
+  }
+}
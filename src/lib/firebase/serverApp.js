@@ -6,22 +6,34 @@ import { cookies } from "next/headers";
 import { initializeServerApp, initializeApp } from "firebase/app";
 
 import { getAuth } from "firebase/auth";
+import {
+  connectToEmulators,
+  EMULATOR_FIREBASE_CONFIG,
+  USE_EMULATORS,
+} from "@/src/lib/firebase/emulators.js";
+import { seedEmulators } from "@/src/lib/firebase/seedEmulators.js";
 
 // Returns an authenticated client SDK instance for use in Server Side Rendering
 // and Static Site Generation
 export async function getAuthenticatedAppForUser() {
   const authIdToken = (await cookies()).get("__session")?.value;
+  if (USE_EMULATORS) {
+    await seedEmulators(); // so there is something to look at offline
+  }
 
   // Firebase Server App is a new feature in the JS SDK that allows you to
   // instantiate the SDK with credentials retrieved from the client & has
   // other affordances for use in server environments.
   const firebaseServerApp = initializeServerApp(
     // https://github.com/firebase/firebase-js-sdk/issues/8863#issuecomment-2751401913
-    initializeApp(),
+    USE_EMULATORS ? initializeApp(EMULATOR_FIREBASE_CONFIG) : initializeApp(),
     {
       authIdToken,
     }
   );
+  if (USE_EMULATORS) {
+    connectToEmulators(firebaseServerApp); // before Auth checks the token
+  }
 
   const auth = getAuth(firebaseServerApp);
   await auth.authStateReady();
@@ -1,32 +1,270 @@
-import { ref, uploadBytesResumable, getDownloadURL } from "firebase/storage"; // storage helpers
+import {
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject,
+} from "firebase/storage"; // storage helpers
 
 import { storage } from "@/src/lib/firebase/clientApp"; // initialized Firebase storage instance
 
-import { updateRestaurantImageReference } from "@/src/lib/firebase/firestore"; // helper to update Firestore doc with image URL
+import {
+  updateRestaurantImageReference,
+  updateReviewPhotos,
+} from "@/src/lib/firebase/firestore"; // helpers to update Firestore docs with image URLs
+import { auth, db } from "@/src/lib/firebase/clientApp"; // initialized Auth and Firestore instances
+import { ImageError, prepareImage } from "@/src/lib/images.js"; // validates and resizes images
 
-export async function updateRestaurantImage(restaurantId, image) {
+// how many photos can be attached to one review (also enforced by the rules)
+export const MAX_REVIEW_PHOTOS = 4;
+
+export const UploadErrorCode = {
+  INVALID_IMAGE: "invalid-image",
+  CANCELED: "canceled",
+  UNAUTHORIZED: "unauthorized",
+  QUOTA_EXCEEDED: "quota-exceeded",
+  NETWORK: "network",
+  UNKNOWN: "unknown",
+};
+
+// A failed upload. The message can be shown to users; `retryable` tells
+// whether trying the same file again may work. It won't for a file we can't
+// use, or while the user isn't allowed to upload (e.g. signed out).
+export class UploadError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "UploadError";
+    this.code = code;
+    this.retryable = ![
+      UploadErrorCode.INVALID_IMAGE,
+      UploadErrorCode.UNAUTHORIZED,
+    ].includes(code);
+  }
+}
+
+// turn an error from validation, Storage or Firestore into an UploadError
+function toUploadError(error) {
+  if (error instanceof UploadError) {
+    return error;
+  }
+  if (error instanceof ImageError) {
+    return new UploadError(UploadErrorCode.INVALID_IMAGE, error.message);
+  }
+  switch (error?.code) {
+    case "storage/canceled":
+      return new UploadError(
+        UploadErrorCode.CANCELED,
+        "The upload was canceled."
+      );
+    case "storage/unauthenticated":
+    case "storage/unauthorized":
+    case "permission-denied": // from Firestore
+      return new UploadError(
+        UploadErrorCode.UNAUTHORIZED,
+        "You aren't allowed to upload this photo. Make sure you're signed in."
+      );
+    case "storage/quota-exceeded":
+      return new UploadError(
+        UploadErrorCode.QUOTA_EXCEEDED,
+        "There is no space left for photos. Please try again later."
+      );
+    case "storage/retry-limit-exceeded":
+    case "unavailable": // from Firestore
+      return new UploadError(
+        UploadErrorCode.NETWORK,
+        "The upload failed because of a network problem. Please try again."
+      );
+    default:
+      console.error("Error uploading image:", error); // unexpected, keep the details
+      return new UploadError(
+        UploadErrorCode.UNKNOWN,
+        "The photo could not be uploaded. Please try again."
+      );
+  }
+}
+
+/**
+ * Upload a new photo for a restaurant and point the restaurant at it.
+ *
+ * @param {string} restaurantId - ID of the restaurant
+ * @param {File} image - The picked image file
+ * @param {{onProgress?: function(number): void, signal?: AbortSignal}} [options]
+ *   `onProgress` is called with the fraction uploaded so far (0 to 1), and
+ *   aborting `signal` cancels the upload
+ * @returns {Promise<string>} The URL of the restaurant's new photo
+ * @throws {UploadError} When the photo could not be uploaded or was canceled
+ */
+export async function updateRestaurantImage(
+  restaurantId,
+  image,
+  { onProgress, signal } = {}
+) {
   try {
     if (!restaurantId) {
       throw new Error("No restaurant ID has been provided."); // validate input
     }
 
     if (!image || !image.name) {
-      throw new Error("A valid image has not been provided."); // validate file
+      throw new UploadError(
+        UploadErrorCode.INVALID_IMAGE,
+        "A valid image has not been provided."
+      ); // validate file
+    }
+
+    const uploader = auth.currentUser; // recorded in the restaurant's photo history
+    if (!uploader) {
+      throw new UploadError(
+        UploadErrorCode.UNAUTHORIZED,
+        "You must be signed in to upload a photo."
+      );
     }
 
-    const publicImageUrl = await uploadImage(restaurantId, image); // upload and get public URL
-    await updateRestaurantImageReference(restaurantId, publicImageUrl); // update Firestore restaurant doc
+    const variants = await uploadImageVariants(
+      `images/${restaurantId}`,
+      image,
+      ["thumbnail", "card", "hero"],
+      { onProgress, signal }
+    ); // resize, upload and get public URLs
+    const publicImageUrl = variants.hero.url;
+    await updateRestaurantImageReference(
+      restaurantId,
+      publicImageUrl,
+      {
+        thumbnail: variants.thumbnail.url,
+        card: variants.card.url,
+        hero: variants.hero.url,
+      },
+      uploader
+    ); // add to the photo history and update Firestore restaurant doc
 
     return publicImageUrl; // return URL to caller
   } catch (error) {
-    console.error("Error processing request:", error); // log errors
+    throw toUploadError(error);
+  }
+}
+
+// the download URL of a file, or null when it hasn't been uploaded yet
+async function findDownloadURL(fileRef) {
+  try {
+    return await getDownloadURL(fileRef);
+  } catch (error) {
+    if (error?.code === "storage/object-not-found") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Resize an image into `variants` (see IMAGE_VARIANTS) and upload them to
+// `folder`. Returns the download URL and storage path of each variant.
+// Progress is reported across all variants together. Files are named after
+// their content and can't be overwritten (see storage.rules), so variants
+// that are already there, e.g. from an earlier attempt at the same upload,
+// are reused instead of uploaded again.
+async function uploadImageVariants(
+  folder,
+  image,
+  variants = ["thumbnail", "card", "hero"],
+  { onProgress, signal } = {}
+) {
+  const prepared = await prepareImage(image, variants); // throws an ImageError for unusable files
+  const files = await Promise.all(
+    prepared.map(async ({ variant, name, blob }) => {
+      const path = `${folder}/${name}`; // named after the image's content hash
+      const fileRef = ref(storage, path);
+      return {
+        variant,
+        blob,
+        path,
+        fileRef,
+        url: await findDownloadURL(fileRef),
+      };
+    })
+  );
+  if (signal?.aborted) {
+    throw toUploadError({ code: "storage/canceled" });
+  }
+
+  const tasks = files.map(({ blob, fileRef, url }) =>
+    url
+      ? null // already uploaded
+      : uploadBytesResumable(fileRef, blob, {
+          contentType: "image/jpeg",
+          cacheControl: "public, max-age=31536000, immutable", // the name changes with the content
+        })
+  );
+  const cancel = () => tasks.forEach((task) => task?.cancel()); // finished tasks ignore this
+  signal?.addEventListener("abort", cancel);
+
+  const totalBytes = files.reduce((sum, { blob }) => sum + blob.size, 0);
+  const transferred = files.map(({ blob, url }) => (url ? blob.size : 0));
+  tasks.forEach((task, index) =>
+    task?.on("state_changed", (snapshot) => {
+      transferred[index] = snapshot.bytesTransferred;
+      onProgress?.(transferred.reduce((a, b) => a + b, 0) / totalBytes);
+    })
+  );
+
+  try {
+    const uploaded = await Promise.all(
+      files.map(async ({ variant, path, fileRef, url }, index) => {
+        if (url) {
+          return [variant, { url, path }];
+        }
+        await tasks[index]; // rejects with storage/canceled when canceled
+        return [variant, { url: await getDownloadURL(fileRef), path }];
+      })
+    );
+    return Object.fromEntries(uploaded);
+  } catch (error) {
+    cancel(); // don't leave the other variants uploading
+    throw error;
+  } finally {
+    signal?.removeEventListener("abort", cancel);
   }
 }
 
-async function uploadImage(restaurantId, image) {
-  const filePath = `images/${restaurantId}/${image.name}`; // storage path for the file
-  const newImageRef = ref(storage, filePath); // create a storage reference
-  await uploadBytesResumable(newImageRef, image); // upload file
+/**
+ * Upload photos for a review to `images/{restaurantId}/reviews/{reviewId}/`
+ * and store their URLs on the review.
+ *
+ * @param {string} restaurantId - ID of the reviewed restaurant
+ * @param {string} reviewId - ID of the rating document
+ * @param {File[]} images - At most MAX_REVIEW_PHOTOS image files
+ * @returns {Promise<{url: string, thumbnailUrl: string, paths: string[]}[]>}
+ *   The uploaded photos: the full-size and thumbnail URLs, and the storage
+ *   paths of both
+ */
+export async function uploadReviewPhotos(restaurantId, reviewId, images) {
+  if (!restaurantId || !reviewId) {
+    throw new Error("No restaurant or review ID has been provided.");
+  }
+  if (images.length > MAX_REVIEW_PHOTOS) {
+    throw new Error(`A review can have at most ${MAX_REVIEW_PHOTOS} photos.`);
+  }
+
+  const photos = await Promise.all(
+    images.map(async (image) => {
+      const { thumbnail, hero } = await uploadImageVariants(
+        `images/${restaurantId}/reviews/${reviewId}`,
+        image,
+        ["thumbnail", "hero"]
+      );
+      return {
+        url: hero.url,
+        thumbnailUrl: thumbnail.url,
+        paths: [thumbnail.path, hero.path],
+      };
+    })
+  );
+  await updateReviewPhotos(db, restaurantId, reviewId, photos); // reference them from the review
+  return photos;
+}
 
-  return await getDownloadURL(newImageRef); // return the public download URL
-}
\ No newline at end of file
+// delete a review's photos from storage, e.g. after the review was deleted
+export async function deleteReviewPhotos(photos = []) {
+  await Promise.all(
+    photos
+      .flatMap((photo) => photo.paths ?? [photo.path]) // older photos have one path
+      .map((path) => deleteObject(ref(storage, path)))
+  );
+}
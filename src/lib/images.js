@@ -0,0 +1,152 @@
+// Client-side processing of uploaded images. Images are checked for type and
+// size, then resized into fixed variants which are uploaded instead of the
+// original file. This only runs in the browser: it needs a canvas.
+
+// what users can pick, before resizing
+export const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+export const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// the variants every image is resized into; `crop` fills the exact size,
+// otherwise the image is scaled down to fit inside it. All variants are
+// JPEGs (see storage.rules).
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, crop: true },
+  card: { width: 600, height: 400, crop: true },
+  hero: { width: 1600, height: 1200, crop: false },
+};
+
+const VARIANT_TYPE = "image/jpeg";
+const VARIANT_QUALITY = 0.85;
+
+export const ImageErrorCode = {
+  INVALID_TYPE: "invalid-type",
+  TOO_LARGE: "too-large",
+  UNREADABLE: "unreadable",
+};
+
+// An image that can't be uploaded. The message can be shown to users.
+export class ImageError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ImageError";
+    this.code = code;
+  }
+}
+
+/**
+ * Check that a file is an image we accept.
+ *
+ * @param {File} file - The picked file
+ * @throws {ImageError} When the file has the wrong type or is too large
+ */
+export function validateImage(file) {
+  if (!ALLOWED_IMAGE_TYPES.includes(file?.type)) {
+    throw new ImageError(
+      ImageErrorCode.INVALID_TYPE,
+      `"${file?.name}" isn't a JPEG, PNG or WebP image.`
+    );
+  }
+  if (file.size > MAX_IMAGE_SIZE) {
+    throw new ImageError(
+      ImageErrorCode.TOO_LARGE,
+      `"${file.name}" is larger than ${MAX_IMAGE_SIZE / 1024 / 1024} MB.`
+    );
+  }
+}
+
+// the source rectangle and output size for drawing `bitmap` as a variant
+function variantGeometry(bitmap, { width, height, crop }) {
+  if (crop) {
+    // cover the output, cutting off the edges that don't fit
+    const scale = Math.max(width / bitmap.width, height / bitmap.height);
+    const sw = width / scale;
+    const sh = height / scale;
+    return {
+      source: [(bitmap.width - sw) / 2, (bitmap.height - sh) / 2, sw, sh],
+      width,
+      height,
+    };
+  }
+  // fit inside the output, never scaling up
+  const scale = Math.min(width / bitmap.width, height / bitmap.height, 1);
+  return {
+    source: [0, 0, bitmap.width, bitmap.height],
+    width: Math.round(bitmap.width * scale),
+    height: Math.round(bitmap.height * scale),
+  };
+}
+
+function resizeImage(bitmap, variant) {
+  const { source, width, height } = variantGeometry(bitmap, variant);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext("2d");
+  context.fillStyle = "white"; // JPEGs have no transparency
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, ...source, 0, 0, width, height);
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not resize the image.")),
+      VARIANT_TYPE,
+      VARIANT_QUALITY
+    )
+  );
+}
+
+// hex SHA-256 of the file's contents, shortened to 32 characters
+async function hashFile(file) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await file.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("")
+    .slice(0, 32);
+}
+
+/**
+ * Validate an image and resize it into the requested variants.
+ *
+ * Variants are named after a hash of the original file, e.g.
+ * "3f2a..._card.jpg", so uploading the same image twice gives the same
+ * names, and a new image never reuses a cached URL.
+ *
+ * @param {File} file - The picked file
+ * @param {string[]} variants - Names of IMAGE_VARIANTS to create
+ * @returns {Promise<{variant: string, name: string, blob: Blob}[]>}
+ * @throws {ImageError} When the file isn't an image we accept
+ */
+export async function prepareImage(
+  file,
+  variants = Object.keys(IMAGE_VARIANTS)
+) {
+  validateImage(file);
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    throw new ImageError(
+      ImageErrorCode.UNREADABLE,
+      `"${file.name}" couldn't be read as an image.`
+    );
+  }
+
+  try {
+    const hash = await hashFile(file);
+    return await Promise.all(
+      variants.map(async (variant) => ({
+        variant,
+        name: `${hash}_${variant}.jpg`,
+        blob: await resizeImage(bitmap, IMAGE_VARIANTS[variant]),
+      }))
+    );
+  } finally {
+    bitmap.close(); // free the decoded image
+  }
+}
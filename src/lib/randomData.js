@@ -2,6 +2,11 @@
 // After you've signed into Friendly Eats, click the dropdown
 // menu in the top right corner and select "Add random data"
 
+import {
+  restaurantCategories,
+  restaurantCities,
+} from "@/src/lib/restaurantFields.js";
+
 export const randomData = {
   restaurantNames: [
     "Savory Bites",
@@ -46,34 +51,8 @@ export const randomData = {
     "Steaming Samosas",
     "Falafel Frenzy",
   ],
-  restaurantCities: [
-    "New York",
-    "Los Angeles",
-    "London",
-    "Paris",
-    "Tokyo",
-    "Mumbai",
-    "Dubai",
-    "Amsterdam",
-    "Seoul",
-    "Singapore",
-    "Istanbul",
-  ],
-  restaurantCategories: [
-    "Italian",
-    "Chinese",
-    "Japanese",
-    "Mexican",
-    "Indian",
-    "Mediterranean",
-    "Caribbean",
-    "Cajun",
-    "German",
-    "Russian",
-    "Cuban",
-    "Organic",
-    "Tapas",
-  ],
+  restaurantCities,
+  restaurantCategories,
   restaurantReviews: [
     { text: "The food was exceptional, absolutely loved it!", rating: 5 },
     { text: "Delicious dishes and excellent service!", rating: 5 },
@@ -145,4 +124,22 @@ export const randomData = {
     },
     { text: "Not up to par with my expectations.", rating: 2 },
   ],
+  userNames: [
+    "Alex Morgan",
+    "Priya Patel",
+    "Kenji Sato",
+    "Maria Garcia",
+    "Sam Taylor",
+    "Chloe Martin",
+    "Omar Haddad",
+    "Lena Fischer",
+    "Diego Rossi",
+    "Aisha Bello",
+    "Noah Kim",
+    "Emma Dubois",
+    "Lucas Silva",
+    "Hana Novak",
+    "Ravi Kumar",
+    "Sofia Lindqvist",
+  ],
 };
@@ -0,0 +1,33 @@
+// The aspects of a restaurant that reviewers can rate on their own, next to
+// their overall star rating.
+//
+// Reviews keep them in `aspectRatings`, e.g. { food: 5, service: 3 }; every
+// aspect is optional. Restaurants keep running aggregates per aspect in
+// `aspectRatings`, e.g. { food: { numRatings, sumRating, avgRating } }, which
+// are maintained together with the overall ones.
+
+export const RATING_ASPECTS = ["food", "service", "value", "ambience"];
+
+export const ASPECT_LABELS = {
+  food: "Food",
+  service: "Service",
+  value: "Value",
+  ambience: "Ambience",
+};
+
+// the listing sort options for the aspects, e.g. "Food"
+export const aspectSortOptions = RATING_ASPECTS.map(
+  (aspect) => ASPECT_LABELS[aspect]
+);
+
+// the aspect a listing sort option orders by, e.g. "Food" => "food", or null
+export function aspectForSort(sort) {
+  return (
+    RATING_ASPECTS.find((aspect) => ASPECT_LABELS[aspect] === sort) ?? null
+  );
+}
+
+// the form field a rating picker uses for an aspect
+export function aspectFieldName(aspect) {
+  return `aspect-${aspect}`;
+}
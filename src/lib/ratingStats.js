@@ -0,0 +1,44 @@
+// Rating statistics kept on restaurant documents next to `numRatings`,
+// `sumRating` and `avgRating`:
+//   - ratingCounts: how many published reviews gave each number of stars,
+//     e.g. { 1: 0, 2: 1, 3: 0, 4: 5, 5: 12 }
+//   - bayesianRating: the average rating pulled towards RATING_PRIOR_MEAN as
+//     if every restaurant had RATING_PRIOR_WEIGHT extra reviews of that
+//     rating, so a single 5-star review doesn't outrank hundreds of 4.8s.
+//     The "Best rated" sort orders by it.
+
+export const STAR_VALUES = [1, 2, 3, 4, 5];
+
+// a typical rating, and how many reviews it takes before a restaurant's own
+// average counts for more than it
+export const RATING_PRIOR_MEAN = 3;
+export const RATING_PRIOR_WEIGHT = 5;
+
+/**
+ * Confidence-weighted average rating.
+ *
+ * @param {number} numRatings - Number of published ratings
+ * @param {number} sumRating - Sum of those ratings
+ * @returns {number} A score between 1 and 5
+ */
+export function computeBayesianRating(numRatings, sumRating) {
+  return (
+    (RATING_PRIOR_WEIGHT * RATING_PRIOR_MEAN + sumRating) /
+    (RATING_PRIOR_WEIGHT + numRatings)
+  );
+}
+
+// the per-star counts after a rating is removed and/or added (pass null for
+// whichever doesn't apply), never going below zero
+export function updateRatingCounts(counts, removedRating, addedRating) {
+  const updated = Object.fromEntries(
+    STAR_VALUES.map((stars) => [stars, counts?.[stars] || 0])
+  );
+  if (updated[removedRating] !== undefined) {
+    updated[removedRating] = Math.max(updated[removedRating] - 1, 0);
+  }
+  if (updated[addedRating] !== undefined) {
+    updated[addedRating]++;
+  }
+  return updated;
+}
@@ -0,0 +1,71 @@
+// The values a restaurant's category, city and price can take, shared by the
+// filters, the create/edit form and the sample data generator
+
+export const restaurantCategories = [
+  "Italian",
+  "Chinese",
+  "Japanese",
+  "Mexican",
+  "Indian",
+  "Mediterranean",
+  "Caribbean",
+  "Cajun",
+  "German",
+  "Russian",
+  "Cuban",
+  "Organic",
+  "Tapas",
+];
+
+export const restaurantCities = [
+  "New York",
+  "Los Angeles",
+  "London",
+  "Paris",
+  "Tokyo",
+  "Mumbai",
+  "Dubai",
+  "Amsterdam",
+  "Seoul",
+  "Singapore",
+  "Istanbul",
+];
+
+// prices are stored as a number of dollar signs
+export const restaurantPrices = [1, 2, 3, 4];
+
+export const MAX_RESTAURANT_NAME_LENGTH = 80;
+
+/**
+ * Validate the editable fields of a restaurant.
+ *
+ * @param {{name?: string, category?: string, city?: string, price?: string|number}} fields
+ * @returns {{values: {name: string, category: string, city: string, price: number}, errors: Object<string, string>}}
+ *   The normalized values, and an error message per invalid field (empty when valid)
+ */
+export function validateRestaurantFields(fields) {
+  const values = {
+    name: String(fields.name ?? "").trim(),
+    category: String(fields.category ?? ""),
+    city: String(fields.city ?? ""),
+    price: Number(fields.price),
+  };
+  const errors = {};
+
+  if (!values.name) {
+    errors.name = "Please enter a name.";
+  } else if (values.name.length > MAX_RESTAURANT_NAME_LENGTH) {
+    errors.name = `Names can be at most ${MAX_RESTAURANT_NAME_LENGTH} characters.`;
+  }
+  if (!restaurantCategories.includes(values.category)) {
+    errors.category = "Please pick a category.";
+  }
+  if (!restaurantCities.includes(values.city)) {
+    errors.city = "Please pick a city.";
+  }
+  if (!restaurantPrices.includes(values.price)) {
+    errors.price = "Please pick a price.";
+  }
+
+  return { values, errors };
+}
@@ -0,0 +1,154 @@
+// Keyword search for restaurants.
+//
+// Firestore has no full-text search, so every restaurant document keeps a
+// `searchKeywords` array that is queried with `array-contains-any`. It holds
+// the words (and word prefixes) of the restaurant's name, its category and
+// city, and every word used in its reviews. How often each review word is
+// used is kept in `reviewKeywordCounts` so that words can be removed again
+// when reviews are edited or deleted. Matches are ranked in-process.
+
+// Firestore's limit on values in an `array-contains-any` filter
+export const MAX_SEARCH_TERMS = 30;
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "at",
+  "but",
+  "for",
+  "i",
+  "in",
+  "is",
+  "it",
+  "me",
+  "my",
+  "of",
+  "on",
+  "or",
+  "so",
+  "the",
+  "to",
+  "was",
+  "we",
+  "with",
+]);
+
+// split text into unique, lower-case words without punctuation or stop words
+export function tokenize(text) {
+  const words = String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // strip accents so "café" matches "cafe"
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+  return [...new Set(words)];
+}
+
+// every prefix of at least two letters, so "pas" finds "Pasta Paradise"
+function prefixes(word) {
+  const result = [];
+  for (let i = 2; i <= word.length; i++) {
+    result.push(word.slice(0, i));
+  }
+  return result;
+}
+
+// the search keywords that come from the restaurant's own fields
+function fieldKeywords({ name, category, city }) {
+  return [
+    ...tokenize(name).flatMap(prefixes),
+    ...tokenize(category),
+    ...tokenize(city),
+  ];
+}
+
+/**
+ * Add (delta = 1) or remove (delta = -1) a review's words from a restaurant's
+ * review keyword counts.
+ *
+ * @param {Object<string, number>} counts - Current `reviewKeywordCounts`
+ * @param {string} text - Review text
+ * @param {number} delta - 1 when the review is added, -1 when it is removed
+ * @returns {Object<string, number>} New counts, without words that reached zero
+ */
+export function updateReviewKeywordCounts(counts = {}, text, delta) {
+  const result = { ...counts };
+  for (const word of tokenize(text)) {
+    const count = (result[word] || 0) + delta;
+    if (count > 0) {
+      result[word] = count;
+    } else {
+      delete result[word];
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the `searchKeywords` array for a restaurant.
+ *
+ * @param {{name: string, category: string, city: string}} restaurant
+ * @param {Object<string, number>} reviewKeywordCounts - Words used in reviews
+ * @returns {string[]} Unique keywords
+ */
+export function buildSearchKeywords(restaurant, reviewKeywordCounts = {}) {
+  return [
+    ...new Set([
+      ...fieldKeywords(restaurant),
+      ...Object.keys(reviewKeywordCounts),
+    ]),
+  ];
+}
+
+// the words of a search query to look up, at most MAX_SEARCH_TERMS of them
+export function searchTerms(q) {
+  return tokenize(q).slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * Order restaurants by how well they match a search query. Name matches
+ * count the most, then category and city, then words from reviews.
+ * Restaurants that match nothing are dropped.
+ *
+ * @param {object[]} restaurants - Restaurants with `reviewKeywordCounts`
+ * @param {string} q - The search query
+ * @returns {object[]} Matching restaurants, best match first
+ */
+export function rankRestaurants(restaurants, q) {
+  const terms = searchTerms(q);
+
+  const scored = restaurants.map((restaurant) => {
+    const nameWords = tokenize(restaurant.name);
+    const nameKeywords = new Set(nameWords.flatMap(prefixes));
+    const placeKeywords = new Set([
+      ...tokenize(restaurant.category),
+      ...tokenize(restaurant.city),
+    ]);
+    const reviewCounts = restaurant.reviewKeywordCounts || {};
+
+    let score = 0;
+    for (const term of terms) {
+      if (nameWords.includes(term)) {
+        score += 10; // whole word of the name
+      } else if (nameKeywords.has(term)) {
+        score += 6; // start of a word of the name
+      }
+      if (placeKeywords.has(term)) {
+        score += 4;
+      }
+      // more reviews mentioning a word count for more, up to a point
+      score += Math.min(reviewCounts[term] || 0, 5);
+    }
+    return { restaurant, score };
+  });
+
+  return scored
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.restaurant.avgRating || 0) - (a.restaurant.avgRating || 0)
+    )
+    .map(({ restaurant }) => restaurant);
+}
@@ -1,17 +1,66 @@
-export function randomNumberBetween(min = 0, max = 1000) {
-  return Math.floor(Math.random() * (max - min + 1) + min);
+// Seedable pseudo-random number generator (mulberry32). Returns a function
+// that works like Math.random, but gives the same numbers for the same seed,
+// so sample data can be generated again exactly. Seeds can be numbers or
+// strings.
+export function createRandom(seed = Math.random() * 2 ** 32) {
+  let state = typeof seed === "string" ? hashString(seed) : seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
 }
 
-export function getRandomDateBefore(startingDate = new Date()) {
-  const randomNumberOfDays = randomNumberBetween(20, 80);
+// FNV-1a, to turn a string seed into a 32-bit number
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function randomNumberBetween(min = 0, max = 1000, random = Math.random) {
+  return Math.floor(random() * (max - min + 1) + min);
+}
+
+export function randomItem(items, random = Math.random) {
+  return items[randomNumberBetween(0, items.length - 1, random)];
+}
+
+// Pick a key of `weights` ({item: weight}) with a chance proportional to its
+// weight
+export function weightedRandomItem(weights, random = Math.random) {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let remaining = random() * total;
+  for (const [item, weight] of entries) {
+    remaining -= weight;
+    if (remaining < 0) {
+      return item;
+    }
+  }
+  return entries.at(-1)[0];
+}
+
+export function getRandomDateBefore(
+  startingDate = new Date(),
+  random = Math.random
+) {
+  const randomNumberOfDays = randomNumberBetween(20, 80, random);
   const randomDate = new Date(
     startingDate - randomNumberOfDays * 24 * 60 * 60 * 1000
   );
   return randomDate;
 }
 
-export function getRandomDateAfter(startingDate = new Date()) {
-  const randomNumberOfDays = randomNumberBetween(1, 19);
+export function getRandomDateAfter(
+  startingDate = new Date(),
+  random = Math.random
+) {
+  const randomNumberOfDays = randomNumberBetween(1, 19, random);
   const randomDate = new Date(
     startingDate.getTime() + randomNumberOfDays * 24 * 60 * 60 * 1000
   );
@@ -0,0 +1,102 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import Filters from "@/src/components/Filters.jsx";
+import { emptyFilters } from "@/src/lib/filters.js";
+
+// Renders the filters and returns the filters each setFilters call produced.
+// Updater functions are applied straight away, like React does, since they
+// read the event target.
+function renderFilters(filters = {}, props = {}) {
+  const current = { ...emptyFilters, ...filters };
+  const updates = [];
+  const setFilters = vi.fn((update) =>
+    updates.push(typeof update === "function" ? update(current) : update)
+  );
+  const { container } = render(
+    <Filters filters={current} setFilters={setFilters} {...props} />
+  );
+  return { container, updates };
+}
+
+describe("Filters", () => {
+  it("shows a tag per selected filter value", () => {
+    const { container } = renderFilters({
+      category: ["Italian", "Chinese"],
+      price: "1-2",
+      q: "pasta",
+    });
+
+    const tags = container.querySelectorAll(".tags > span");
+    expect(Array.from(tags, (tag) => tag.firstChild.textContent)).toEqual([
+      "Italian",
+      "Chinese",
+      "$$ and under",
+      '"pasta"',
+    ]);
+  });
+
+  it("removes one value when its tag is removed", () => {
+    const { updates } = renderFilters({ category: ["Italian", "Chinese"] });
+
+    fireEvent.click(screen.getAllByRole("button", { name: "Remove" })[0]);
+
+    expect(updates.at(-1).category).toEqual(["Chinese"]);
+  });
+
+  it("updates the price from its select", () => {
+    const { updates } = renderFilters();
+
+    fireEvent.change(screen.getByLabelText("Price"), {
+      target: { value: "2" },
+    });
+
+    expect(updates.at(-1)).toEqual({ ...emptyFilters, price: "2" });
+  });
+
+  it("collects every selected category", () => {
+    const { updates } = renderFilters();
+    const select = screen.getByLabelText("Category (pick one or more)");
+
+    select.querySelector('option[value="Italian"]').selected = true;
+    select.querySelector('option[value="Tapas"]').selected = true;
+    fireEvent.change(select);
+
+    expect(updates.at(-1).category).toEqual(["Italian", "Tapas"]);
+  });
+
+  it("searches with the trimmed query when the search is submitted", () => {
+    const { updates } = renderFilters();
+
+    fireEvent.change(screen.getByLabelText("Search restaurants"), {
+      target: { value: "  ramen  " },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Search" }));
+
+    expect(updates.at(-1).q).toBe("ramen");
+  });
+
+  it("doesn't offer the favorites filter to signed-out users", () => {
+    renderFilters();
+
+    expect(screen.queryByLabelText(/My favorites only/)).toBeNull();
+  });
+
+  it("limits the listing to favorites when the box is ticked", () => {
+    const { updates } = renderFilters({}, { canFilterFavorites: true });
+
+    fireEvent.click(screen.getByLabelText(/My favorites only/));
+
+    expect(updates.at(-1).favorites).toBe("1");
+  });
+
+  it("clears every filter on reset", () => {
+    const { updates } = renderFilters({
+      category: ["Italian"],
+      sort: "Review",
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Reset" }));
+
+    expect(updates).toEqual([emptyFilters]);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import RatingPicker from "@/src/components/RatingPicker.jsx";
+
+// the stars drawn as chosen
+function litStars(container) {
+  return container.querySelectorAll(".rating-picker__star--on").length;
+}
+
+describe("RatingPicker", () => {
+  it("is a named group of radio buttons", () => {
+    render(<RatingPicker legend="Your rating" />);
+
+    const group = screen.getByRole("group", { name: "Your rating" });
+    const radios = screen.getAllByRole("radio");
+    expect(group.contains(radios[0])).toBe(true);
+    expect(radios.map((radio) => radio.value)).toEqual([
+      "1",
+      "2",
+      "3",
+      "4",
+      "5",
+    ]);
+    expect(screen.getByRole("radio", { name: "1 star" })).toBeDefined();
+  });
+
+  it("lights up the stars up to the chosen rating", () => {
+    const { container } = render(<RatingPicker />);
+
+    fireEvent.click(screen.getByLabelText("3 stars"));
+
+    expect(screen.getByLabelText("3 stars").checked).toBe(true);
+    expect(litStars(container)).toBe(3);
+  });
+
+  it("pre-selects the default rating", () => {
+    const { container } = render(<RatingPicker defaultValue={2} />);
+
+    expect(screen.getByLabelText("2 stars").checked).toBe(true);
+    expect(litStars(container)).toBe(2);
+  });
+
+  it("goes back to the default rating when the form is reset", () => {
+    const { container } = render(
+      <form>
+        <RatingPicker defaultValue={2} />
+      </form>
+    );
+    fireEvent.click(screen.getByLabelText("5 stars"));
+
+    fireEvent.reset(container.querySelector("form"));
+
+    expect(litStars(container)).toBe(2);
+  });
+});
@@ -0,0 +1,170 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import RestaurantListings from "@/src/components/RestaurantListings.jsx";
+import {
+  getFavoriteIdsSnapshot,
+  getRestaurantsSnapshot,
+} from "@/src/lib/firebase/firestore.js";
+
+const router = { push: vi.fn() };
+vi.mock("next/navigation", () => ({ useRouter: () => router }));
+vi.mock("@/src/lib/firebase/clientApp.js", () => ({ db: {} }));
+vi.mock("@/src/lib/firebase/firestore.js", () => ({
+  getRestaurantsSnapshot: vi.fn(() => () => {}),
+  // a full page of restaurants has a next page
+  getNextRestaurantCursor: (restaurants) =>
+    restaurants.length >= 2 ? `after-${restaurants.at(-1).id}` : null,
+  getFavoriteIdsSnapshot: vi.fn(() => () => {}),
+  setFavorite: vi.fn(),
+}));
+
+function restaurant(id, overrides = {}) {
+  return {
+    id,
+    name: `Restaurant ${id}`,
+    category: "Italian",
+    city: "Paris",
+    price: 2,
+    avgRating: 4,
+    numRatings: 3,
+    photo: null,
+    ...overrides,
+  };
+}
+
+function renderListings(props = {}) {
+  return render(
+    <RestaurantListings
+      initialRestaurants={[restaurant("a"), restaurant("b")]}
+      initialNextCursor={null}
+      searchParams={{}}
+      userId=""
+      {...props}
+    />
+  );
+}
+
+function restaurantItems(container) {
+  return container.querySelectorAll(".restaurant__item");
+}
+
+// the callback of the n-th restaurants listener
+function snapshotCallback(n = 0) {
+  return getRestaurantsSnapshot.mock.calls[n][0];
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("RestaurantListings", () => {
+  it("renders the restaurants from the server", () => {
+    const { container } = renderListings();
+
+    const items = restaurantItems(container);
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain("Restaurant a");
+    expect(items[0].textContent).toContain("Italian | Paris");
+    expect(items[0].textContent).toContain("$$");
+    expect(items[0].querySelector("a").getAttribute("href")).toBe(
+      "/restaurant/a"
+    );
+  });
+
+  it("listens for changes with the filters from the URL", () => {
+    renderListings({
+      searchParams: { category: "Italian,Chinese", sort: "Review" },
+      userId: "alice",
+    });
+
+    const [, filters, page] = getRestaurantsSnapshot.mock.calls[0];
+    expect(filters).toMatchObject({
+      category: ["Italian", "Chinese"],
+      sort: "Review",
+    });
+    expect(page).toEqual({ cursor: "", userId: "alice" });
+    expect(router.push).toHaveBeenCalledWith(
+      "?category=Italian%2CChinese&sort=Review"
+    );
+  });
+
+  it("shows realtime updates", () => {
+    const { container } = renderListings();
+
+    act(() => snapshotCallback()([restaurant("c", { name: "New place" })]));
+
+    expect(restaurantItems(container)).toHaveLength(1);
+    expect(screen.getByText("New place")).toBeTruthy();
+  });
+
+  it("loads the next page after the last restaurant", () => {
+    const { container } = renderListings({ initialNextCursor: "after-b" });
+
+    fireEvent.click(screen.getByText("Load more"));
+
+    expect(getRestaurantsSnapshot).toHaveBeenCalledTimes(2);
+    expect(getRestaurantsSnapshot.mock.calls[1][2].cursor).toBe("after-b");
+    act(() => snapshotCallback(1)([restaurant("c")]));
+    expect(restaurantItems(container)).toHaveLength(3);
+    expect(screen.queryByText("Load more")).toBeNull(); // a short page is the last
+  });
+
+  it("starts again from the first page when the filters change", () => {
+    const { container } = renderListings({ initialNextCursor: "after-b" });
+
+    fireEvent.change(screen.getByLabelText("Sort"), {
+      target: { value: "Review" },
+    });
+
+    const [callback, filters, page] = getRestaurantsSnapshot.mock.lastCall;
+    expect(filters.sort).toBe("Review");
+    expect(page.cursor).toBe("");
+    expect(router.push).toHaveBeenLastCalledWith("?sort=Review");
+    act(() => callback([restaurant("z")]));
+    expect(restaurantItems(container)).toHaveLength(1);
+    expect(screen.queryByText("Load more")).toBeNull();
+  });
+
+  it("follows a link to the user's favorites", () => {
+    const { container, rerender } = renderListings({
+      searchParams: { sort: "Review" },
+      userId: "alice",
+    });
+
+    rerender(
+      <RestaurantListings
+        initialRestaurants={[restaurant("f")]}
+        initialNextCursor={null}
+        searchParams={{ favorites: "1" }}
+        userId="alice"
+      />
+    );
+
+    const [callback, filters] = getRestaurantsSnapshot.mock.lastCall;
+    expect(filters).toMatchObject({ favorites: "1", sort: "" });
+    act(() => callback([restaurant("f")]));
+    expect(restaurantItems(container)).toHaveLength(1);
+    expect(router.push).toHaveBeenLastCalledWith("?favorites=1");
+  });
+
+  it("only shows favorite hearts to signed-in users", () => {
+    renderListings();
+    expect(screen.queryByRole("button", { name: /favorites/ })).toBeNull();
+    expect(getFavoriteIdsSnapshot).not.toHaveBeenCalled();
+  });
+
+  it("marks the user's favorites", () => {
+    getFavoriteIdsSnapshot.mockImplementation((userId, cb) => {
+      cb(["b"]);
+      return () => {};
+    });
+
+    renderListings({ userId: "alice" });
+
+    const hearts = screen.getAllByRole("button", { name: /favorites/ });
+    expect(hearts.map((heart) => heart.getAttribute("aria-pressed"))).toEqual([
+      "false",
+      "true",
+    ]);
+  });
+});
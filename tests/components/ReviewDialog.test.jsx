@@ -0,0 +1,204 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import ReviewDialog from "@/src/components/ReviewDialog.jsx";
+import { handleReviewFormSubmission } from "@/src/app/actions.js";
+import { uploadReviewPhotos } from "@/src/lib/firebase/storage.js";
+
+vi.mock("@/src/app/actions.js", () => ({
+  handleReviewFormSubmission: vi.fn(),
+}));
+vi.mock("@/src/lib/firebase/storage.js", () => ({
+  MAX_REVIEW_PHOTOS: 4,
+  uploadReviewPhotos: vi.fn(),
+}));
+
+function renderDialog() {
+  const handleClose = vi.fn();
+  const { container } = render(
+    <ReviewDialog
+      isOpen
+      handleClose={handleClose}
+      review={{ rating: 0, text: "Lovely ramen" }}
+      onChange={() => {}}
+      id="r1"
+    />
+  );
+  return { container, handleClose };
+}
+
+// pick files in the (uncontrolled) photo input
+function pickPhotos(container, files) {
+  Object.defineProperty(
+    container.querySelector('input[type="file"]'),
+    "files",
+    {
+      value: files,
+    }
+  );
+}
+
+function photo(name = "ramen.jpg", type = "image/jpeg") {
+  return new File(["..."], name, { type });
+}
+
+// pick a rating in the star picker with the given legend
+function rate(legend, stars) {
+  const group = screen.getByRole("group", { name: legend });
+  fireEvent.click(within(group).getByLabelText(`${stars} stars`));
+}
+
+function submit() {
+  rate("Your rating", 4);
+  fireEvent.click(screen.getByRole("button", { name: "Submit" }));
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(window, "alert").mockImplementation(() => {});
+});
+
+describe("ReviewDialog", () => {
+  it("opens as a modal dialog", () => {
+    const { container } = renderDialog();
+
+    expect(container.querySelector("dialog").open).toBe(true);
+  });
+
+  it("submits the review and closes once it is saved", async () => {
+    handleReviewFormSubmission.mockResolvedValue({
+      ok: true,
+      id: "v1",
+      pending: false,
+    });
+    const { handleClose } = renderDialog();
+
+    submit();
+
+    await waitFor(() => expect(handleClose).toHaveBeenCalled());
+    const formData = handleReviewFormSubmission.mock.lastCall[1];
+    expect(Object.fromEntries(formData)).toEqual({
+      rating: "4",
+      text: "Lovely ramen",
+      restaurantId: "r1",
+    });
+    expect(uploadReviewPhotos).not.toHaveBeenCalled();
+    expect(window.alert).not.toHaveBeenCalled();
+  });
+
+  it("sends the aspects the reviewer rated", async () => {
+    handleReviewFormSubmission.mockResolvedValue({ ok: true, id: "v1" });
+    const { handleClose } = renderDialog();
+
+    rate("Food", 5);
+    rate("Value", 2);
+    submit();
+
+    await waitFor(() => expect(handleClose).toHaveBeenCalled());
+    const formData = handleReviewFormSubmission.mock.lastCall[1];
+    expect(formData.get("aspect-food")).toBe("5");
+    expect(formData.get("aspect-value")).toBe("2");
+    expect(formData.has("aspect-service")).toBe(false);
+  });
+
+  it("asks for a rating before submitting", async () => {
+    renderDialog();
+
+    fireEvent.click(screen.getByRole("button", { name: "Submit" }));
+
+    expect((await screen.findByRole("alert")).textContent).toBe(
+      "Please choose a rating from 1 to 5 stars."
+    );
+    expect(handleReviewFormSubmission).not.toHaveBeenCalled();
+  });
+
+  it("stays open and shows the error when the review is rejected", async () => {
+    handleReviewFormSubmission.mockResolvedValue({
+      ok: false,
+      error: { code: "unauthenticated", message: "You must be signed in." },
+    });
+    const { handleClose } = renderDialog();
+
+    submit();
+
+    expect((await screen.findByRole("alert")).textContent).toBe(
+      "You must be signed in."
+    );
+    expect(handleClose).not.toHaveBeenCalled();
+  });
+
+  it("tells the author when the review waits for moderation", async () => {
+    handleReviewFormSubmission.mockResolvedValue({
+      ok: true,
+      id: "v1",
+      pending: true,
+    });
+    const { handleClose } = renderDialog();
+
+    submit();
+
+    await waitFor(() => expect(handleClose).toHaveBeenCalled());
+    expect(window.alert).toHaveBeenCalledWith(
+      expect.stringContaining("moderator")
+    );
+  });
+
+  it("uploads the photos under the new review", async () => {
+    handleReviewFormSubmission.mockResolvedValue({ ok: true, id: "v1" });
+    const { container, handleClose } = renderDialog();
+    const photos = [photo(), photo("gyoza.png", "image/png")];
+    pickPhotos(container, photos);
+
+    submit();
+
+    await waitFor(() => expect(handleClose).toHaveBeenCalled());
+    expect(uploadReviewPhotos).toHaveBeenCalledWith("r1", "v1", photos);
+  });
+
+  it("refuses more than four photos before saving anything", async () => {
+    const { container } = renderDialog();
+    pickPhotos(
+      container,
+      Array.from({ length: 5 }, (_, i) => photo(`${i}.jpg`))
+    );
+
+    submit();
+
+    expect((await screen.findByRole("alert")).textContent).toBe(
+      "You can attach up to 4 photos."
+    );
+    expect(handleReviewFormSubmission).not.toHaveBeenCalled();
+  });
+
+  it("refuses files that aren't images", async () => {
+    const { container } = renderDialog();
+    pickPhotos(container, [photo("menu.pdf", "application/pdf")]);
+
+    submit();
+
+    expect((await screen.findByRole("alert")).textContent).toMatch(
+      /isn't a JPEG, PNG or WebP image/
+    );
+    expect(handleReviewFormSubmission).not.toHaveBeenCalled();
+  });
+
+  it("keeps the review when its photos can't be uploaded", async () => {
+    handleReviewFormSubmission.mockResolvedValue({ ok: true, id: "v1" });
+    uploadReviewPhotos.mockRejectedValue(new Error("storage/unauthorized"));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const { container, handleClose } = renderDialog();
+    pickPhotos(container, [photo()]);
+
+    submit();
+
+    await waitFor(() => expect(handleClose).toHaveBeenCalled());
+    expect(window.alert).toHaveBeenCalledWith(
+      "Your review was saved, but its photos could not be uploaded."
+    );
+  });
+});
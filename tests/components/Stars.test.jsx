@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import Stars, { formatRating } from "@/src/components/Stars.jsx";
+
+// how much of each star is filled, in percent
+function fills(container) {
+  return Array.from(container.querySelectorAll(".star"), (star) => {
+    const partial = star.querySelector(".star__fill");
+    if (partial) {
+      return partial.style.width;
+    }
+    return star.querySelector("svg").getAttribute("fill") === "currentColor"
+      ? "100%"
+      : "0%";
+  });
+}
+
+describe("formatRating", () => {
+  it("rounds to one decimal", () => {
+    expect(formatRating(4.56)).toBe("4.6");
+    expect(formatRating(4)).toBe("4");
+    expect(formatRating(undefined)).toBe("0");
+  });
+});
+
+describe("Stars", () => {
+  it("describes the rating for screen readers", () => {
+    render(<Stars rating={4.6} />);
+
+    expect(
+      screen.getByRole("img", { name: "4.6 out of 5 stars" })
+    ).toBeDefined();
+  });
+
+  it("partly fills the star of a fractional rating", () => {
+    const { container } = render(<Stars rating={3.5} />);
+
+    expect(fills(container)).toEqual(["100%", "100%", "100%", "50%", "0%"]);
+  });
+
+  it("keeps the rating between 0 and 5 stars", () => {
+    const { container } = render(<Stars rating={7} />);
+
+    expect(fills(container)).toEqual(Array(5).fill("100%"));
+    expect(screen.getByRole("img").getAttribute("aria-label")).toBe(
+      "5 out of 5 stars"
+    );
+  });
+});
@@ -0,0 +1,573 @@
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import {
+  collection,
+  collectionGroup,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+
+// Run with `npm run test:rules`, which starts the emulators first
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-rules-test",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+  });
+});
+
+afterAll(() => testEnv.cleanup());
+
+const restaurant = {
+  name: "Pasta Paradise",
+  category: "Italian",
+  city: "Paris",
+  price: 2,
+  avgRating: 4,
+  numRatings: 1,
+  sumRating: 4,
+  photo: null,
+  ownerId: "owner",
+};
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, "users/admin"), { isAdmin: true });
+    await setDoc(doc(db, "restaurants/r1"), restaurant);
+    await setDoc(doc(db, "restaurants/r1/ratings/published"), {
+      userId: "alice",
+      rating: 4,
+      text: "Good",
+      status: "published",
+    });
+    await setDoc(doc(db, "restaurants/r1/ratings/pending"), {
+      userId: "alice",
+      rating: 1,
+      text: "Buy cheap watches",
+      status: "pending",
+    });
+    await setDoc(doc(db, "restaurants/r1/photos/p1"), {
+      url: "https://example.com/p1.jpg",
+      uploaderId: "alice",
+      status: "visible",
+      reportCount: 0,
+    });
+    await setDoc(doc(db, "restaurants/r1/photos/hidden"), {
+      url: "https://example.com/hidden.jpg",
+      uploaderId: "alice",
+      status: "hidden",
+      reportCount: 1,
+    });
+  });
+});
+
+function firestoreAs(uid) {
+  return uid
+    ? testEnv.authenticatedContext(uid).firestore()
+    : testEnv.unauthenticatedContext().firestore();
+}
+
+describe("restaurants", () => {
+  it("can be read by anyone", async () => {
+    await assertSucceeds(getDoc(doc(firestoreAs(null), "restaurants/r1")));
+  });
+
+  it("can only be created by the server", async () => {
+    const fresh = {
+      name: "Pasta Paradise",
+      category: "Italian",
+      city: "Paris",
+      price: 2,
+      ownerId: "alice",
+      searchKeywords: ["pasta", "paradise", "italian", "paris"],
+      reviewKeywordCounts: {},
+      photo: null,
+      avgRating: 0,
+      numRatings: 0,
+      sumRating: 0,
+      bayesianRating: 3,
+      ratingCounts: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      timestamp: new Date(),
+    };
+    await assertFails(
+      setDoc(doc(firestoreAs("alice"), "restaurants/new"), fresh)
+    );
+    await assertFails(
+      setDoc(doc(firestoreAs("alice"), "restaurants/forged"), {
+        ...fresh,
+        avgRating: 5,
+        numRatings: 100,
+        sumRating: 500,
+      })
+    );
+    await assertFails(
+      setDoc(doc(firestoreAs(null), "restaurants/anon"), restaurant)
+    );
+  });
+
+  it("leave the details to the server but let the owner change the photo", async () => {
+    const ref = doc(firestoreAs("owner"), "restaurants/r1");
+    await assertFails(updateDoc(ref, { name: "Pasta Heaven" }));
+    await assertFails(updateDoc(ref, { searchKeywords: ["best", "pizza"] }));
+    await assertFails(updateDoc(ref, { ownerId: "alice" }));
+    await assertFails(updateDoc(ref, { avgRating: 5 }));
+    await assertSucceeds(
+      updateDoc(ref, {
+        photo: "https://example.com/p1.jpg",
+        photoVariants: {},
+        photoId: "p1",
+      })
+    );
+  });
+
+  it("lets admins change the owner", async () => {
+    await assertSucceeds(
+      updateDoc(doc(firestoreAs("admin"), "restaurants/r1"), {
+        ownerId: "alice",
+      })
+    );
+  });
+
+  it("leave the rating aggregates to the server", async () => {
+    const ref = doc(firestoreAs("alice"), "restaurants/r1");
+    await assertFails(updateDoc(ref, { numRatings: 2, sumRating: 9 }));
+    await assertFails(
+      updateDoc(ref, {
+        aspectRatings: { food: { numRatings: 1, sumRating: 5, avgRating: 5 } },
+      })
+    );
+    await assertFails(
+      updateDoc(ref, { ratingCounts: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } })
+    );
+    await assertFails(updateDoc(ref, { bayesianRating: 4.9 }));
+    await assertFails(updateDoc(ref, { name: "Alice's" }));
+    await assertFails(updateDoc(ref, { price: 4 }));
+  });
+
+  it("leave the review summary and insights to the server", async () => {
+    const cached = { model: "stub", reviewCount: 1 };
+    for (const db of [firestoreAs("alice"), firestoreAs(null)]) {
+      const ref = doc(db, "restaurants/r1");
+      await assertFails(
+        updateDoc(ref, { reviewSummary: { ...cached, text: "Great" } })
+      );
+      await assertFails(
+        updateDoc(ref, { reviewInsights: { ...cached, pros: ["Pasta"] } })
+      );
+    }
+  });
+
+  it("only lets other users change the photo along with a new photo of theirs", async () => {
+    const db = firestoreAs("alice");
+    const restaurantRef = doc(db, "restaurants/r1");
+
+    await assertFails(
+      updateDoc(restaurantRef, { photo: "https://example.com/p1.jpg" })
+    );
+
+    const batch = writeBatch(db);
+    batch.set(doc(db, "restaurants/r1/photos/p2"), {
+      url: "https://example.com/p2.jpg",
+      variants: {},
+      uploaderId: "alice",
+      uploaderName: "Alice",
+      createdAt: new Date(),
+      status: "visible",
+      reportCount: 0,
+    });
+    batch.update(restaurantRef, {
+      photo: "https://example.com/p2.jpg",
+      photoVariants: {},
+      photoId: "p2",
+    });
+    await assertSucceeds(batch.commit());
+  });
+
+  it("can't be deleted", async () => {
+    await assertFails(deleteDoc(doc(firestoreAs("owner"), "restaurants/r1")));
+  });
+});
+
+describe("ratings", () => {
+  const review = {
+    userId: "bob",
+    rating: 5,
+    text: "Great",
+    status: "pending",
+    helpfulCount: 0,
+    timestamp: new Date(),
+  };
+
+  it("shows published reviews to everyone and held ones to their author", async () => {
+    await assertSucceeds(
+      getDoc(doc(firestoreAs(null), "restaurants/r1/ratings/published"))
+    );
+    await assertFails(
+      getDoc(doc(firestoreAs("bob"), "restaurants/r1/ratings/pending"))
+    );
+    await assertSucceeds(
+      getDoc(doc(firestoreAs("alice"), "restaurants/r1/ratings/pending"))
+    );
+    await assertSucceeds(
+      getDoc(doc(firestoreAs("admin"), "restaurants/r1/ratings/pending"))
+    );
+  });
+
+  it("can only be created by the server", async () => {
+    const db = firestoreAs("bob");
+    await assertFails(setDoc(doc(db, "restaurants/r1/ratings/b1"), review));
+    await assertFails(
+      setDoc(doc(db, "restaurants/r1/ratings/b2"), { ...review, rating: 100 })
+    );
+    await assertFails(
+      setDoc(doc(db, "restaurants/r1/ratings/b3"), {
+        ...review,
+        status: "published",
+      })
+    );
+  });
+
+  it("only let their author change the photos", async () => {
+    for (const path of [
+      "restaurants/r1/ratings/published",
+      "restaurants/r1/ratings/pending",
+    ]) {
+      const ref = doc(firestoreAs("alice"), path);
+      await assertFails(updateDoc(ref, { text: "Changed" }));
+      await assertFails(updateDoc(ref, { rating: 100 }));
+      await assertFails(updateDoc(ref, { aspectRatings: { food: 6 } }));
+      await assertSucceeds(
+        updateDoc(ref, { photos: [{ url: "0" }], hasPhotos: true })
+      );
+    }
+    await assertFails(
+      updateDoc(doc(firestoreAs("bob"), "restaurants/r1/ratings/published"), {
+        photos: [{ url: "0" }],
+        hasPhotos: true,
+      })
+    );
+  });
+
+  it("can have at most four photos", async () => {
+    const photos = Array.from({ length: 5 }, (_, i) => ({ url: `${i}` }));
+    await assertFails(
+      updateDoc(doc(firestoreAs("alice"), "restaurants/r1/ratings/published"), {
+        photos,
+        hasPhotos: true,
+      })
+    );
+  });
+
+  it("can't be published by their author once held", async () => {
+    await assertFails(
+      updateDoc(doc(firestoreAs("alice"), "restaurants/r1/ratings/pending"), {
+        status: "published",
+      })
+    );
+    await assertSucceeds(
+      updateDoc(doc(firestoreAs("admin"), "restaurants/r1/ratings/pending"), {
+        status: "published",
+      })
+    );
+  });
+
+  it("can only be deleted by their author, and by the server once published", async () => {
+    await assertFails(
+      deleteDoc(doc(firestoreAs("bob"), "restaurants/r1/ratings/pending"))
+    );
+    await assertSucceeds(
+      deleteDoc(doc(firestoreAs("alice"), "restaurants/r1/ratings/pending"))
+    );
+    await assertFails(
+      deleteDoc(doc(firestoreAs("alice"), "restaurants/r1/ratings/published"))
+    );
+  });
+
+  it("can be queried across restaurants when published", async () => {
+    const db = firestoreAs(null);
+    const ratings = collectionGroup(db, "ratings");
+    await assertSucceeds(
+      getDocs(query(ratings, where("status", "==", "published")))
+    );
+    await assertFails(getDocs(ratings));
+  });
+});
+
+describe("owner replies", () => {
+  const path = "restaurants/r1/ratings/published";
+  const reply = (userId, text = "Thanks for visiting!") => ({
+    ownerReply: { text, userId, userName: "Olivia", createdAt: new Date() },
+  });
+
+  it("can only be written by the restaurant's owner, as themselves", async () => {
+    await assertSucceeds(
+      updateDoc(doc(firestoreAs("owner"), path), reply("owner"))
+    );
+    await assertFails(updateDoc(doc(firestoreAs("owner"), path), reply("bob")));
+    await assertFails(updateDoc(doc(firestoreAs("bob"), path), reply("bob")));
+    await assertFails(
+      updateDoc(doc(firestoreAs("alice"), path), reply("alice"))
+    );
+  });
+
+  it("need a text of at most 1000 characters", async () => {
+    const db = firestoreAs("owner");
+    await assertFails(updateDoc(doc(db, path), reply("owner", "")));
+    await assertFails(
+      updateDoc(doc(db, path), reply("owner", "x".repeat(1001)))
+    );
+  });
+
+  it("don't let the owner change the review itself", async () => {
+    await assertFails(
+      updateDoc(doc(firestoreAs("owner"), path), {
+        ...reply("owner"),
+        rating: 5,
+      })
+    );
+  });
+});
+
+describe("helpful votes", () => {
+  const path = "restaurants/r1/ratings/published";
+
+  // add or remove the user's vote together with the change to helpfulCount
+  function vote(uid, helpful, helpfulCount) {
+    const db = firestoreAs(uid);
+    const batch = writeBatch(db);
+    batch.update(doc(db, path), { helpfulCount });
+    if (helpful) {
+      batch.set(doc(db, `${path}/votes/${uid}`), {
+        userId: uid,
+        restaurantId: "r1",
+      });
+    } else {
+      batch.delete(doc(db, `${path}/votes/${uid}`));
+    }
+    return batch.commit();
+  }
+
+  it("can be cast once by each user other than the author", async () => {
+    await assertSucceeds(vote("bob", true, 1));
+    await assertFails(vote("bob", true, 2));
+    await assertFails(vote("alice", true, 2));
+  });
+
+  it("must count exactly the votes cast", async () => {
+    await assertFails(vote("bob", true, 5));
+    await assertFails(
+      updateDoc(doc(firestoreAs("bob"), path), { helpfulCount: 1 })
+    );
+  });
+
+  it("can be taken back", async () => {
+    await assertSucceeds(vote("bob", true, 1));
+    await assertSucceeds(vote("bob", false, 0));
+  });
+
+  it("are private to their voter", async () => {
+    await assertSucceeds(vote("bob", true, 1));
+    await assertSucceeds(getDoc(doc(firestoreAs("bob"), `${path}/votes/bob`)));
+    await assertFails(getDoc(doc(firestoreAs("carol"), `${path}/votes/bob`)));
+  });
+});
+
+describe("review reports", () => {
+  const path = "restaurants/r1/ratings/published";
+
+  // add the user's report together with the change to reportCount
+  function report(uid, reportCount) {
+    const db = firestoreAs(uid);
+    const batch = writeBatch(db);
+    batch.update(doc(db, path), { reported: true, reportCount });
+    batch.set(doc(db, `${path}/reports/${uid}`), {
+      userId: uid,
+      restaurantId: "r1",
+      createdAt: new Date(),
+    });
+    return batch.commit();
+  }
+
+  it("can be made once by each user", async () => {
+    await assertSucceeds(report("bob", 1));
+    await assertFails(report("bob", 2));
+    await assertSucceeds(report("carol", 2));
+  });
+
+  it("must count exactly the reports made", async () => {
+    await assertFails(report("bob", 5));
+    await assertFails(
+      updateDoc(doc(firestoreAs("bob"), path), {
+        reported: true,
+        reportCount: 1,
+      })
+    );
+  });
+
+  it("are private to their reporter and admins", async () => {
+    await assertSucceeds(report("bob", 1));
+    const reportPath = `${path}/reports/bob`;
+    await assertSucceeds(getDoc(doc(firestoreAs("bob"), reportPath)));
+    await assertSucceeds(getDoc(doc(firestoreAs("admin"), reportPath)));
+    await assertFails(getDoc(doc(firestoreAs("alice"), reportPath)));
+    await assertFails(getDoc(doc(firestoreAs(null), reportPath)));
+  });
+
+  it("can only be dismissed by admins", async () => {
+    await assertSucceeds(report("bob", 1));
+    const dismiss = (uid) => {
+      const db = firestoreAs(uid);
+      const batch = writeBatch(db);
+      batch.update(doc(db, path), { reported: false, reportCount: 0 });
+      batch.delete(doc(db, `${path}/reports/bob`));
+      return batch.commit();
+    };
+    await assertFails(dismiss("alice"));
+    await assertFails(dismiss("bob"));
+    await assertSucceeds(dismiss("admin"));
+  });
+});
+
+describe("restaurant photos", () => {
+  it("hides hidden photos from everyone but owners and admins", async () => {
+    const path = "restaurants/r1/photos/hidden";
+    await assertFails(getDoc(doc(firestoreAs("bob"), path)));
+    await assertSucceeds(getDoc(doc(firestoreAs("owner"), path)));
+    await assertSucceeds(getDoc(doc(firestoreAs("admin"), path)));
+  });
+
+  const path = "restaurants/r1/photos/p1";
+
+  // add the user's report together with the change to reportCount
+  function report(uid, reportCount) {
+    const db = firestoreAs(uid);
+    const batch = writeBatch(db);
+    batch.update(doc(db, path), { status: "reported", reportCount });
+    batch.set(doc(db, `${path}/reports/${uid}`), {
+      userId: uid,
+      restaurantId: "r1",
+      createdAt: new Date(),
+    });
+    return batch.commit();
+  }
+
+  it("can be reported once by each user", async () => {
+    await assertSucceeds(report("bob", 1));
+    await assertFails(report("bob", 2));
+    await assertFails(report("carol", 5));
+    await assertFails(
+      updateDoc(doc(firestoreAs("carol"), path), { status: "hidden" })
+    );
+  });
+
+  it("keep their reporters private", async () => {
+    await assertSucceeds(report("bob", 1));
+    const reportPath = `${path}/reports/bob`;
+    await assertSucceeds(getDoc(doc(firestoreAs("bob"), reportPath)));
+    await assertSucceeds(getDoc(doc(firestoreAs("owner"), reportPath)));
+    await assertFails(getDoc(doc(firestoreAs("carol"), reportPath)));
+    await assertFails(getDoc(doc(firestoreAs(null), reportPath)));
+  });
+
+  it("can be hidden by the owner", async () => {
+    await assertSucceeds(
+      updateDoc(doc(firestoreAs("owner"), "restaurants/r1/photos/p1"), {
+        status: "hidden",
+      })
+    );
+  });
+});
+
+describe("users", () => {
+  it("can create their own profile, but not as an admin", async () => {
+    const db = firestoreAs("alice");
+    await assertSucceeds(
+      setDoc(doc(db, "users/alice"), { displayName: "Alice", photoURL: null })
+    );
+    await assertFails(
+      setDoc(doc(db, "users/bob"), { displayName: "Bob", photoURL: null })
+    );
+    await assertFails(updateDoc(doc(db, "users/alice"), { isAdmin: true }));
+  });
+
+  it("keep their favorites private", async () => {
+    const alice = firestoreAs("alice");
+    await assertSucceeds(
+      setDoc(doc(alice, "users/alice/favorites/r1"), { createdAt: new Date() })
+    );
+    await assertFails(
+      getDoc(doc(firestoreAs("bob"), "users/alice/favorites/r1"))
+    );
+    await assertFails(
+      setDoc(doc(alice, "users/alice/favorites/missing"), {
+        createdAt: new Date(),
+      })
+    );
+  });
+});
+
+describe("lists", () => {
+  const list = { ownerId: "alice", name: "Date night", restaurantIds: [] };
+
+  it("can be shared by ID but only listed by their owner", async () => {
+    await assertSucceeds(setDoc(doc(firestoreAs("alice"), "lists/l1"), list));
+    await assertSucceeds(getDoc(doc(firestoreAs(null), "lists/l1")));
+    await assertFails(
+      getDocs(
+        query(
+          collection(firestoreAs("bob"), "lists"),
+          where("ownerId", "==", "alice")
+        )
+      )
+    );
+  });
+
+  it("need a name of at most 60 characters", async () => {
+    const db = firestoreAs("alice");
+    await assertFails(setDoc(doc(db, "lists/l1"), { ...list, name: "" }));
+    await assertFails(
+      setDoc(doc(db, "lists/l2"), { ...list, name: "x".repeat(61) })
+    );
+  });
+});
+
+describe("claims", () => {
+  const claim = { restaurantId: "r1", userId: "bob", status: "pending" };
+
+  it("must use the restaurant and user as their ID", async () => {
+    const db = firestoreAs("bob");
+    await assertSucceeds(setDoc(doc(db, "claims/r1_bob"), claim));
+    await assertFails(setDoc(doc(db, "claims/whatever"), claim));
+  });
+
+  it("can only be approved by admins", async () => {
+    await assertSucceeds(
+      setDoc(doc(firestoreAs("bob"), "claims/r1_bob"), claim)
+    );
+    await assertFails(
+      updateDoc(doc(firestoreAs("bob"), "claims/r1_bob"), {
+        status: "approved",
+      })
+    );
+    await assertSucceeds(
+      updateDoc(doc(firestoreAs("admin"), "claims/r1_bob"), {
+        status: "approved",
+      })
+    );
+  });
+});
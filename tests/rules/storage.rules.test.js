@@ -0,0 +1,99 @@
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import { doc, setDoc } from "firebase/firestore";
+import { deleteObject, ref, uploadBytes } from "firebase/storage";
+
+// Run with `npm run test:rules`, which starts the emulators first. Review
+// photo rules look up the review in Firestore, so both emulators are needed.
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-rules-test",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+    storage: { rules: readFileSync("storage.rules", "utf8") },
+  });
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), "restaurants/r1/ratings/v1"), {
+      userId: "alice",
+      rating: 5,
+      status: "published",
+    });
+  });
+});
+
+const HASH = "0123456789abcdef0123456789abcdef";
+const JPEG = { contentType: "image/jpeg" };
+
+function upload(uid, path, { size = 1024, metadata = JPEG } = {}) {
+  const storage = uid
+    ? testEnv.authenticatedContext(uid).storage()
+    : testEnv.unauthenticatedContext().storage();
+  return uploadBytes(ref(storage, path), new Uint8Array(size), metadata);
+}
+
+describe("restaurant photos", () => {
+  it("accept resized JPEG variants from signed-in users", async () => {
+    for (const variant of ["thumbnail", "card", "hero"]) {
+      await assertSucceeds(upload("alice", `images/r1/${HASH}_${variant}.jpg`));
+    }
+  });
+
+  it("reject signed-out users", async () => {
+    await assertFails(upload(null, `images/r1/${HASH}_hero.jpg`));
+  });
+
+  it("reject other names, types and sizes", async () => {
+    await assertFails(upload("alice", "images/r1/photo.jpg"));
+    await assertFails(upload("alice", `images/r1/${HASH}_huge.jpg`));
+    await assertFails(
+      upload("alice", `images/r1/${HASH}_hero.jpg`, {
+        metadata: { contentType: "image/png" },
+      })
+    );
+    await assertFails(
+      upload("alice", `images/r1/${HASH}_hero.jpg`, { size: 3 * 1024 * 1024 })
+    );
+  });
+
+  it("can't be overwritten", async () => {
+    await assertSucceeds(upload("alice", `images/r1/${HASH}_hero.jpg`));
+    await assertFails(upload("bob", `images/r1/${HASH}_hero.jpg`));
+  });
+});
+
+describe("review photos", () => {
+  const path = `images/r1/reviews/v1/${HASH}_thumbnail.jpg`;
+
+  it("can only be added by the review's author", async () => {
+    await assertSucceeds(upload("alice", path));
+    await assertFails(upload("bob", path));
+    await assertFails(upload("alice", `images/r1/reviews/v1/${HASH}_card.jpg`));
+  });
+
+  it("can't be overwritten, even by the review's author", async () => {
+    await assertSucceeds(upload("alice", path));
+    await assertFails(upload("alice", path));
+  });
+
+  it("can be cleaned up by anyone once the review is deleted", async () => {
+    await assertSucceeds(upload("alice", path));
+    const photo = ref(testEnv.authenticatedContext("bob").storage(), path);
+    await assertFails(deleteObject(photo));
+
+    await testEnv.clearFirestore();
+    await assertSucceeds(deleteObject(photo));
+  });
+});
@@ -0,0 +1,270 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  addRestaurant,
+  addReviewToRestaurant,
+  deleteReview,
+  updateRestaurantDetails,
+  updateReview,
+} from "@/src/lib/firebase/adminFirestore.js";
+
+// adminFirestore.js shares the aggregate helpers of firestore.js, which
+// imports the client app that can't initialize outside the browser
+vi.mock("@/src/lib/firebase/clientApp", () => ({ db: {} }));
+
+// An Admin SDK Firestore over `docs` (path => data) whose transactions
+// record their writes; new documents get the ID "new-id"
+function fakeDb(docs) {
+  const writes = [];
+  const collection = (path) => ({
+    doc: (id = "new-id") => ref(`${path}/${id}`),
+    add: async (data) => {
+      writes.push(["set", `${path}/new-id`, data]);
+      return ref(`${path}/new-id`);
+    },
+  });
+  const ref = (path) => ({
+    path,
+    id: path.split("/").at(-1),
+    collection: (name) => collection(`${path}/${name}`),
+  });
+  const transaction = {
+    get: async ({ path }) => ({
+      exists: docs[path] !== undefined,
+      data: () => docs[path],
+    }),
+    set: (ref, data) => writes.push(["set", ref.path, data]),
+    update: (ref, data) => writes.push(["update", ref.path, data]),
+    delete: (ref) => writes.push(["delete", ref.path]),
+  };
+  return {
+    writes,
+    db: {
+      doc: ref,
+      collection,
+      runTransaction: (updateFunction) => updateFunction(transaction),
+    },
+  };
+}
+
+const restaurant = {
+  name: "Pasta Paradise",
+  category: "Italian",
+  city: "Paris",
+  numRatings: 2,
+  sumRating: 7,
+  avgRating: 3.5,
+  reviewKeywordCounts: { great: 1 },
+};
+
+describe("adding, editing and deleting reviews", () => {
+  it("adds a published review to the aggregates", async () => {
+    const { db, writes } = fakeDb({ "restaurants/r1": restaurant });
+
+    const id = await addReviewToRestaurant(db, "r1", {
+      rating: 5,
+      text: "Fresh pasta",
+      userId: "alice",
+    });
+
+    expect(id).toBe("new-id");
+    const [update, set] = writes;
+    expect(update[0]).toBe("update");
+    expect(update[2]).toMatchObject({
+      numRatings: 3,
+      sumRating: 12,
+      avgRating: 4,
+    });
+    expect(update[2].searchKeywords).toEqual(
+      expect.arrayContaining(["fresh", "pasta", "great"])
+    );
+    expect(set[0]).toBe("set");
+    expect(set[1]).toBe("restaurants/r1/ratings/new-id");
+    expect(set[2].status).toBe("published");
+    expect(set[2].timestamp).toBeInstanceOf(Date);
+  });
+
+  it("counts reviews per star and updates the Best rated score", async () => {
+    const { db, writes } = fakeDb({
+      "restaurants/r1": {
+        ...restaurant,
+        ratingCounts: { 1: 0, 2: 0, 3: 1, 4: 1, 5: 0 },
+      },
+      "restaurants/r1/ratings/v1": { rating: 3, text: "great", userId: "a" },
+    });
+
+    await updateReview(db, "r1", "v1", { rating: 5, text: "great" });
+
+    expect(writes[0][2].ratingCounts).toEqual({ 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 });
+    // (5 prior ratings of 3 + 9) / (5 + 2)
+    expect(writes[0][2].bayesianRating).toBeCloseTo(24 / 7);
+  });
+
+  it("leaves the aggregates alone for a review held by moderation", async () => {
+    const { db, writes } = fakeDb({ "restaurants/r1": restaurant });
+
+    await addReviewToRestaurant(db, "r1", {
+      rating: 1,
+      text: "Buy cheap watches",
+      status: "pending",
+    });
+
+    expect(writes.map(([type]) => type)).toEqual(["set"]);
+    expect(writes[0][2].status).toBe("pending");
+  });
+
+  it("doesn't add reviews to a missing restaurant", async () => {
+    const { db, writes } = fakeDb({});
+
+    await expect(
+      addReviewToRestaurant(db, "r1", { rating: 5, text: "Nice" })
+    ).rejects.toThrow("no longer exists");
+    expect(writes).toEqual([]);
+  });
+
+  it("adjusts the aggregates by the change in rating", async () => {
+    const { db, writes } = fakeDb({
+      "restaurants/r1": restaurant,
+      "restaurants/r1/ratings/v1": { rating: 4, text: "great", userId: "a" },
+    });
+
+    await updateReview(db, "r1", "v1", { rating: 2, text: "great" });
+
+    expect(writes[0][1]).toBe("restaurants/r1");
+    expect(writes[0][2]).toMatchObject({
+      numRatings: 2,
+      sumRating: 5,
+      avgRating: 2.5,
+    });
+    expect(writes[1][1]).toBe("restaurants/r1/ratings/v1");
+    expect(writes[1][2]).toMatchObject({ rating: 2, text: "great" });
+    expect(writes[1][2].editedAt).toBeInstanceOf(Date);
+  });
+
+  it("takes a review out of the aggregates when an edit is flagged", async () => {
+    const { db, writes } = fakeDb({
+      "restaurants/r1": restaurant,
+      "restaurants/r1/ratings/v1": { rating: 4, text: "great", userId: "a" },
+    });
+
+    await updateReview(db, "r1", "v1", {
+      rating: 4,
+      text: "great",
+      status: "pending",
+    });
+
+    expect(writes[0][2]).toMatchObject({ numRatings: 1, sumRating: 3 });
+    expect(writes[0][2].reviewKeywordCounts).toEqual({});
+  });
+
+  it("keeps aggregates for the aspects each review rated", async () => {
+    const { db, writes } = fakeDb({
+      "restaurants/r1": {
+        ...restaurant,
+        aspectRatings: {
+          food: { numRatings: 2, sumRating: 7, avgRating: 3.5 },
+          service: { numRatings: 1, sumRating: 2, avgRating: 2 },
+        },
+      },
+      "restaurants/r1/ratings/v1": {
+        rating: 4,
+        aspectRatings: { food: 4, service: 2 },
+        text: "great",
+        userId: "a",
+      },
+    });
+
+    await updateReview(db, "r1", "v1", {
+      rating: 4,
+      aspectRatings: { food: 5, value: 3 },
+      text: "great",
+    });
+
+    expect(writes[0][2].aspectRatings).toEqual({
+      food: { numRatings: 2, sumRating: 8, avgRating: 4 },
+      service: { numRatings: 0, sumRating: 0, avgRating: 0 },
+      value: { numRatings: 1, sumRating: 3, avgRating: 3 },
+      ambience: { numRatings: 0, sumRating: 0, avgRating: 0 },
+    });
+    expect(writes[1][2].aspectRatings).toEqual({ food: 5, value: 3 });
+  });
+
+  it("removes a deleted review from the aggregates", async () => {
+    const { db, writes } = fakeDb({
+      "restaurants/r1": restaurant,
+      "restaurants/r1/ratings/v1": { rating: 3, text: "great", userId: "a" },
+    });
+
+    await deleteReview(db, "r1", "v1");
+
+    expect(writes).toEqual([
+      ["update", "restaurants/r1", expect.objectContaining({ numRatings: 1 })],
+      ["delete", "restaurants/r1/ratings/v1"],
+    ]);
+    expect(writes[0][2].avgRating).toBe(4);
+  });
+
+  it("ignores a review that was already deleted", async () => {
+    const { db, writes } = fakeDb({ "restaurants/r1": restaurant });
+
+    await deleteReview(db, "r1", "v1");
+
+    expect(writes).toEqual([]);
+  });
+});
+
+describe("adding and editing restaurants", () => {
+  it("starts a restaurant without reviews in every sort", async () => {
+    const { db, writes } = fakeDb({});
+
+    const id = await addRestaurant(db, {
+      name: "Pasta Paradise",
+      category: "Italian",
+      city: "Paris",
+      price: 2,
+      ownerId: "alice",
+    });
+
+    expect(id).toBe("new-id");
+    const [[, path, data]] = writes;
+    expect(path).toBe("restaurants/new-id");
+    expect(data).toMatchObject({
+      ownerId: "alice",
+      photo: null,
+      numRatings: 0,
+      sumRating: 0,
+      avgRating: 0,
+      bayesianRating: 3,
+      ratingCounts: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      reviewKeywordCounts: {},
+    });
+    expect(data.aspectRatings.food).toEqual({
+      numRatings: 0,
+      sumRating: 0,
+      avgRating: 0,
+    });
+    expect(data.searchKeywords).toEqual(
+      expect.arrayContaining(["pasta", "paradise", "italian", "paris"])
+    );
+    expect(data.timestamp).toBeInstanceOf(Date);
+  });
+
+  it("rebuilds the search keywords from the new details", async () => {
+    const { db, writes } = fakeDb({ "restaurants/r1": restaurant });
+
+    await updateRestaurantDetails(db, "r1", {
+      name: "Pizza Planet",
+      category: "Pizza",
+      city: "Rome",
+      price: 1,
+      numRatings: 100, // not a detail, never written
+    });
+
+    const [[, path, data]] = writes;
+    expect(path).toBe("restaurants/r1");
+    expect(data).not.toHaveProperty("numRatings");
+    expect(data.searchKeywords).toEqual(
+      expect.arrayContaining(["pizza", "planet", "rome", "great"])
+    );
+    expect(data.searchKeywords).not.toContain("pasta");
+  });
+});
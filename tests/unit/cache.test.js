@@ -0,0 +1,86 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  isCacheStale,
+  MIN_REFRESH_INTERVAL_MS,
+  REFRESH_THRESHOLD,
+  runThrottled,
+} from "@/src/lib/ai/cache.js";
+
+describe("isCacheStale", () => {
+  it("only generates a first result once there are reviews", () => {
+    expect(isCacheStale(null, 0)).toBe(false);
+    expect(isCacheStale(undefined, 1)).toBe(true);
+  });
+
+  it("regenerates once enough reviews were added or removed", () => {
+    const cached = { reviewCount: 10 };
+    expect(isCacheStale(cached, 10 + REFRESH_THRESHOLD - 1)).toBe(false);
+    expect(isCacheStale(cached, 10 + REFRESH_THRESHOLD)).toBe(true);
+    expect(isCacheStale(cached, 10 - REFRESH_THRESHOLD)).toBe(true);
+  });
+
+  it("takes a custom threshold", () => {
+    expect(isCacheStale({ reviewCount: 10 }, 11, 1)).toBe(true);
+  });
+});
+
+describe("runThrottled", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("shares the result of a recent call with the same key", async () => {
+    const fn = vi.fn(async () => "result");
+
+    const first = runThrottled("shared", fn);
+    const second = runThrottled("shared", fn);
+
+    expect(second).toBe(first);
+    await expect(second).resolves.toBe("result");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("runs calls with different keys on their own", async () => {
+    const fn = vi.fn(async () => "result");
+
+    await runThrottled("one", fn);
+    await runThrottled("two", fn);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("shares an error too, so a failing call isn't retried on every request", async () => {
+    const fn = vi.fn(async () => {
+      throw new Error("model unavailable");
+    });
+
+    await expect(runThrottled("failing", fn)).rejects.toThrow("unavailable");
+    await expect(runThrottled("failing", fn)).rejects.toThrow("unavailable");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("calls again once the interval has passed", async () => {
+    vi.useFakeTimers();
+    const fn = vi.fn(async () => "result");
+
+    await runThrottled("expiring", fn);
+    vi.advanceTimersByTime(MIN_REFRESH_INTERVAL_MS - 1);
+    await runThrottled("expiring", fn);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1);
+    await runThrottled("expiring", fn);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("takes a custom interval", async () => {
+    vi.useFakeTimers();
+    const fn = vi.fn(async () => "result");
+
+    await runThrottled("short", fn, 100);
+    vi.advanceTimersByTime(100);
+    await runThrottled("short", fn, 100);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+});
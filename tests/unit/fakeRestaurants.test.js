@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { generateFakeRestaurantsAndReviews } from "@/src/lib/fakeRestaurants.js";
+import { createRandom, weightedRandomItem } from "@/src/lib/utils.js";
+
+const now = new Date("2025-01-01T00:00:00Z");
+
+describe("createRandom", () => {
+  it("repeats the same numbers for the same seed", () => {
+    const numbers = (seed) => Array.from({ length: 5 }, createRandom(seed));
+
+    expect(numbers(42)).toEqual(numbers(42));
+    expect(numbers("demo")).toEqual(numbers("demo"));
+    expect(numbers(42)).not.toEqual(numbers(43));
+  });
+
+  it("returns numbers from 0 up to 1", () => {
+    const random = createRandom(1);
+    for (let i = 0; i < 1000; i++) {
+      const number = random();
+      expect(number).toBeGreaterThanOrEqual(0);
+      expect(number).toBeLessThan(1);
+    }
+  });
+});
+
+describe("weightedRandomItem", () => {
+  it("picks items in proportion to their weight", () => {
+    const random = createRandom("weights");
+    const counts = { Tokyo: 0, Paris: 0 };
+    for (let i = 0; i < 4000; i++) {
+      counts[weightedRandomItem({ Tokyo: 3, Paris: 1 }, random)]++;
+    }
+
+    expect(counts.Tokyo / 4000).toBeCloseTo(0.75, 1);
+  });
+});
+
+describe("generateFakeRestaurantsAndReviews", () => {
+  it("generates the same data for the same seed", () => {
+    const options = { seed: "demo", restaurants: 10, now };
+
+    expect(generateFakeRestaurantsAndReviews(options)).toEqual(
+      generateFakeRestaurantsAndReviews(options)
+    );
+  });
+
+  it("generates the requested numbers of restaurants and users", () => {
+    const { users, restaurants } = generateFakeRestaurantsAndReviews({
+      seed: 1,
+      restaurants: 30,
+      users: 3,
+      maxReviewsPerRestaurant: 2,
+      now,
+    });
+
+    expect(users.map((user) => user.id)).toEqual([
+      "sample-user-001",
+      "sample-user-002",
+      "sample-user-003",
+    ]);
+    expect(restaurants).toHaveLength(30);
+    for (const { restaurantData, ratingsData } of restaurants) {
+      expect(ratingsData.length).toBeLessThanOrEqual(2);
+      expect(restaurantData.numRatings).toBe(ratingsData.length);
+      for (const rating of ratingsData) {
+        expect(users.map((user) => user.id)).toContain(rating.userId);
+        expect(rating.timestamp > restaurantData.timestamp).toBe(true);
+      }
+    }
+  });
+
+  it("only uses the given cities and categories", () => {
+    const { restaurants } = generateFakeRestaurantsAndReviews({
+      seed: 2,
+      restaurants: 20,
+      cityWeights: { Tokyo: 1, Seoul: 1 },
+      categoryWeights: { Japanese: 1 },
+      now,
+    });
+
+    for (const { restaurantData } of restaurants) {
+      expect(["Tokyo", "Seoul"]).toContain(restaurantData.city);
+      expect(restaurantData.category).toBe("Japanese");
+    }
+  });
+});
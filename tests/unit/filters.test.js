@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import {
+  formatPrice,
+  MAX_FILTER_COMBINATIONS,
+  normalizePrice,
+  parseFilters,
+  priceLevels,
+} from "@/src/lib/filters.js";
+
+describe("normalizePrice", () => {
+  it("keeps single levels and ranges", () => {
+    expect(normalizePrice("2")).toBe("2");
+    expect(normalizePrice(3)).toBe("3");
+    expect(normalizePrice("1-3")).toBe("1-3");
+  });
+
+  it("reads the $$ form of older URLs", () => {
+    expect(normalizePrice("$$")).toBe("2");
+    expect(normalizePrice("$-$$$")).toBe("1-3");
+  });
+
+  it("collapses a range of one level", () => {
+    expect(normalizePrice("2-2")).toBe("2");
+  });
+
+  it("treats anything else as any price", () => {
+    for (const value of [undefined, "", "0", "5", "3-1", "cheap", "1-"]) {
+      expect(normalizePrice(value)).toBe("");
+    }
+  });
+});
+
+describe("priceLevels", () => {
+  it("lists the levels a filter matches", () => {
+    expect(priceLevels("2")).toEqual([2]);
+    expect(priceLevels("1-3")).toEqual([1, 2, 3]);
+    expect(priceLevels("$$")).toEqual([2]);
+  });
+
+  it("matches no particular level for any price", () => {
+    expect(priceLevels("")).toEqual([]);
+    expect(priceLevels("9")).toEqual([]);
+  });
+
+  it("is shown as the highest level", () => {
+    expect(formatPrice("1-2")).toBe("$$ and under");
+    expect(formatPrice("3")).toBe("$$$");
+    expect(formatPrice("")).toBe("Any price");
+  });
+});
+
+describe("parseFilters", () => {
+  it("splits, trims and dedupes lists", () => {
+    expect(
+      parseFilters({ category: "Italian, Chinese,,Italian", city: ["Paris"] })
+    ).toMatchObject({ category: ["Italian", "Chinese"], city: ["Paris"] });
+  });
+
+  it("falls back to the default sort for unknown ones", () => {
+    expect(parseFilters({ sort: "Food" }).sort).toBe("Food");
+    expect(parseFilters({ sort: "Cheapest" }).sort).toBe("Rating");
+    expect(parseFilters({}).sort).toBe("");
+  });
+
+  it("trims lists until the query has few enough combinations", () => {
+    const category = Array.from({ length: 6 }, (_, i) => `Category ${i}`);
+    const city = Array.from({ length: 8 }, (_, i) => `City ${i}`);
+
+    const filters = parseFilters({ category, city, price: "1-2" });
+
+    // 6 x 8 x 2 price levels is too many; the longest list loses its last
+    // value until there are 4 x 3 x 2 = 24
+    expect(filters.category).toEqual(category.slice(0, 4));
+    expect(filters.city).toEqual(city.slice(0, 3));
+    expect(
+      filters.category.length * filters.city.length * 2
+    ).toBeLessThanOrEqual(MAX_FILTER_COMBINATIONS);
+    expect(filters).toMatchObject({ price: "1-2" });
+  });
+
+  it("leaves filters within the limit alone", () => {
+    const filters = parseFilters({
+      category: "Italian,Chinese,Japanese",
+      city: "Paris,London",
+      price: "1-4",
+    });
+
+    expect(filters.category).toHaveLength(3);
+    expect(filters.city).toHaveLength(2);
+  });
+});
@@ -0,0 +1,470 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getDocs, getDoc, runTransaction, Timestamp } from "firebase/firestore";
+import {
+  computeRatingAggregates,
+  getRestaurantById,
+  getRestaurants,
+  reportRestaurantPhoto,
+  reportReview,
+  resolveReportedReview,
+  setReviewHelpfulVote,
+  setReviewOwnerReply,
+} from "@/src/lib/firebase/firestore.js";
+
+// firestore.js imports the client app, which can't initialize outside the browser
+vi.mock("@/src/lib/firebase/clientApp", () => ({ db: {} }));
+
+// References and queries become plain objects so that tests can look at
+// them; everything else is the real SDK
+vi.mock("firebase/firestore", async (importOriginal) => {
+  const actual = await importOriginal();
+  const pathOf = (parent, segments) =>
+    [parent?.path, ...segments].filter(Boolean).join("/");
+  return {
+    ...actual,
+    collection: (parent, ...segments) => ({ path: pathOf(parent, segments) }),
+    doc: (parent, ...segments) => {
+      const path = pathOf(parent, segments.length ? segments : ["new-id"]);
+      return { path, id: path.split("/").at(-1) };
+    },
+    query: (base, ...constraints) => ({
+      ...base,
+      constraints: [...(base.constraints || []), ...constraints],
+    }),
+    where: (field, op, value) => ["where", field, op, value],
+    orderBy: (field, direction = "asc") => ["orderBy", field, direction],
+    limit: (count) => ["limit", count],
+    startAfter: (...values) => ["startAfter", ...values],
+    documentId: () => "__name__",
+    getDocs: vi.fn(),
+    getDoc: vi.fn(),
+    runTransaction: vi.fn(),
+  };
+});
+
+function snapshot(path, data) {
+  return {
+    id: path.split("/").at(-1),
+    exists: () => data !== undefined,
+    data: () => data,
+  };
+}
+
+// A transaction over `docs` (path => data) that records its writes
+function fakeTransaction(docs) {
+  const writes = [];
+  return {
+    writes,
+    get: async (ref) => snapshot(ref.path, docs[ref.path]),
+    set: (ref, data) => writes.push(["set", ref.path, data]),
+    update: (ref, data) => writes.push(["update", ref.path, data]),
+    delete: (ref) => writes.push(["delete", ref.path]),
+  };
+}
+
+// run the next transaction against `docs` and return its writes
+function withTransaction(docs) {
+  const transaction = fakeTransaction(docs);
+  runTransaction.mockImplementationOnce((db, updateFunction) =>
+    updateFunction(transaction)
+  );
+  return transaction.writes;
+}
+
+const restaurant = {
+  name: "Pasta Paradise",
+  category: "Italian",
+  city: "Paris",
+  numRatings: 2,
+  sumRating: 7,
+  avgRating: 3.5,
+  reviewKeywordCounts: { great: 1 },
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("computeRatingAggregates", () => {
+  it("adds a rating", () => {
+    expect(computeRatingAggregates(restaurant, 5, 1)).toEqual({
+      numRatings: 3,
+      sumRating: 12,
+      avgRating: 4,
+    });
+  });
+
+  it("starts from zero when the restaurant has no aggregates", () => {
+    expect(computeRatingAggregates({}, 4, 1)).toEqual({
+      numRatings: 1,
+      sumRating: 4,
+      avgRating: 4,
+    });
+  });
+
+  it("resets the sum once the last rating is removed", () => {
+    expect(
+      computeRatingAggregates({ numRatings: 1, sumRating: 3 }, -3, -1)
+    ).toEqual({ numRatings: 0, sumRating: 0, avgRating: 0 });
+  });
+
+  it("never counts fewer than zero ratings", () => {
+    expect(computeRatingAggregates({ numRatings: 0 }, -2, -1)).toEqual({
+      numRatings: 0,
+      sumRating: 0,
+      avgRating: 0,
+    });
+  });
+});
+
+describe("helpful votes and reports", () => {
+  const review = { rating: 3, text: "great", userId: "a", helpfulCount: 2 };
+
+  it("records one helpful vote per user and counts it", async () => {
+    const writes = withTransaction({ "restaurants/r1/ratings/v1": review });
+
+    await setReviewHelpfulVote({}, "r1", "v1", "b", true);
+
+    expect(writes).toEqual([
+      ["update", "restaurants/r1/ratings/v1", { helpfulCount: 3 }],
+      [
+        "set",
+        "restaurants/r1/ratings/v1/votes/b",
+        expect.objectContaining({ userId: "b", restaurantId: "r1" }),
+      ],
+    ]);
+
+    const again = withTransaction({
+      "restaurants/r1/ratings/v1": { ...review, helpfulCount: 3 },
+      "restaurants/r1/ratings/v1/votes/b": { userId: "b" },
+    });
+    await setReviewHelpfulVote({}, "r1", "v1", "b", true);
+    expect(again).toEqual([]);
+  });
+
+  it("takes a vote back", async () => {
+    const writes = withTransaction({
+      "restaurants/r1/ratings/v1": review,
+      "restaurants/r1/ratings/v1/votes/b": { userId: "b" },
+    });
+
+    await setReviewHelpfulVote({}, "r1", "v1", "b", false);
+
+    expect(writes).toEqual([
+      ["update", "restaurants/r1/ratings/v1", { helpfulCount: 1 }],
+      ["delete", "restaurants/r1/ratings/v1/votes/b"],
+    ]);
+  });
+
+  it("doesn't let authors vote on their own review", async () => {
+    withTransaction({ "restaurants/r1/ratings/v1": review });
+
+    await expect(
+      setReviewHelpfulVote({}, "r1", "v1", "a", true)
+    ).rejects.toThrow("their own reviews");
+  });
+
+  it("keeps reporters private and counts each report once", async () => {
+    const writes = withTransaction({ "restaurants/r1/ratings/v1": review });
+
+    await reportReview({}, "r1", "v1", "b");
+
+    expect(writes).toEqual([
+      [
+        "update",
+        "restaurants/r1/ratings/v1",
+        { reported: true, reportCount: 1 },
+      ],
+      [
+        "set",
+        "restaurants/r1/ratings/v1/reports/b",
+        expect.objectContaining({ userId: "b", restaurantId: "r1" }),
+      ],
+    ]);
+
+    const again = withTransaction({
+      "restaurants/r1/ratings/v1": {
+        ...review,
+        reported: true,
+        reportCount: 1,
+      },
+      "restaurants/r1/ratings/v1/reports/b": { userId: "b" },
+    });
+    await reportReview({}, "r1", "v1", "b");
+    expect(again).toEqual([]);
+  });
+
+  it("keeps the reporters of photos private too", async () => {
+    const writes = withTransaction({
+      "restaurants/r1/photos/p1": { status: "visible", reportCount: 0 },
+    });
+
+    await reportRestaurantPhoto({}, "r1", "p1", "b");
+
+    expect(writes).toEqual([
+      [
+        "update",
+        "restaurants/r1/photos/p1",
+        { status: "reported", reportCount: 1 },
+      ],
+      [
+        "set",
+        "restaurants/r1/photos/p1/reports/b",
+        expect.objectContaining({ userId: "b", restaurantId: "r1" }),
+      ],
+    ]);
+  });
+
+  // the review's reports, which are cleared when it is resolved
+  const reports = {
+    docs: [{ ref: { path: "restaurants/r1/ratings/v1/reports/b" } }],
+  };
+
+  it("takes a removed review out of the aggregates", async () => {
+    getDocs.mockResolvedValueOnce(reports);
+    const writes = withTransaction({
+      "restaurants/r1": restaurant,
+      "restaurants/r1/ratings/v1": {
+        ...review,
+        reported: true,
+        reportCount: 1,
+      },
+    });
+
+    await resolveReportedReview({}, "r1", "v1", true, "admin");
+
+    expect(writes[0]).toEqual([
+      "update",
+      "restaurants/r1",
+      expect.objectContaining({ numRatings: 1, sumRating: 4 }),
+    ]);
+    expect(writes[1][2]).toMatchObject({
+      status: "rejected",
+      reported: false,
+      reportCount: 0,
+      moderatedBy: "admin",
+    });
+    expect(writes[2]).toEqual([
+      "delete",
+      "restaurants/r1/ratings/v1/reports/b",
+    ]);
+  });
+
+  it("only clears the reports of a review that is kept", async () => {
+    getDocs.mockResolvedValueOnce(reports);
+    const writes = withTransaction({
+      "restaurants/r1": restaurant,
+      "restaurants/r1/ratings/v1": {
+        ...review,
+        reported: true,
+        reportCount: 1,
+      },
+    });
+
+    await resolveReportedReview({}, "r1", "v1", false, "admin");
+
+    expect(writes).toHaveLength(2);
+    expect(writes[0][2]).not.toHaveProperty("status");
+    expect(writes[0][2].reported).toBe(false);
+    expect(writes[1]).toEqual([
+      "delete",
+      "restaurants/r1/ratings/v1/reports/b",
+    ]);
+  });
+});
+
+describe("owner replies", () => {
+  const owner = { userId: "o", userName: "Olivia" };
+
+  it("adds the owner's reply to the review", async () => {
+    const writes = withTransaction({
+      "restaurants/r1/ratings/v1": { rating: 2, text: "Slow service" },
+    });
+
+    await setReviewOwnerReply({}, "r1", "v1", {
+      ...owner,
+      text: "  Sorry, we were short-staffed.  ",
+    });
+
+    const [[type, path, { ownerReply }]] = writes;
+    expect([type, path]).toEqual(["update", "restaurants/r1/ratings/v1"]);
+    expect(ownerReply).toMatchObject({
+      text: "Sorry, we were short-staffed.",
+      userId: "o",
+      userName: "Olivia",
+    });
+    expect(ownerReply.createdAt).toBeInstanceOf(Timestamp);
+    expect(ownerReply).not.toHaveProperty("editedAt");
+  });
+
+  it("keeps the creation time of a changed reply", async () => {
+    const createdAt = Timestamp.fromDate(new Date("2024-01-01"));
+    const writes = withTransaction({
+      "restaurants/r1/ratings/v1": {
+        rating: 2,
+        ownerReply: { ...owner, text: "Sorry", createdAt },
+      },
+    });
+
+    await setReviewOwnerReply({}, "r1", "v1", { ...owner, text: "So sorry" });
+
+    const { ownerReply } = writes[0][2];
+    expect(ownerReply.createdAt).toBe(createdAt);
+    expect(ownerReply.editedAt).toBeInstanceOf(Timestamp);
+  });
+
+  it("refuses an empty reply", async () => {
+    await expect(
+      setReviewOwnerReply({}, "r1", "v1", { ...owner, text: " " })
+    ).rejects.toThrow("between 1 and 1000 characters");
+    expect(runTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe("restaurant queries", () => {
+  // the constraints of the query getRestaurants ran
+  async function constraintsFor(filters, page) {
+    getDocs.mockResolvedValueOnce({ docs: [] });
+    await getRestaurants({}, filters, page);
+    return getDocs.mock.calls[0][0].constraints;
+  }
+
+  it("sorts by rating by default, with the ID as a tie-breaker", async () => {
+    expect(await constraintsFor({})).toEqual([
+      ["orderBy", "avgRating", "desc"],
+      ["orderBy", "__name__", "desc"],
+      ["limit", 12],
+    ]);
+  });
+
+  it("filters on one value with == and on several with in", async () => {
+    expect(
+      await constraintsFor({
+        category: "Italian",
+        city: "Paris,Tokyo",
+        sort: "Review",
+      })
+    ).toEqual([
+      ["where", "category", "==", "Italian"],
+      ["where", "city", "in", ["Paris", "Tokyo"]],
+      ["orderBy", "numRatings", "desc"],
+      ["orderBy", "__name__", "desc"],
+      ["limit", 12],
+    ]);
+  });
+
+  it("sorts by the average rating of an aspect", async () => {
+    expect(await constraintsFor({ sort: "Food" })).toEqual([
+      ["orderBy", "aspectRatings.food.avgRating", "desc"],
+      ["orderBy", "__name__", "desc"],
+      ["limit", 12],
+    ]);
+  });
+
+  it("sorts Best rated by the confidence-weighted score", async () => {
+    expect((await constraintsFor({ sort: "Best rated" }))[0]).toEqual([
+      "orderBy",
+      "bayesianRating",
+      "desc",
+    ]);
+  });
+
+  it("turns a price range into the price levels it covers", async () => {
+    expect(await constraintsFor({ price: "1-3" })).toContainEqual([
+      "where",
+      "price",
+      "in",
+      [1, 2, 3],
+    ]);
+  });
+
+  it("starts after the page cursor", async () => {
+    const cursor = btoa(JSON.stringify([4.5, "r9"]));
+    expect(await constraintsFor({}, { cursor, pageSize: 5 })).toEqual([
+      ["orderBy", "avgRating", "desc"],
+      ["orderBy", "__name__", "desc"],
+      ["startAfter", 4.5, "r9"],
+      ["limit", 5],
+    ]);
+  });
+
+  it("looks up search words instead of filtering and sorting", async () => {
+    expect(
+      await constraintsFor({ q: "the best pasta", category: "Italian" })
+    ).toEqual([
+      ["where", "searchKeywords", "array-contains-any", ["best", "pasta"]],
+      ["orderBy", "__name__", "asc"],
+      ["limit", 200],
+    ]);
+  });
+
+  it("ranks every search candidate before keeping the best 50", async () => {
+    const candidate = (id, fields) =>
+      snapshot(`restaurants/${id}`, {
+        ...restaurant,
+        timestamp: Timestamp.now(),
+        ...fields,
+      });
+    // only mentioned in a review
+    const firstBatch = Array.from({ length: 200 }, (_, i) =>
+      candidate(`a${String(i).padStart(3, "0")}`, {
+        name: "Pizza place",
+        reviewKeywordCounts: { pasta: 1 },
+      })
+    );
+    getDocs.mockResolvedValueOnce({ docs: firstBatch }).mockResolvedValueOnce({
+      docs: [
+        candidate("b1", { name: "Pasta Paradise" }),
+        candidate("b2", { name: "Pasta Paradise", category: "Chinese" }),
+      ],
+    });
+
+    const results = await getRestaurants(
+      {},
+      { q: "pasta", category: "Italian" }
+    );
+
+    expect(getDocs.mock.calls[1][0].constraints.slice(-2)).toEqual([
+      ["startAfter", "a199"],
+      ["limit", 200],
+    ]);
+    expect(results).toHaveLength(50);
+    expect(results[0].id).toBe("b1"); // the best match came in the last batch
+    expect(results.map((result) => result.id)).not.toContain("b2");
+  });
+
+  it("doesn't query for a search with only stop words", async () => {
+    expect(await getRestaurants({}, { q: "the and" })).toEqual([]);
+    expect(getDocs).not.toHaveBeenCalled();
+  });
+});
+
+describe("Timestamp conversion", () => {
+  it("returns restaurants with plain dates", async () => {
+    const created = new Date("2024-05-01T12:00:00Z");
+    const summarized = new Date("2024-06-01T08:30:00Z");
+    getDoc.mockResolvedValueOnce(
+      snapshot("restaurants/r1", {
+        ...restaurant,
+        timestamp: Timestamp.fromDate(created),
+        reviewSummary: {
+          text: "Good",
+          generatedAt: Timestamp.fromDate(summarized),
+        },
+      })
+    );
+
+    const result = await getRestaurantById({}, "r1");
+
+    expect(result.id).toBe("r1");
+    expect(result.timestamp).toEqual(created);
+    expect(result.timestamp).toBeInstanceOf(Date);
+    expect(result.reviewSummary.generatedAt).toEqual(summarized);
+  });
+
+  it("returns null for a missing restaurant", async () => {
+    getDoc.mockResolvedValueOnce(snapshot("restaurants/r1", undefined));
+
+    expect(await getRestaurantById({}, "r1")).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  moderateReview,
+  moderateReviewLocally,
+  ModerationCategory,
+} from "@/src/lib/ai/moderation.js";
+
+// with the stub model only the local rules run, see src/lib/ai/genkit.js
+vi.stubEnv("AI_MODEL_PROVIDER", "stub");
+
+describe("moderateReviewLocally", () => {
+  it("lets ordinary reviews through, even harsh ones", () => {
+    for (const text of [
+      "Lovely pasta and friendly staff, we'll be back!",
+      "The food was cold and the waiter ignored us. Never again.",
+    ]) {
+      expect(moderateReviewLocally(text)).toEqual({
+        categories: [],
+        reason: "",
+      });
+    }
+  });
+
+  it("flags links and promotional text as spam", () => {
+    for (const text of [
+      "Great food, see https://example.com for more",
+      "Nice pizza, check out cheap-eats.biz",
+      "Use promo code PIZZA50 at my shop",
+      "Best dinner ever!!!!!!!!!!",
+    ]) {
+      expect(moderateReviewLocally(text).categories).toEqual([
+        ModerationCategory.SPAM,
+      ]);
+    }
+  });
+
+  it("flags insults and profanity as abuse", () => {
+    for (const text of [
+      "The staff are idiots",
+      "Shitty food",
+      "The chef should go to hell",
+    ]) {
+      expect(moderateReviewLocally(text).categories).toEqual([
+        ModerationCategory.ABUSE,
+      ]);
+    }
+  });
+
+  it("flags email addresses and phone numbers as personal data", () => {
+    for (const text of [
+      "Ask for the owner at jane.doe@mail.example",
+      "Tasty food, call the waiter Tom on +44 20 7946 0958",
+    ]) {
+      expect(moderateReviewLocally(text).categories).toEqual([
+        ModerationCategory.PERSONAL_DATA,
+      ]);
+    }
+  });
+
+  it("flags longer text that isn't about eating out as off-topic", () => {
+    const text =
+      "My neighbour keeps parking his car across my driveway every single " +
+      "morning, and the council won't answer my letters about it. Honestly " +
+      "this town has gone downhill since they closed the library.";
+
+    expect(moderateReviewLocally(text).categories).toEqual([
+      ModerationCategory.OFF_TOPIC,
+    ]);
+    // too short to tell
+    expect(
+      moderateReviewLocally("My neighbour parks badly").categories
+    ).toEqual([]);
+  });
+
+  it("explains every category that applies", () => {
+    expect(moderateReviewLocally("You idiots, visit www.example.com")).toEqual({
+      categories: [ModerationCategory.SPAM, ModerationCategory.ABUSE],
+      reason:
+        "The review contains links or promotional text and contains insults or profanity.",
+    });
+  });
+});
+
+describe("moderateReview", () => {
+  it("only uses the local rules with the stub model", async () => {
+    await expect(moderateReview("The staff are idiots")).resolves.toEqual({
+      categories: [ModerationCategory.ABUSE],
+      reason: "The review contains insults or profanity.",
+      source: "rules",
+      flagged: true,
+    });
+    await expect(moderateReview("Lovely pasta")).resolves.toMatchObject({
+      flagged: false,
+    });
+  });
+});
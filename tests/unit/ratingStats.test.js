@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import {
+  computeBayesianRating,
+  RATING_PRIOR_MEAN,
+  updateRatingCounts,
+} from "@/src/lib/ratingStats.js";
+
+describe("computeBayesianRating", () => {
+  it("starts at the prior mean", () => {
+    expect(computeBayesianRating(0, 0)).toBe(RATING_PRIOR_MEAN);
+  });
+
+  it("ranks many high ratings above a single perfect one", () => {
+    const single = computeBayesianRating(1, 5);
+    const many = computeBayesianRating(200, 200 * 4.8);
+
+    expect(many).toBeGreaterThan(single);
+    expect(many).toBeCloseTo(4.76, 2);
+  });
+});
+
+describe("updateRatingCounts", () => {
+  it("fills in missing counts", () => {
+    expect(updateRatingCounts(undefined, null, 4)).toEqual({
+      1: 0,
+      2: 0,
+      3: 0,
+      4: 1,
+      5: 0,
+    });
+  });
+
+  it("moves a changed rating and never goes below zero", () => {
+    expect(updateRatingCounts({ 2: 1 }, 2, 5)).toMatchObject({ 2: 0, 5: 1 });
+    expect(updateRatingCounts({}, 3, null)).toMatchObject({ 3: 0 });
+  });
+});
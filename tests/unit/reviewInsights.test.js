@@ -0,0 +1,126 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getReviewsByRestaurantId } from "@/src/lib/firebase/firestore.js";
+import { updateRestaurantReviewInsights } from "@/src/lib/firebase/adminFirestore.js";
+import {
+  FAKE_INSIGHTS_MODEL_NAME,
+  fakeReviewInsights,
+  generateReviewInsights,
+  refreshReviewInsights,
+} from "@/src/lib/ai/reviewInsights.js";
+
+// the deterministic local model, see src/lib/ai/genkit.js
+vi.stubEnv("AI_MODEL_PROVIDER", "stub");
+
+vi.mock("server-only", () => ({}));
+vi.mock("@/src/lib/firebase/firestore.js", () => ({
+  getReviewsByRestaurantId: vi.fn(),
+}));
+vi.mock("@/src/lib/firebase/adminApp.js", () => ({
+  getAdminFirestore: () => "admin-db",
+}));
+vi.mock("@/src/lib/firebase/adminFirestore.js", () => ({
+  updateRestaurantReviewInsights: vi.fn(),
+}));
+
+const reviews = [
+  { rating: 5, text: "Delicious pizza and friendly staff" },
+  { rating: 4, text: "Tasty pizza, fresh pasta" },
+  { rating: 1, text: "Rude waiter and overpriced wine" },
+];
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  getReviewsByRestaurantId.mockResolvedValue(reviews);
+});
+
+describe("fakeReviewInsights", () => {
+  it("scores the aspects reviews mention by their ratings", () => {
+    const { aspects } = fakeReviewInsights(reviews);
+
+    expect(aspects.food).toEqual({ sentiment: "positive", score: 1 });
+    // one 5 star and one 1 star review mention the service
+    expect(aspects.service).toEqual({ sentiment: "mixed", score: 0 });
+    expect(aspects.value).toEqual({ sentiment: "negative", score: -1 });
+    expect(aspects.ambience).toEqual({ sentiment: "unknown", score: 0 });
+  });
+
+  it("lists pros, cons and the most mentioned dishes", () => {
+    expect(fakeReviewInsights(reviews)).toMatchObject({
+      pros: ["Tasty food"],
+      cons: ["Poor value for money"],
+      dishes: [
+        { name: "pizza", mentions: 2 },
+        { name: "pasta", mentions: 1 },
+      ],
+    });
+  });
+
+  it("has nothing to say without reviews", () => {
+    expect(fakeReviewInsights([])).toMatchObject({
+      pros: [],
+      cons: [],
+      dishes: [],
+    });
+  });
+});
+
+describe("generateReviewInsights", () => {
+  it("analyzes the reviews with the fake insights model", async () => {
+    await expect(generateReviewInsights(reviews)).resolves.toEqual({
+      ...fakeReviewInsights(reviews),
+      model: FAKE_INSIGHTS_MODEL_NAME,
+      reviewCount: 3,
+    });
+  });
+});
+
+describe("refreshReviewInsights", () => {
+  it("stores the insights with the restaurant's number of reviews", async () => {
+    // more reviews than were sent to the model
+    const restaurant = { id: "stored", numRatings: 150 };
+
+    const insights = await refreshReviewInsights({}, restaurant);
+
+    expect(insights).toMatchObject({
+      pros: ["Tasty food"],
+      model: FAKE_INSIGHTS_MODEL_NAME,
+      reviewCount: 150,
+    });
+    expect(updateRestaurantReviewInsights).toHaveBeenCalledWith(
+      "admin-db",
+      "stored",
+      insights
+    );
+  });
+
+  it("shares one model call between requests for the same restaurant", async () => {
+    const restaurant = { id: "throttled", numRatings: 3 };
+
+    const [first, second] = await Promise.all([
+      refreshReviewInsights({}, restaurant),
+      refreshReviewInsights({}, restaurant),
+    ]);
+
+    expect(second).toBe(first);
+    expect(getReviewsByRestaurantId).toHaveBeenCalledTimes(1);
+    expect(updateRestaurantReviewInsights).toHaveBeenCalledTimes(1);
+  });
+
+  it("still returns the insights when they can't be stored", async () => {
+    const consoleError = vi
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    updateRestaurantReviewInsights.mockRejectedValueOnce(
+      new Error("permission-denied")
+    );
+
+    const insights = await refreshReviewInsights(
+      {},
+      { id: "unstored", numRatings: 3 }
+    );
+
+    expect(insights.cons).toEqual(["Poor value for money"]);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,104 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getReviewsByRestaurantId } from "@/src/lib/firebase/firestore.js";
+import { updateRestaurantReviewSummary } from "@/src/lib/firebase/adminFirestore.js";
+import { STUB_MODEL_NAME } from "@/src/lib/ai/genkit.js";
+import {
+  buildSummaryPrompt,
+  generateReviewSummary,
+  refreshReviewSummary,
+} from "@/src/lib/ai/reviewSummary.js";
+
+// the deterministic local model, see src/lib/ai/genkit.js
+vi.stubEnv("AI_MODEL_PROVIDER", "stub");
+
+vi.mock("server-only", () => ({}));
+vi.mock("@/src/lib/firebase/firestore.js", () => ({
+  getReviewsByRestaurantId: vi.fn(),
+}));
+vi.mock("@/src/lib/firebase/adminApp.js", () => ({
+  getAdminFirestore: () => "admin-db",
+}));
+vi.mock("@/src/lib/firebase/adminFirestore.js", () => ({
+  updateRestaurantReviewSummary: vi.fn(),
+}));
+
+const reviews = [
+  { text: "Great pasta" },
+  { text: "Slow service,\nbut friendly" },
+];
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  getReviewsByRestaurantId.mockResolvedValue(reviews);
+});
+
+describe("buildSummaryPrompt", () => {
+  it("lists each review on one line", () => {
+    const lines = buildSummaryPrompt(reviews).split("\n");
+
+    expect(lines.slice(-2)).toEqual([
+      "- Great pasta",
+      "- Slow service, but friendly",
+    ]);
+  });
+});
+
+describe("generateReviewSummary", () => {
+  it("summarizes the reviews with the stub model", async () => {
+    await expect(generateReviewSummary(reviews)).resolves.toEqual({
+      text: "Summary of 2 reviews (stub model).",
+      model: STUB_MODEL_NAME,
+      reviewCount: 2,
+    });
+  });
+});
+
+describe("refreshReviewSummary", () => {
+  it("stores the summary with the restaurant's number of reviews", async () => {
+    // more reviews than were sent to the model
+    const restaurant = { id: "stored", numRatings: 150 };
+
+    const summary = await refreshReviewSummary({}, restaurant);
+
+    expect(summary).toMatchObject({
+      text: "Summary of 2 reviews (stub model).",
+      reviewCount: 150,
+    });
+    expect(updateRestaurantReviewSummary).toHaveBeenCalledWith(
+      "admin-db",
+      "stored",
+      summary
+    );
+  });
+
+  it("shares one model call between requests for the same restaurant", async () => {
+    const restaurant = { id: "throttled", numRatings: 2 };
+
+    const [first, second] = await Promise.all([
+      refreshReviewSummary({}, restaurant),
+      refreshReviewSummary({}, restaurant),
+    ]);
+
+    expect(second).toBe(first);
+    expect(getReviewsByRestaurantId).toHaveBeenCalledTimes(1);
+    expect(updateRestaurantReviewSummary).toHaveBeenCalledTimes(1);
+  });
+
+  it("still returns the summary when it can't be stored", async () => {
+    const consoleError = vi
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    updateRestaurantReviewSummary.mockRejectedValueOnce(
+      new Error("permission-denied")
+    );
+
+    const summary = await refreshReviewSummary(
+      {},
+      { id: "unstored", numRatings: 2 }
+    );
+
+    expect(summary.text).toBe("Summary of 2 reviews (stub model).");
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildSearchKeywords,
+  MAX_SEARCH_TERMS,
+  rankRestaurants,
+  searchTerms,
+  tokenize,
+  updateReviewKeywordCounts,
+} from "@/src/lib/search.js";
+
+describe("tokenize", () => {
+  it("splits text into unique lower-case words", () => {
+    expect(tokenize("Pasta, PASTA and more pasta!")).toEqual(["pasta", "more"]);
+  });
+
+  it("drops stop words and single letters", () => {
+    expect(tokenize("The best pizza in a town")).toEqual([
+      "best",
+      "pizza",
+      "town",
+    ]);
+  });
+
+  it("strips accents", () => {
+    expect(tokenize("Café crème brûlée")).toEqual(["cafe", "creme", "brulee"]);
+  });
+
+  it("has nothing to split in missing text", () => {
+    expect(tokenize(undefined)).toEqual([]);
+    expect(tokenize("")).toEqual([]);
+  });
+});
+
+describe("searchTerms", () => {
+  it("keeps at most as many terms as Firestore can query", () => {
+    const q = Array.from({ length: 40 }, (_, i) => `word${i}`).join(" ");
+    expect(searchTerms(q)).toHaveLength(MAX_SEARCH_TERMS);
+  });
+});
+
+describe("search keywords", () => {
+  const restaurant = {
+    name: "Pasta Paradise",
+    category: "Italian",
+    city: "Paris",
+  };
+
+  it("finds restaurants by the start of their name", () => {
+    expect(buildSearchKeywords(restaurant)).toEqual(
+      expect.arrayContaining([
+        "pa",
+        "pas",
+        "pasta",
+        "paradise",
+        "italian",
+        "paris",
+      ])
+    );
+  });
+
+  it("adds and removes the words of reviews", () => {
+    let counts = updateReviewKeywordCounts({}, "Fresh pasta", 1);
+    counts = updateReviewKeywordCounts(counts, "Fresh bread", 1);
+    expect(counts).toEqual({ fresh: 2, pasta: 1, bread: 1 });
+
+    counts = updateReviewKeywordCounts(counts, "Fresh pasta", -1);
+    expect(counts).toEqual({ fresh: 1, bread: 1 });
+    expect(buildSearchKeywords(restaurant, counts)).toEqual(
+      expect.arrayContaining(["fresh", "bread"])
+    );
+  });
+});
+
+describe("rankRestaurants", () => {
+  const restaurants = [
+    {
+      id: "reviews",
+      name: "Trattoria",
+      category: "Italian",
+      city: "Rome",
+      reviewKeywordCounts: { pizza: 3 },
+    },
+    {
+      id: "name",
+      name: "Pizza Planet",
+      category: "Pizza",
+      city: "Paris",
+      reviewKeywordCounts: {},
+    },
+    {
+      id: "prefix",
+      name: "Pizzeria Napoli",
+      category: "Italian",
+      city: "Naples",
+      reviewKeywordCounts: {},
+    },
+    {
+      id: "none",
+      name: "Sushi Bar",
+      category: "Japanese",
+      city: "Tokyo",
+      reviewKeywordCounts: { fish: 2 },
+    },
+  ];
+
+  it("ranks name matches above category, city and review matches", () => {
+    expect(rankRestaurants(restaurants, "pizza").map(({ id }) => id)).toEqual([
+      "name",
+      "reviews",
+    ]);
+    expect(rankRestaurants(restaurants, "pizz").map(({ id }) => id)).toEqual([
+      "name",
+      "prefix",
+    ]);
+  });
+
+  it("drops restaurants that match nothing", () => {
+    expect(rankRestaurants(restaurants, "burgers")).toEqual([]);
+  });
+
+  it("counts review words for more the more reviews use them, up to five", () => {
+    const popular = (count, avgRating) => ({
+      name: "Diner",
+      reviewKeywordCounts: { burger: count },
+      avgRating,
+    });
+    const ranked = rankRestaurants(
+      [popular(1, 5), popular(9, 3), popular(5, 4)],
+      "burger"
+    );
+
+    // 9 mentions count no more than 5, so the better rated one goes first
+    expect(ranked.map(({ avgRating }) => avgRating)).toEqual([4, 3, 5]);
+  });
+});
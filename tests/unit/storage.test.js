@@ -0,0 +1,108 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { uploadBytesResumable } from "firebase/storage";
+import {
+  updateRestaurantImage,
+  uploadReviewPhotos,
+  UploadErrorCode,
+} from "@/src/lib/firebase/storage.js";
+
+// storage.js imports the client app, which can't initialize outside the browser
+vi.mock("@/src/lib/firebase/clientApp", () => ({
+  auth: { currentUser: { uid: "alice", displayName: "Alice" } },
+  db: {},
+  storage: {},
+}));
+
+vi.mock("@/src/lib/firebase/firestore", () => ({
+  updateRestaurantImageReference: vi.fn(),
+  updateReviewPhotos: vi.fn(),
+}));
+
+// resizing needs a canvas, so every image becomes 100-byte variants named
+// after the hash "abc"
+vi.mock("@/src/lib/images.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  prepareImage: async (file, variants) =>
+    variants.map((variant) => ({
+      variant,
+      name: `abc_${variant}.jpg`,
+      blob: { size: 100 },
+    })),
+}));
+
+// A bucket holding the paths in `stored`; uploads add to it
+const stored = new Set();
+vi.mock("firebase/storage", () => ({
+  ref: (storage, path) => ({ path }),
+  getDownloadURL: async ({ path }) => {
+    if (!stored.has(path)) {
+      throw { code: "storage/object-not-found" };
+    }
+    return `https://example.com/${path}`;
+  },
+  uploadBytesResumable: vi.fn(),
+  deleteObject: vi.fn(),
+}));
+
+const image = { name: "pasta.jpg" };
+
+beforeEach(() => {
+  stored.clear();
+  uploadBytesResumable.mockClear();
+  uploadBytesResumable.mockImplementation(({ path }) =>
+    Object.assign(
+      Promise.resolve().then(() => stored.add(path)),
+      { on: vi.fn(), cancel: vi.fn() }
+    )
+  );
+});
+
+describe("uploading photos", () => {
+  it("reuses the variants that are already uploaded", async () => {
+    const folder = "images/r1/reviews/review1";
+    stored.add(`${folder}/abc_hero.jpg`); // e.g. from a failed attempt
+
+    const [photo] = await uploadReviewPhotos("r1", "review1", [image]);
+
+    expect(uploadBytesResumable).toHaveBeenCalledTimes(1);
+    expect(uploadBytesResumable.mock.calls[0][0].path).toBe(
+      `${folder}/abc_thumbnail.jpg`
+    );
+    expect(photo).toEqual({
+      url: `https://example.com/${folder}/abc_hero.jpg`,
+      thumbnailUrl: `https://example.com/${folder}/abc_thumbnail.jpg`,
+      paths: [`${folder}/abc_thumbnail.jpg`, `${folder}/abc_hero.jpg`],
+    });
+  });
+
+  it("can upload the same photo again", async () => {
+    await updateRestaurantImage("r1", image);
+
+    const url = await updateRestaurantImage("r1", image);
+
+    expect(url).toBe("https://example.com/images/r1/abc_hero.jpg");
+    expect(uploadBytesResumable).toHaveBeenCalledTimes(3); // only the first time
+  });
+
+  it("only offers a retry when trying again may work", async () => {
+    const failWith = (code) =>
+      uploadBytesResumable.mockImplementation(() =>
+        Object.assign(Promise.reject({ code }), {
+          on: vi.fn(),
+          cancel: vi.fn(),
+        })
+      );
+
+    failWith("storage/unauthorized");
+    await expect(updateRestaurantImage("r1", image)).rejects.toMatchObject({
+      code: UploadErrorCode.UNAUTHORIZED,
+      retryable: false,
+    });
+
+    failWith("storage/retry-limit-exceeded");
+    await expect(updateRestaurantImage("r1", image)).rejects.toMatchObject({
+      code: UploadErrorCode.NETWORK,
+      retryable: true,
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+// Three test projects:
+//   - unit: plain functions, with Firestore calls faked (npm test)
+//   - components: React components in jsdom (npm test)
+//   - rules: security rules against the emulators (npm run test:rules)
+export default defineConfig({
+  resolve: {
+    alias: { "@": fileURLToPath(new URL(".", import.meta.url)) }, // as in jsconfig.json
+  },
+  esbuild: { jsx: "automatic" },
+  test: {
+    projects: [
+      {
+        extends: true,
+        test: {
+          name: "unit",
+          include: ["tests/unit/**/*.test.js"],
+          environment: "node",
+        },
+      },
+      {
+        extends: true,
+        test: {
+          name: "components",
+          include: ["tests/components/**/*.test.jsx"],
+          environment: "jsdom",
+          setupFiles: ["tests/components/setup.js"],
+        },
+      },
+      {
+        extends: true,
+        test: {
+          name: "rules",
+          include: ["tests/rules/**/*.test.js"],
+          environment: "node",
+          testTimeout: 20000,
+          fileParallelism: false, // the test files share the emulators
+        },
+      },
+    ],
+  },
+});